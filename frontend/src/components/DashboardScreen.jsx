@@ -252,9 +252,23 @@ const DashboardScreen = ({ onNavigate }) => {
                       <p className="text-sm text-muted-foreground">
                         {formatFileSize(upload.file_size)}
                       </p>
+                      {upload.duplicate_of && (
+                        <p className="text-xs text-muted-foreground">
+                          Re-run of{" "}
+                          {upload.duplicate_of_filename || "an earlier upload"}
+                        </p>
+                      )}
                     </div>
                   </div>
                   <div className="flex items-center space-x-4">
+                    {upload.duplicate_of && (
+                      <Badge
+                        variant="outline"
+                        title="Same file content as an earlier completed upload"
+                      >
+                        duplicate
+                      </Badge>
+                    )}
                     {getStatusBadge(upload.status)}
                     <p className="text-sm text-muted-foreground">
                       {new Date(upload.created_at).toLocaleDateString()}
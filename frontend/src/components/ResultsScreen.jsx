@@ -136,6 +136,23 @@ const ResultsScreen = ({ jobId }) => {
     }
   };
 
+  // How sure a performer is to beat (or trail) the account CTR or ROAS
+  const confidenceBadge = (item) =>
+    item.confidence && (
+      <Badge
+        variant={
+          item.confidence === "insufficient_data" ? "secondary" : "outline"
+        }
+        className="ml-2"
+      >
+        {item.confidence === "insufficient_data"
+          ? "insufficient data"
+          : item.confidence === "observed"
+            ? "observed value"
+            : `${item.confidence} confidence`}
+      </Badge>
+    );
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-[400px]">
@@ -193,6 +210,8 @@ const ResultsScreen = ({ jobId }) => {
   }
 
   const { analysis } = analysisData;
+  // Workspace thresholds the job was analysed with
+  const thresholds = analysis.settings?.thresholds;
 
   // Defensive: check if all key analysis fields are missing or empty
   const isAnalysisEmpty =
@@ -249,7 +268,30 @@ const ResultsScreen = ({ jobId }) => {
             Analysis Results
           </h1>
           <p className="text-muted-foreground">File: {analysisData.filename}</p>
+          {analysisData.dateRange?.source === "report" && (
+            <p className="text-sm text-muted-foreground">
+              Reporting period: {analysisData.dateRange.start} to{" "}
+              {analysisData.dateRange.end} ({analysisData.dateRange.days} days)
+            </p>
+          )}
+          {analysisData.dateRange?.dateOrder?.source === "default" && (
+            <p className="text-sm text-yellow-600">
+              No date in the file settles its day/month order; dates were read{" "}
+              {analysisData.dateRange.dateOrder.order === "DMY"
+                ? "day-first"
+                : "month-first"}
+              .
+            </p>
+          )}
         </div>
+        {analysis.summary.totalRows > analysis.summary.processedRows && (
+          <Button variant="outline" asChild>
+            <a href={apiService.getRejectedRowsDownloadUrl(jobId)}>
+              Download {analysis.summary.totalRows - analysis.summary.processedRows}{" "}
+              rejected rows
+            </a>
+          </Button>
+        )}
       </div>
 
       {/* Summary Metrics */}
@@ -273,46 +315,150 @@ const ResultsScreen = ({ jobId }) => {
 
         <Card>
           <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-            <CardTitle className="text-sm font-medium">Average CTR</CardTitle>
+            <CardTitle className="text-sm font-medium">Account CTR</CardTitle>
             <TrendingUp className="h-4 w-4 text-muted-foreground" />
           </CardHeader>
           <CardContent>
             <div className="text-2xl font-bold">
-              {formatMetric(analysis.summary.metrics.averageCTR, "percentage")}
+              {formatMetric(
+                analysis.summary.metrics.accountCTR ??
+                  analysis.summary.metrics.averageCTR,
+                "percentage"
+              )}
             </div>
-            <p className="text-xs text-muted-foreground">Click-through rate</p>
+            <p className="text-xs text-muted-foreground">
+              Total clicks / impressions
+              {analysis.summary.metrics.distributions?.ctr &&
+                ` · median ${formatMetric(
+                  analysis.summary.metrics.distributions.ctr.median,
+                  "percentage"
+                )}`}
+            </p>
           </CardContent>
         </Card>
 
         <Card>
           <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-            <CardTitle className="text-sm font-medium">Average ROAS</CardTitle>
+            <CardTitle className="text-sm font-medium">Account ROAS</CardTitle>
             <Target className="h-4 w-4 text-muted-foreground" />
           </CardHeader>
           <CardContent>
             <div className="text-2xl font-bold">
-              {formatMetric(analysis.summary.metrics.averageROAS)}
+              {formatMetric(
+                analysis.summary.metrics.accountROAS ??
+                  analysis.summary.metrics.averageROAS
+              )}
             </div>
-            <p className="text-xs text-muted-foreground">Return on ad spend</p>
+            <p className="text-xs text-muted-foreground">
+              Total sales / spend
+              {analysis.summary.metrics.distributions?.roas &&
+                ` · median ${formatMetric(
+                  analysis.summary.metrics.distributions.roas.median
+                )}`}
+            </p>
           </CardContent>
         </Card>
 
         <Card>
           <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-            <CardTitle className="text-sm font-medium">Average ACOS</CardTitle>
+            <CardTitle className="text-sm font-medium">Account ACOS</CardTitle>
             <AlertCircle className="h-4 w-4 text-muted-foreground" />
           </CardHeader>
           <CardContent>
             <div className="text-2xl font-bold">
-              {formatMetric(analysis.summary.metrics.averageACOS, "percentage")}
+              {formatMetric(
+                analysis.summary.metrics.accountACOS ??
+                  analysis.summary.metrics.averageACOS,
+                "percentage"
+              )}
             </div>
             <p className="text-xs text-muted-foreground">
-              Advertising cost of sale
+              Total spend / sales
+              {analysis.summary.metrics.distributions?.acos &&
+                ` · median ${formatMetric(
+                  analysis.summary.metrics.distributions.acos.median,
+                  "percentage"
+                )}`}
             </p>
           </CardContent>
         </Card>
       </div>
 
+      {/* Data Quality */}
+      {analysisData.dataQuality && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center space-x-2">
+              <CheckCircle className="h-5 w-5" />
+              <span>Data Quality</span>
+            </CardTitle>
+            <CardDescription>
+              Share of rows that passed every data-quality rule
+              {analysisData.workspace &&
+                ` (workspace: ${analysisData.workspace})`}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div>
+                <div className="text-2xl font-bold">
+                  {analysisData.dataQuality.score === null
+                    ? "N/A"
+                    : `${analysisData.dataQuality.score}%`}
+                </div>
+                <p className="text-xs text-muted-foreground">Quality score</p>
+              </div>
+              <div>
+                <div className="text-2xl font-bold">
+                  {formatMetric(analysisData.dataQuality.cleanRows)}
+                </div>
+                <p className="text-xs text-muted-foreground">Clean rows</p>
+              </div>
+              <div>
+                <div className="text-2xl font-bold">
+                  {formatMetric(analysisData.dataQuality.flaggedRows)}
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  Kept with warnings or fixes
+                </p>
+              </div>
+              <div>
+                <div className="text-2xl font-bold">
+                  {formatMetric(analysisData.dataQuality.rejectedRows)}
+                </div>
+                <p className="text-xs text-muted-foreground">Rejected rows</p>
+              </div>
+            </div>
+            {analysisData.dataQuality.rules?.length > 0 && (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-muted-foreground">
+                    <th className="py-1">Rule</th>
+                    <th className="py-1">Severity</th>
+                    <th className="py-1 text-right">Rejected</th>
+                    <th className="py-1 text-right">Warned</th>
+                    <th className="py-1 text-right">Fixed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {analysisData.dataQuality.rules.map((rule) => (
+                    <tr key={rule.rule} className="border-t">
+                      <td className="py-1">{rule.rule}</td>
+                      <td className="py-1">
+                        <Badge variant="outline">{rule.severity}</Badge>
+                      </td>
+                      <td className="py-1 text-right">{rule.rejected}</td>
+                      <td className="py-1 text-right">{rule.warned}</td>
+                      <td className="py-1 text-right">{rule.fixed}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Trends Analysis */}
       <Card>
         <CardHeader>
@@ -333,6 +479,11 @@ const ResultsScreen = ({ jobId }) => {
               <p className="text-sm text-red-600 dark:text-red-400">
                 High Cost Keywords
               </p>
+              {thresholds && (
+                <p className="text-xs text-muted-foreground">
+                  Cost above {formatMetric(thresholds.highCost, "currency")}
+                </p>
+              )}
             </div>
             <div className="text-center p-4 bg-yellow-50 dark:bg-yellow-950 rounded-lg">
               <div className="text-2xl font-bold text-yellow-600 dark:text-yellow-400">
@@ -341,6 +492,17 @@ const ResultsScreen = ({ jobId }) => {
               <p className="text-sm text-yellow-600 dark:text-yellow-400">
                 Low CTR Keywords
               </p>
+              {thresholds && (
+                <p className="text-xs text-muted-foreground">
+                  CTR below {formatMetric(thresholds.lowCTR, "percentage")}
+                </p>
+              )}
+              {analysis.trends.insufficientData?.lowCTRKeywords > 0 && (
+                <p className="text-xs text-muted-foreground">
+                  {analysis.trends.insufficientData.lowCTRKeywords} more with too
+                  few impressions to tell
+                </p>
+              )}
             </div>
             <div className="text-center p-4 bg-orange-50 dark:bg-orange-950 rounded-lg">
               <div className="text-2xl font-bold text-orange-600 dark:text-orange-400">
@@ -349,6 +511,19 @@ const ResultsScreen = ({ jobId }) => {
               <p className="text-sm text-orange-600 dark:text-orange-400">
                 High ACOS Keywords
               </p>
+              {thresholds && (
+                <p className="text-xs text-muted-foreground">
+                  Above break-even, or{" "}
+                  {formatMetric(thresholds.highACOS, "percentage")} without a
+                  margin
+                </p>
+              )}
+              {analysis.trends.insufficientData?.highACOSKeywords > 0 && (
+                <p className="text-xs text-muted-foreground">
+                  {analysis.trends.insufficientData.highACOSKeywords} more with too
+                  few clicks to tell
+                </p>
+              )}
             </div>
             <div className="text-center p-4 bg-blue-50 dark:bg-blue-950 rounded-lg">
               <div className="text-2xl font-bold text-blue-600 dark:text-blue-400">
@@ -357,11 +532,158 @@ const ResultsScreen = ({ jobId }) => {
               <p className="text-sm text-blue-600 dark:text-blue-400">
                 Zero Conversions
               </p>
+              {analysis.trends.insufficientData?.zeroConversionKeywords > 0 && (
+                <p className="text-xs text-muted-foreground">
+                  {analysis.trends.insufficientData.zeroConversionKeywords} more with too
+                  few clicks to tell
+                </p>
+              )}
             </div>
           </div>
         </CardContent>
       </Card>
 
+      {/* Wasted Spend */}
+      {analysis.wastedSpend && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center space-x-2">
+              <AlertCircle className="h-5 w-5" />
+              <span>Wasted Spend</span>
+            </CardTitle>
+            <CardDescription>
+              Spend on keywords and search terms that did not convert, and
+              how concentrated spend and sales are
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="text-center p-4 bg-red-50 dark:bg-red-950 rounded-lg">
+                <div className="text-2xl font-bold text-red-600 dark:text-red-400">
+                  {formatMetric(analysis.wastedSpend.summary.wastedCost, "currency")}
+                </div>
+                <p className="text-sm text-red-600 dark:text-red-400">
+                  Wasted Spend
+                </p>
+                {analysis.wastedSpend.basis && (
+                  <p className="text-xs text-muted-foreground">
+                    Rows without {analysis.wastedSpend.basis}
+                  </p>
+                )}
+                {analysis.wastedSpend.summary.wastedShare !== null && (
+                  <p className="text-xs text-muted-foreground">
+                    {formatMetric(
+                      analysis.wastedSpend.summary.wastedShare,
+                      "percentage"
+                    )}{" "}
+                    of {formatMetric(analysis.wastedSpend.summary.cost, "currency")}
+                  </p>
+                )}
+              </div>
+              {["spend", "sales"].map(
+                (measure) =>
+                  analysis.wastedSpend.pareto[measure] && (
+                    <div
+                      key={measure}
+                      className="text-center p-4 bg-muted/50 rounded-lg"
+                    >
+                      <div className="text-2xl font-bold">
+                        {formatMetric(
+                          analysis.wastedSpend.pareto[measure].top20Share,
+                          "percentage"
+                        )}
+                      </div>
+                      <p className="text-sm">
+                        Of {measure} from the top 20% of keywords
+                      </p>
+                      <p className="text-xs text-muted-foreground">
+                        80% comes from{" "}
+                        {analysis.wastedSpend.pareto[measure].keywordsFor80} of{" "}
+                        {analysis.wastedSpend.pareto.keywords} keywords
+                      </p>
+                    </div>
+                  )
+              )}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div>
+                <h4 className="font-medium mb-2">By Match Type</h4>
+                <div className="space-y-2">
+                  {analysis.wastedSpend.byMatchType.map((item) => (
+                    <div
+                      key={item.matchType}
+                      className="flex items-center justify-between p-2 bg-muted/50 rounded"
+                    >
+                      <span className="font-medium">{item.matchType}</span>
+                      <span className="text-sm text-muted-foreground">
+                        {formatMetric(item.wastedCost, "currency")}
+                        {item.wastedShare !== null &&
+                          ` (${formatMetric(item.wastedShare, "percentage")})`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <h4 className="font-medium mb-2">Top Campaigns</h4>
+                <div className="space-y-2">
+                  {analysis.wastedSpend.byCampaign
+                    .filter((item) => item.wastedCost > 0)
+                    .slice(0, 5)
+                    .map((item) => (
+                      <div
+                        key={item.campaign}
+                        className="flex items-center justify-between p-2 bg-muted/50 rounded"
+                      >
+                        <span className="font-medium">{item.campaign}</span>
+                        <span className="text-sm text-muted-foreground">
+                          {formatMetric(item.wastedCost, "currency")}
+                          {item.wastedShare !== null &&
+                            ` (${formatMetric(item.wastedShare, "percentage")})`}
+                        </span>
+                      </div>
+                    ))}
+                </div>
+              </div>
+            </div>
+
+            {/* Pareto curves: share of spend and sales held by the top keywords */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {["spend", "sales"].map(
+                (measure) =>
+                  analysis.wastedSpend.pareto[measure] && (
+                    <div key={measure}>
+                      <h4 className="font-medium mb-2 capitalize">
+                        {measure} concentration
+                      </h4>
+                      <div className="flex items-end h-32 gap-px">
+                        {analysis.wastedSpend.pareto[measure].points.map(
+                          (point) => (
+                            <div
+                              key={point.keywords}
+                              className="flex-1 bg-primary/70 rounded-t"
+                              style={{ height: `${point.share}%` }}
+                              title={`Top ${point.keywords} keywords (${formatMetric(
+                                point.keywordShare,
+                                "percentage"
+                              )}): ${formatMetric(point.share, "percentage")}`}
+                            />
+                          )
+                        )}
+                      </div>
+                      <div className="flex justify-between text-xs text-muted-foreground mt-1">
+                        <span>Top keywords</span>
+                        <span>All keywords</span>
+                      </div>
+                    </div>
+                  )
+              )}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       {/* AI Insights Section */}
       {showAISections && analysis.insights &&
         Array.isArray(analysis.insights.insights) &&
@@ -418,6 +740,7 @@ const ResultsScreen = ({ jobId }) => {
                           {task.priority}
                         </Badge>
                         <span className="font-medium">{task.type}</span>
+                        {confidenceBadge(task)}
                       </div>
                       <Badge variant="outline">{task.impact}</Badge>
                     </div>
@@ -473,7 +796,10 @@ const ResultsScreen = ({ jobId }) => {
                       key={index}
                       className="flex items-center justify-between p-2 bg-muted/50 rounded"
                     >
-                      <span className="font-medium">{item.keyword}</span>
+                      <span className="font-medium">
+                        {item.keyword}
+                        {confidenceBadge(item)}
+                      </span>
                       <span className="text-sm text-muted-foreground">
                         ROAS: {formatMetric(item.calculated_roas)}
                       </span>
@@ -499,7 +825,10 @@ const ResultsScreen = ({ jobId }) => {
                       key={index}
                       className="flex items-center justify-between p-2 bg-muted/50 rounded"
                     >
-                      <span className="font-medium">{item.keyword}</span>
+                      <span className="font-medium">
+                        {item.keyword}
+                        {confidenceBadge(item)}
+                      </span>
                       <span className="text-sm text-muted-foreground">
                         CTR: {formatMetric(item.calculated_ctr, "percentage")}
                       </span>
@@ -530,7 +859,10 @@ const ResultsScreen = ({ jobId }) => {
                       key={index}
                       className="flex items-center justify-between p-2 bg-muted/50 rounded"
                     >
-                      <span className="font-medium">{item.keyword}</span>
+                      <span className="font-medium">
+                        {item.keyword}
+                        {confidenceBadge(item)}
+                      </span>
                       <span className="text-sm text-muted-foreground">
                         CTR: {formatMetric(item.calculated_ctr, "percentage")}
                       </span>
@@ -555,7 +887,10 @@ const ResultsScreen = ({ jobId }) => {
                       key={index}
                       className="flex items-center justify-between p-2 bg-muted/50 rounded"
                     >
-                      <span className="font-medium">{item.keyword}</span>
+                      <span className="font-medium">
+                        {item.keyword}
+                        {confidenceBadge(item)}
+                      </span>
                       <span className="text-sm text-muted-foreground">
                         ACOS: {formatMetric(item.calculated_acos, "percentage")}
                       </span>
@@ -580,7 +915,10 @@ const ResultsScreen = ({ jobId }) => {
                       key={index}
                       className="flex items-center justify-between p-2 bg-muted/50 rounded"
                     >
-                      <span className="font-medium">{item.keyword}</span>
+                      <span className="font-medium">
+                        {item.keyword}
+                        {confidenceBadge(item)}
+                      </span>
                       <span className="text-sm text-muted-foreground">
                         ROAS: {formatMetric(item.calculated_roas)}
                       </span>
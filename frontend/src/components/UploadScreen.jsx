@@ -10,7 +10,9 @@ import {
 } from "./ui/card";
 import { Progress } from "./ui/progress";
 import { Badge } from "./ui/badge";
-import { apiService } from "../services/api";
+import { apiService, CHUNKED_UPLOAD_THRESHOLD } from "../services/api";
+
+const SUPPORTED_EXTENSIONS = [".csv", ".tsv", ".txt", ".xlsx", ".gz", ".zip"];
 
 const UploadScreen = ({ onUploadSuccess }) => {
   const [file, setFile] = useState(null);
@@ -24,15 +26,16 @@ const UploadScreen = ({ onUploadSuccess }) => {
     setError(null);
 
     // Validate file type
-    if (!selectedFile.name.toLowerCase().endsWith(".csv")) {
-      setError("Please select a CSV file");
+    const name = selectedFile.name.toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.some((extension) => name.endsWith(extension))) {
+      setError("Please select a CSV, TSV, Excel (.xlsx), .gz or .zip file");
       return;
     }
 
-    // Validate file size (100MB limit)
-    const maxSize = 100 * 1024 * 1024; // 100MB
+    // Validate file size (2GB limit; files over 10MB are uploaded in chunks)
+    const maxSize = 2 * 1024 * 1024 * 1024; // 2GB
     if (selectedFile.size > maxSize) {
-      setError("File size must be less than 100MB");
+      setError("File size must be less than 2GB");
       return;
     }
 
@@ -66,22 +69,33 @@ const UploadScreen = ({ onUploadSuccess }) => {
       setUploadProgress(0);
       setError(null);
 
-      // Simulate upload progress
-      const progressInterval = setInterval(() => {
-        setUploadProgress((prev) => {
-          if (prev >= 90) {
-            clearInterval(progressInterval);
-            return 90;
-          }
-          return prev + 10;
-        });
-      }, 200);
+      let response;
+      if (file.size > CHUNKED_UPLOAD_THRESHOLD) {
+        // Large files go up in resumable chunks with real progress
+        response = await apiService.uploadFileChunked(file, {}, (percent) =>
+          setUploadProgress(Math.min(percent, 99))
+        );
+      } else {
+        // Simulate upload progress
+        const progressInterval = setInterval(() => {
+          setUploadProgress((prev) => {
+            if (prev >= 90) {
+              clearInterval(progressInterval);
+              return 90;
+            }
+            return prev + 10;
+          });
+        }, 200);
 
-      const response = await apiService.uploadFile(file);
+        try {
+          response = await apiService.uploadFile(file);
+        } finally {
+          clearInterval(progressInterval);
+        }
+      }
 
-      clearInterval(progressInterval);
       setUploadProgress(100);
-      setUploadStatus("success");
+      setUploadStatus(response.data.duplicate ? "duplicate" : "success");
 
       // Wait a moment to show completion
       setTimeout(() => {
@@ -154,7 +168,7 @@ const UploadScreen = ({ onUploadSuccess }) => {
                 <input
                   ref={fileInputRef}
                   type="file"
-                  accept=".csv"
+                  accept={SUPPORTED_EXTENSIONS.join(",")}
                   onChange={handleFileInputChange}
                   className="hidden"
                 />
@@ -170,8 +184,10 @@ const UploadScreen = ({ onUploadSuccess }) => {
                       </p>
                     </div>
                     <div className="text-xs text-muted-foreground space-y-1">
-                      <p>Supported format: CSV</p>
-                      <p>Maximum size: 100MB</p>
+                      <p>
+                        Supported formats: CSV, TSV, Excel (.xlsx), gzip and zip
+                      </p>
+                      <p>Maximum size: 2GB</p>
                     </div>
                   </div>
                 ) : (
@@ -229,6 +245,15 @@ const UploadScreen = ({ onUploadSuccess }) => {
                   </span>
                 </div>
               )}
+              {uploadStatus === "duplicate" && (
+                <div className="flex items-center space-x-2 p-4 bg-green-50 dark:bg-green-950 rounded-lg">
+                  <CheckCircle className="h-5 w-5 text-green-500" />
+                  <span className="text-green-700 dark:text-green-300">
+                    This file was already analysed. Opening the existing
+                    results...
+                  </span>
+                </div>
+              )}
               {/* Error Message */}
               {error && (
                 <div className="flex items-center space-x-2 p-4 bg-red-50 dark:bg-red-950 rounded-lg">
@@ -291,7 +316,10 @@ const UploadScreen = ({ onUploadSuccess }) => {
                 </a>
               </div>
               <div className="mt-4 text-xs text-muted-foreground">
-                <p>• File must be in CSV format and less than 100MB.</p>
+                <p>
+                  • File must be CSV, TSV/semicolon-delimited text or Excel
+                  (.xlsx), optionally gzipped or zipped, and less than 2GB.
+                </p>
                 <p>• All columns are required for accurate analysis.</p>
               </div>
             </CardContent>
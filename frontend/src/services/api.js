@@ -39,12 +39,42 @@ api.interceptors.response.use(
   }
 );
 
+// Files above this size are sent with the resumable chunked upload protocol
+export const CHUNKED_UPLOAD_THRESHOLD = 10 * 1024 * 1024;
+const CHUNK_TIMEOUT = 120000;
+const CHUNK_RETRIES = 3;
+
+// Key under which an unfinished chunked upload of this file is remembered
+const chunkedUploadKey = (file) =>
+  `chunked-upload:${file.name}:${file.size}:${file.lastModified}`;
+
+// Hex-encoded SHA-256 of a file, sent when completing a chunked upload
+const sha256Hex = async (file) => {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    await file.arrayBuffer()
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
 // API methods
 export const apiService = {
   // File upload
-  uploadFile: async (file) => {
+  uploadFile: async (file, options = {}) => {
     const formData = new FormData();
     formData.append("file", file);
+    if (options.mappingId) formData.append("mappingId", options.mappingId);
+    if (options.mapping)
+      formData.append("mapping", JSON.stringify(options.mapping));
+    if (options.locale) formData.append("locale", options.locale);
+    if (options.delimiter) formData.append("delimiter", options.delimiter);
+    if (options.sheet) formData.append("sheet", options.sheet);
+    if (options.archiveMode)
+      formData.append("archiveMode", options.archiveMode);
+    if (options.force) formData.append("force", "true");
+    if (options.workspace) formData.append("workspace", options.workspace);
 
     const response = await api.post("/upload", formData, {
       headers: {
@@ -54,6 +84,95 @@ export const apiService = {
     return response.data;
   },
 
+  // Preview how a file will be parsed, without creating a job
+  previewUpload: async (file, options = {}) => {
+    const formData = new FormData();
+    formData.append("file", file);
+    if (options.rows) formData.append("rows", options.rows);
+    if (options.mappingId) formData.append("mappingId", options.mappingId);
+    if (options.mapping)
+      formData.append("mapping", JSON.stringify(options.mapping));
+    if (options.locale) formData.append("locale", options.locale);
+    if (options.delimiter) formData.append("delimiter", options.delimiter);
+    if (options.sheet) formData.append("sheet", options.sheet);
+
+    const response = await api.post("/upload/preview", formData, {
+      headers: {
+        "Content-Type": "multipart/form-data",
+      },
+    });
+    return response.data;
+  },
+
+  // Upload a large file in chunks, resuming an earlier attempt when possible.
+  // onProgress receives the uploaded percentage (0-100).
+  uploadFileChunked: async (file, options = {}, onProgress = () => {}) => {
+    const storageKey = chunkedUploadKey(file);
+    let upload = null;
+
+    const savedUploadId = localStorage.getItem(storageKey);
+    if (savedUploadId) {
+      try {
+        const response = await api.get(`/upload/chunked/${savedUploadId}`);
+        upload = response.data.data;
+      } catch {
+        // Expired or unknown: start over
+        localStorage.removeItem(storageKey);
+      }
+    }
+
+    if (!upload) {
+      const response = await api.post("/upload/chunked", {
+        ...options,
+        filename: file.name,
+        fileSize: file.size,
+      });
+      upload = response.data.data;
+      localStorage.setItem(storageKey, upload.uploadId);
+    }
+
+    const received = new Set(upload.receivedChunks);
+    let uploaded = received.size;
+    onProgress(Math.round((uploaded / upload.totalChunks) * 100));
+
+    for (let index = 0; index < upload.totalChunks; index++) {
+      if (received.has(index)) continue;
+
+      const chunk = file.slice(
+        index * upload.chunkSize,
+        Math.min((index + 1) * upload.chunkSize, file.size)
+      );
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await api.put(
+            `/upload/chunked/${upload.uploadId}/chunks/${index}`,
+            chunk,
+            {
+              headers: { "Content-Type": "application/octet-stream" },
+              timeout: CHUNK_TIMEOUT,
+            }
+          );
+          break;
+        } catch (error) {
+          if (attempt >= CHUNK_RETRIES) throw error;
+        }
+      }
+
+      uploaded++;
+      onProgress(Math.round((uploaded / upload.totalChunks) * 100));
+    }
+
+    const checksum = await sha256Hex(file);
+    const response = await api.post(
+      `/upload/chunked/${upload.uploadId}/complete`,
+      { checksum },
+      { timeout: CHUNK_TIMEOUT }
+    );
+    localStorage.removeItem(storageKey);
+    return response.data;
+  },
+
   // Get upload status
   getUploadStatus: async (jobId) => {
     const response = await api.get(`/upload/${jobId}`);
@@ -66,6 +185,37 @@ export const apiService = {
     return response.data;
   },
 
+  // List rows rejected during validation
+  getRejectedRows: async (jobId, page = 1, limit = 50, code = null) => {
+    const params = { page, limit };
+    if (code) params.code = code;
+
+    const response = await api.get(`/analysis/${jobId}/rejected-rows`, {
+      params,
+    });
+    return response.data;
+  },
+
+  // Campaign > ad group > keyword metrics; pass { campaign, adGroup, matchType } to drill down
+  getHierarchy: async (jobId, filters = {}) => {
+    const response = await api.get(`/analysis/${jobId}/hierarchy`, {
+      params: filters,
+    });
+    return response.data;
+  },
+
+  // Query cleaned rows, e.g. { min: { cost: 10 }, q: "shoes", sort: "cost", cursor }
+  getRows: async (jobId, query = {}) => {
+    const response = await api.get(`/analysis/${jobId}/rows`, {
+      params: query,
+    });
+    return response.data;
+  },
+
+  // URL of the rejected rows CSV download
+  getRejectedRowsDownloadUrl: (jobId) =>
+    `${API_BASE_URL}/analysis/${jobId}/rejected-rows/download`,
+
   // Generate optimization strategies
   generateOptimization: async (jobId, options = {}) => {
     const response = await api.post(`/optimize/${jobId}`, options);
@@ -93,6 +243,25 @@ export const apiService = {
     return response.data;
   },
 
+  // Save a column mapping
+  createMapping: async (mapping) => {
+    const response = await api.post("/mappings", mapping);
+    return response.data;
+  },
+
+  // List saved column mappings
+  listMappings: async (source = null) => {
+    const params = source ? { source } : {};
+    const response = await api.get("/mappings", { params });
+    return response.data;
+  },
+
+  // Delete a saved column mapping
+  deleteMapping: async (mappingId) => {
+    const response = await api.delete(`/mappings/${mappingId}`);
+    return response.data;
+  },
+
   // Health check
   healthCheck: async () => {
     const response = await api.get("/health");
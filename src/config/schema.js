@@ -0,0 +1,140 @@
+const db = require("./database");
+const logger = require("../utils/logger");
+const processedRows = require("../services/processedRows");
+
+/**
+ * Schema changes layered on top of the base tables (analysis_jobs,
+ * analysis_results, optimization_tasks, processed_data, historical_data).
+ * Every statement must be idempotent: they all run on each startup.
+ */
+const migrations = [
+  // Report-format profile detected for each upload
+  `ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS report_profile VARCHAR(64)`,
+  // Saved header-to-field mappings, reusable across uploads from the same source
+  `CREATE TABLE IF NOT EXISTS column_mappings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    source VARCHAR(255),
+    mapping JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS column_mapping JSONB`,
+  // Rows excluded by CSVProcessor validation, kept for auditing
+  `CREATE TABLE IF NOT EXISTS rejected_rows (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_id UUID NOT NULL REFERENCES analysis_jobs(id) ON DELETE CASCADE,
+    row_number INTEGER NOT NULL,
+    reason_code VARCHAR(64) NOT NULL,
+    reason TEXT,
+    row_data JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_rejected_rows_job_row ON rejected_rows (job_id, row_number)`,
+  // SHA-256 of the uploaded content, to detect re-uploads of the same export
+  `ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64)`,
+  // Public job_id of the earlier completed job a forced re-run duplicates
+  `ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS duplicate_of UUID`,
+  `CREATE INDEX IF NOT EXISTS idx_analysis_jobs_content_hash ON analysis_jobs (content_hash)`,
+  // SHA-256 of the options a file was processed with (mapping, locale,
+  // delimiter, sheet, archive entry, bid targets, total sales); a re-upload
+  // is a duplicate only when these match too
+  `ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS options_hash VARCHAR(64)`,
+  // Reporting period of each upload, taken from its date columns
+  `ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS date_range JSONB`,
+  // Daily and weekly totals over the reporting period
+  `ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS time_series JSONB`,
+  // Campaign > ad group > keyword rollups, plus match type and portfolio
+  `ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS hierarchy JSONB`,
+  // Keywords of the hierarchy, one row per ad group keyword and match type,
+  // in cost order (position); the JSONB hierarchy keeps the levels above
+  `CREATE TABLE IF NOT EXISTS hierarchy_keywords (
+    job_id UUID NOT NULL REFERENCES analysis_jobs(id) ON DELETE CASCADE,
+    campaign TEXT NOT NULL,
+    ad_group TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    keyword TEXT,
+    match_type VARCHAR(64) NOT NULL,
+    search_terms INTEGER NOT NULL DEFAULT 0,
+    metrics JSONB NOT NULL
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_hierarchy_keywords_ad_group ON hierarchy_keywords (job_id, campaign, ad_group, position)`,
+  // Search-term analysis: n-gram rollups of search terms and keywords
+  `ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS search_terms JSONB`,
+  // Keyword bid recommendations for the job's target ACOS/ROAS
+  `ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS bid_recommendations JSONB`,
+  // Campaign budget reallocation at the current total spend
+  `ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS budget_allocation JSONB`,
+  // Profit after ad spend and keyword classification against product margins
+  `ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS profitability JSONB`,
+  // Spend on zero-order rows and the Pareto curves of keyword spend and sales
+  `ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS wasted_spend JSONB`,
+  // Keyword patterns and anomalies, statistical outliers included
+  `ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS patterns JSONB`,
+  `ALTER TABLE analysis_results ADD COLUMN IF NOT EXISTS anomalies JSONB`,
+  // Resumable chunked uploads; chunk files live under <UPLOAD_PATH>/chunks/<id>/
+  `CREATE TABLE IF NOT EXISTS chunked_uploads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    filename VARCHAR(255) NOT NULL,
+    file_size BIGINT NOT NULL,
+    chunk_size INTEGER NOT NULL,
+    total_chunks INTEGER NOT NULL,
+    options JSONB,
+    status VARCHAR(32) NOT NULL DEFAULT 'uploading',
+    jobs JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_chunked_uploads_expires ON chunked_uploads (expires_at)`,
+  // Row number of each cleaned row in its file, as rejected_rows numbers
+  // them; tie-breaker for keyset pagination
+  `ALTER TABLE processed_data ADD COLUMN IF NOT EXISTS row_number INTEGER`,
+  `CREATE INDEX IF NOT EXISTS idx_processed_data_job_row ON processed_data (job_id, row_number)`,
+  // Workspace an upload belongs to, and its data-quality score and per-rule breakdown
+  `ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS workspace VARCHAR(64) NOT NULL DEFAULT 'default'`,
+  `ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS data_quality JSONB`,
+  // Data-quality rule settings per workspace or per report profile
+  `CREATE TABLE IF NOT EXISTS quality_rule_sets (
+    scope VARCHAR(16) NOT NULL,
+    scope_id VARCHAR(64) NOT NULL,
+    rules JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (scope, scope_id)
+  )`,
+  // Targets and thresholds each workspace overrides, and the effective
+  // settings every job was analysed with
+  `CREATE TABLE IF NOT EXISTS workspace_settings (
+    workspace VARCHAR(64) PRIMARY KEY,
+    settings JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS settings JSONB`,
+  // Product margins (%) per workspace, for one ASIN/SKU or a whole campaign
+  `CREATE TABLE IF NOT EXISTS profit_margins (
+    workspace VARCHAR(64) NOT NULL,
+    scope VARCHAR(16) NOT NULL,
+    scope_id VARCHAR(500) NOT NULL,
+    margin NUMERIC(7, 4) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (workspace, scope, scope_id)
+  )`,
+  // high, medium, observed or insufficient_data, as utils/confidence grades verdicts
+  `ALTER TABLE optimization_tasks ADD COLUMN IF NOT EXISTS confidence VARCHAR(32)`,
+  // Sort keys of the keyset-paginated row queries
+  ...processedRows.sortIndexes(),
+];
+
+/**
+ * Apply pending schema changes
+ */
+async function ensureSchema() {
+  for (const statement of migrations) {
+    await db.query(statement);
+  }
+  logger.info(`Database schema verified (${migrations.length} statements)`);
+}
+
+module.exports = { ensureSchema, migrations };
@@ -6,6 +6,20 @@ const {
   runAgentPipeline,
 } = require("../services/langchain/agents/orchestrator");
 const { getJSON, setJSON } = require("../utils/redisClient");
+const { toCSVLine } = require("../utils/csv");
+const processedRows = require("../services/processedRows");
+const hierarchyStore = require("../services/hierarchyStore");
+const bidOptimizer = require("../services/bidOptimizer");
+const budgetOptimizer = require("../services/budgetOptimizer");
+const workspaceSettings = require("../services/workspaceSettings");
+const {
+  emptyTotals,
+  addTotals,
+  summarizeTotals,
+} = require("../utils/metrics");
+
+// Rejected rows read per query while a download streams
+const REJECTED_ROWS_BATCH = 1000;
 
 class AnalysisController {
   /**
@@ -79,6 +93,10 @@ class AnalysisController {
             filename: jobStatus.filename,
             status: jobStatus.status,
             completedAt: jobStatus.completed_at,
+            reportProfile: jobStatus.report_profile,
+            dateRange: jobStatus.date_range,
+            workspace: jobStatus.workspace,
+            dataQuality: jobStatus.data_quality,
             analysis: formattedResults,
             aiGenerated,
           },
@@ -94,6 +112,10 @@ class AnalysisController {
           filename: jobStatus.filename,
           status: jobStatus.status,
           completedAt: jobStatus.completed_at,
+          reportProfile: jobStatus.report_profile,
+          dateRange: jobStatus.date_range,
+          workspace: jobStatus.workspace,
+          dataQuality: jobStatus.data_quality,
           analysis: formattedResults,
           aiGenerated,
         },
@@ -111,6 +133,473 @@ class AnalysisController {
     }
   };
 
+  /**
+   * List rows rejected during validation for a job, with pagination
+   */
+  getRejectedRows = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { page, limit, code } = req.query;
+      const offset = (page - 1) * limit;
+
+      const jobStatus = await jobQueue.getJobStatus(id);
+      if (!jobStatus) {
+        return res.status(404).json({
+          success: false,
+          error: "Analysis not found",
+        });
+      }
+
+      let query = `
+        SELECT rr.row_number, rr.reason_code, rr.reason, rr.row_data
+        FROM rejected_rows rr
+        JOIN analysis_jobs aj ON rr.job_id = aj.id
+        WHERE aj.job_id = $1
+      `;
+      const queryParams = [id];
+      let paramIndex = 2;
+
+      if (code) {
+        query += ` AND rr.reason_code = $${paramIndex++}`;
+        queryParams.push(code);
+      }
+
+      query += ` ORDER BY rr.row_number LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
+      queryParams.push(limit, offset);
+
+      const result = await db.query(query, queryParams);
+
+      // Counts per reason code, so callers can see the breakdown without paging
+      const countResult = await db.query(
+        `
+        SELECT rr.reason_code, COUNT(*) AS count
+        FROM rejected_rows rr
+        JOIN analysis_jobs aj ON rr.job_id = aj.id
+        WHERE aj.job_id = $1
+        GROUP BY rr.reason_code
+      `,
+        [id]
+      );
+
+      const reasonCounts = {};
+      countResult.rows.forEach((row) => {
+        reasonCounts[row.reason_code] = parseInt(row.count);
+      });
+      const total = code
+        ? reasonCounts[code] || 0
+        : Object.values(reasonCounts).reduce((sum, count) => sum + count, 0);
+
+      res.json({
+        success: true,
+        data: {
+          jobId: id,
+          rejectedRows: result.rows.map((row) => ({
+            rowNumber: row.row_number,
+            code: row.reason_code,
+            reason: row.reason,
+            values: row.row_data,
+          })),
+          reasonCounts,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Error getting rejected rows:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to get rejected rows",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Settings a job was analysed with; the defaults for jobs that predate
+   * settings snapshots
+   */
+  loadSettings = async (jobId) => {
+    const result = await db.query(
+      "SELECT settings FROM analysis_jobs WHERE job_id = $1",
+      [jobId]
+    );
+    return workspaceSettings.resolve(
+      result.rows.length > 0 ? result.rows[0].settings : null
+    );
+  };
+
+  /**
+   * Recompute keyword bid recommendations for a completed analysis with
+   * other targets: targetAcos or targetRoas for the job, and per campaign
+   */
+  getBidRecommendations = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { limit, ...targets } = req.body;
+
+      const hierarchy = await hierarchyStore.loadHierarchy(id, { keywords: true });
+      if (!hierarchy) {
+        return res.status(404).json({
+          success: false,
+          error: "Analysis not found",
+          message: "No campaign hierarchy is stored for this analysis.",
+        });
+      }
+
+      const bids = bidOptimizer.recommend(
+        hierarchy,
+        targets,
+        await this.loadSettings(id)
+      );
+
+      res.json({
+        success: true,
+        data: {
+          jobId: id,
+          ...bids,
+          recommendations: bids.recommendations.slice(0, limit),
+        },
+      });
+    } catch (error) {
+      logger.error("Error getting bid recommendations:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to get bid recommendations",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Propose a redistribution of a fixed budget across the campaigns (or
+   * keywords) of a completed analysis
+   */
+  getBudgetAllocation = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const hierarchy = await hierarchyStore.loadHierarchy(id, {
+        keywords: req.body.level === "keyword",
+      });
+      if (!hierarchy) {
+        return res.status(404).json({
+          success: false,
+          error: "Analysis not found",
+          message: "No campaign hierarchy is stored for this analysis.",
+        });
+      }
+
+      const settings = await this.loadSettings(id);
+      const allocation = budgetOptimizer.optimize(hierarchy, {
+        elasticity: settings.budget.elasticity,
+        ...req.body,
+      });
+      if (allocation.error) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid budget constraints",
+          details: allocation.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { jobId: id, ...allocation },
+      });
+    } catch (error) {
+      logger.error("Error computing budget allocation:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to compute budget allocation",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Drill down through campaign > ad group > keyword metrics.
+   * No filter lists campaigns; ?campaign= lists its ad groups; adding
+   * ?adGroup= lists that ad group's keywords (paginated, optional ?matchType=).
+   */
+  getHierarchy = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { campaign, adGroup, matchType, page = 1, limit = 100 } = req.query;
+
+      const hierarchy = await hierarchyStore.loadHierarchy(id);
+      if (!hierarchy) {
+        return res.status(404).json({
+          success: false,
+          error: "Hierarchy not found",
+          message: "No campaign hierarchy is stored for this analysis.",
+        });
+      }
+
+      const withoutChildren = ({ adGroups, keywords, ...node }) => node;
+
+      if (!campaign) {
+        return res.json({
+          success: true,
+          data: {
+            jobId: id,
+            level: "account",
+            campaigns: hierarchy.campaigns.map(withoutChildren),
+            matchTypes: hierarchy.matchTypes,
+            portfolios: hierarchy.portfolios,
+            pruned: Boolean(hierarchy.pruned),
+          },
+        });
+      }
+
+      const campaignNode = hierarchy.campaigns.find(
+        (node) => node.name === campaign
+      );
+      if (!campaignNode) {
+        return res.status(404).json({
+          success: false,
+          error: "Campaign not found",
+        });
+      }
+
+      if (!adGroup) {
+        return res.json({
+          success: true,
+          data: {
+            jobId: id,
+            level: "campaign",
+            campaign: withoutChildren(campaignNode),
+            adGroups: campaignNode.adGroups.map(withoutChildren),
+            matchTypes: this.combineMatchTypes(campaignNode.adGroups),
+          },
+        });
+      }
+
+      const adGroupNode = campaignNode.adGroups.find(
+        (node) => node.name === adGroup
+      );
+      if (!adGroupNode) {
+        return res.status(404).json({
+          success: false,
+          error: "Ad group not found",
+        });
+      }
+
+      const { keywords, total } = await hierarchyStore.listKeywords(
+        id,
+        campaign,
+        adGroupNode,
+        { matchType, page, limit }
+      );
+
+      res.json({
+        success: true,
+        data: {
+          jobId: id,
+          level: "ad_group",
+          campaign: withoutChildren(campaignNode),
+          adGroup: withoutChildren(adGroupNode),
+          keywords,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Error getting campaign hierarchy:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to get campaign hierarchy",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Sum the per-match-type metrics of several ad groups
+   */
+  combineMatchTypes = (adGroups) => {
+    const combined = {};
+    adGroups.forEach((adGroup) => {
+      Object.entries(adGroup.matchTypes || {}).forEach(([type, metrics]) => {
+        combined[type] = addTotals(combined[type] || emptyTotals(), metrics);
+      });
+    });
+    return Object.fromEntries(
+      Object.entries(combined).map(([type, totals]) => [
+        type,
+        summarizeTotals(totals),
+      ])
+    );
+  };
+
+  /**
+   * Query the cleaned keyword-level rows of a job with range filters, text
+   * search, sorting, column selection and cursor pagination. Rows are
+   * written in batches while the file streams in, so they are only served
+   * once the job has completed: a running or failed job may hold only part.
+   */
+  getRows = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const jobResult = await db.query(
+        "SELECT id, status FROM analysis_jobs WHERE job_id = $1",
+        [id]
+      );
+      if (jobResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "Analysis not found",
+        });
+      }
+      if (jobResult.rows[0].status !== "completed") {
+        return res.status(409).json({
+          success: false,
+          error: "Analysis is not complete",
+          details: `Rows are available once the analysis has completed (status: ${jobResult.rows[0].status})`,
+        });
+      }
+
+      const page = await processedRows.queryRows(
+        jobResult.rows[0].id,
+        req.query
+      );
+      if (!page) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid cursor",
+          details: "The cursor does not match this sort order",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          jobId: id,
+          rows: page.rows,
+          sort: { field: req.query.sort, order: req.query.order },
+          pagination: {
+            limit: req.query.limit,
+            total: page.total,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Error querying analysis rows:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to get analysis rows",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Download all rejected rows for a job as CSV
+   */
+  downloadRejectedRows = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const jobStatus = await jobQueue.getJobStatus(id);
+      if (!jobStatus) {
+        return res.status(404).json({
+          success: false,
+          error: "Analysis not found",
+        });
+      }
+
+      // Original columns, in the order they first appear
+      const columns = await db.query(
+        `
+        SELECT col.key
+        FROM rejected_rows rr
+        JOIN analysis_jobs aj ON rr.job_id = aj.id
+        CROSS JOIN LATERAL jsonb_object_keys(rr.row_data) AS col(key)
+        WHERE aj.job_id = $1
+        GROUP BY col.key
+        ORDER BY MIN(rr.row_number), col.key
+      `,
+        [id]
+      );
+      const originalColumns = columns.rows.map((row) => row.key);
+
+      // Sets a quoted and an RFC 5987 encoded filename, whatever the upload was called
+      res.attachment(
+        `${jobStatus.filename.replace(/\.[^.]+$/, "")}_rejected_rows.csv`
+      );
+      res.write(
+        toCSVLine(["row_number", "reason_code", "reason", ...originalColumns])
+      );
+
+      // Stream the rows in row_number batches rather than loading them all
+      let lastRowNumber = 0;
+      for (;;) {
+        const batch = await db.query(
+          `
+          SELECT rr.row_number, rr.reason_code, rr.reason, rr.row_data
+          FROM rejected_rows rr
+          JOIN analysis_jobs aj ON rr.job_id = aj.id
+          WHERE aj.job_id = $1 AND rr.row_number > $2
+          ORDER BY rr.row_number
+          LIMIT $3
+        `,
+          [id, lastRowNumber, REJECTED_ROWS_BATCH]
+        );
+        batch.rows.forEach((row) => {
+          const values = row.row_data || {};
+          res.write(
+            toCSVLine([
+              row.row_number,
+              row.reason_code,
+              row.reason,
+              ...originalColumns.map((column) => values[column]),
+            ])
+          );
+        });
+        if (batch.rows.length < REJECTED_ROWS_BATCH) break;
+        lastRowNumber = batch.rows[batch.rows.length - 1].row_number;
+      }
+      res.end();
+    } catch (error) {
+      logger.error("Error downloading rejected rows:", error);
+      // Part of the file is already sent; cut it off rather than end it cleanly
+      if (res.headersSent) return res.destroy(error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to download rejected rows",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
   /**
    * Format analysis results for API response
    */
@@ -131,6 +620,15 @@ class AnalysisController {
         bottomPerformers: analysis.bottom_performers,
       },
       trends: analysis.trends,
+      patterns: analysis.patterns || null,
+      anomalies: analysis.anomalies || null,
+      timeSeries: analysis.time_series || null,
+      searchTerms: analysis.search_terms || null,
+      bidRecommendations: analysis.bid_recommendations || null,
+      budgetAllocation: analysis.budget_allocation || null,
+      profitability: analysis.profitability || null,
+      wastedSpend: analysis.wasted_spend || null,
+      settings: analysis.settings || null,
       insights: analysis.insights,
       tasks: analysis.tasks,
       optimizationTasks: optimizationTasks.map((task) => ({
@@ -139,6 +637,7 @@ class AnalysisController {
         description: task.description,
         estimatedImpact: task.estimated_impact,
         difficulty: task.difficulty,
+        confidence: task.confidence,
         status: task.status,
       })),
       aiGenerated: aiGenerated !== false,
@@ -184,7 +683,9 @@ class AnalysisController {
       await this.updateTaskStatus(id, "in_progress");
 
       // Run the multi-agent pipeline
-      const agentOutput = await runAgentPipeline(analysisResults.analysis);
+      const agentOutput = await runAgentPipeline(analysisResults.analysis, {
+        settings: workspaceSettings.resolve(analysisResults.analysis.settings),
+      });
       const agentTasks =
         agentOutput.tasks && agentOutput.tasks.tasks
           ? agentOutput.tasks.tasks
@@ -240,6 +741,7 @@ class AnalysisController {
           description,
           action_items,
           estimated_impact,
+          confidence,
           ot.status
         FROM optimization_tasks ot
         JOIN analysis_jobs aj ON ot.job_id = aj.id
@@ -379,18 +881,18 @@ class AnalysisController {
       if (enhancedTasks.length > 0) {
         const values = enhancedTasks
           .map((task, index) => {
-            const baseIndex = index * 7; // 7 columns per task
+            const baseIndex = index * 8; // 8 columns per task
             return `($${baseIndex + 1}, $${baseIndex + 2}, $${
               baseIndex + 3
             }, $${baseIndex + 4}, $${baseIndex + 5}, $${baseIndex + 6}, $${
               baseIndex + 7
-            })`;
+            }, $${baseIndex + 8})`;
           })
           .join(", ");
 
         const query = `
           INSERT INTO optimization_tasks 
-          (job_id, task_type, priority, description, action_items, estimated_impact, status)
+          (job_id, task_type, priority, description, action_items, estimated_impact, confidence, status)
           VALUES ${values}
         `;
 
@@ -401,6 +903,7 @@ class AnalysisController {
           task.description,
           JSON.stringify(task.actionItems),
           task.estimatedImpact || null,
+          task.confidence || null,
           task.status || "pending",
         ]);
         await db.query(query, queryValues);
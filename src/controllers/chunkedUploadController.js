@@ -0,0 +1,302 @@
+const fs = require("fs");
+const logger = require("../utils/logger");
+const chunkedUploads = require("../services/chunkedUploads");
+const uploadController = require("./uploadController");
+const { sanitizeFilename } = require("../middleware/validation");
+
+class ChunkedUploadController {
+  /**
+   * Start a resumable upload
+   */
+  initiateUpload = async (req, res) => {
+    try {
+      const { filename, fileSize, chunkSize, ...options } = req.body;
+
+      const columnMapping = await uploadController.resolveColumnMapping(
+        options
+      );
+      if (options.mappingId && !columnMapping) {
+        return res.status(400).json({
+          success: false,
+          error: "Column mapping not found",
+        });
+      }
+
+      const upload = await chunkedUploads.createUpload({
+        filename: sanitizeFilename(filename),
+        fileSize,
+        chunkSize,
+        options: {
+          columnMapping,
+          locale: options.locale,
+          delimiter: options.delimiter,
+          sheet: options.sheet,
+          archiveMode: options.archiveMode,
+          force: options.force,
+          workspace: options.workspace,
+          bidTargets: options.bidTargets,
+          totalSales: options.totalSales,
+        },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Upload started",
+        data: this.formatUpload(upload, []),
+      });
+    } catch (error) {
+      logger.error("Error starting chunked upload:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to start upload",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Get the chunks received so far, so a client can resume
+   */
+  getUploadStatus = async (req, res) => {
+    try {
+      const upload = await chunkedUploads.getUpload(req.params.id);
+      if (!upload) {
+        return this.notFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: this.formatUpload(
+          upload,
+          chunkedUploads.listReceivedChunks(upload)
+        ),
+      });
+    } catch (error) {
+      logger.error("Error getting chunked upload status:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to get upload status",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Receive one chunk as the raw request body
+   */
+  uploadChunk = async (req, res) => {
+    try {
+      const index = parseInt(req.params.index);
+      const upload = await chunkedUploads.getUpload(req.params.id);
+      if (!upload) {
+        return this.notFound(res);
+      }
+
+      if (upload.status !== "uploading") {
+        return res.status(409).json({
+          success: false,
+          error: "Upload is already being completed",
+        });
+      }
+
+      if (index >= upload.total_chunks) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid chunk index",
+          details: `Chunk index must be between 0 and ${upload.total_chunks - 1}`,
+        });
+      }
+
+      const result = await chunkedUploads.writeChunk(upload, index, req);
+      if (!result.accepted) {
+        return res.status(400).json({
+          success: false,
+          error: "Chunk size mismatch",
+          details: `Expected ${result.expected} bytes for chunk ${index}, received ${result.received}`,
+        });
+      }
+
+      const receivedChunks = chunkedUploads.listReceivedChunks(upload);
+
+      res.json({
+        success: true,
+        data: {
+          uploadId: upload.id,
+          index,
+          size: result.received,
+          receivedChunks: receivedChunks.length,
+          totalChunks: upload.total_chunks,
+        },
+      });
+    } catch (error) {
+      logger.error("Error receiving upload chunk:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to store chunk",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Assemble the chunks, verify size and checksum, then queue the analysis
+   */
+  completeUpload = async (req, res) => {
+    const { id } = req.params;
+    let assembledPath = null;
+    let claimed = false;
+
+    try {
+      const upload = await chunkedUploads.getUpload(id);
+      if (!upload) {
+        return this.notFound(res);
+      }
+
+      // A retried completion returns the jobs created the first time
+      if (upload.status === "completed") {
+        return res.json(uploadController.formatUploadResponse(upload.jobs));
+      }
+
+      const missingChunks = chunkedUploads.listMissingChunks(upload);
+      if (missingChunks.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Upload is incomplete",
+          details: `${missingChunks.length} of ${upload.total_chunks} chunks are missing`,
+          missingChunks,
+        });
+      }
+
+      claimed = await chunkedUploads.claimForAssembly(id);
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          error: "Upload is already being completed",
+        });
+      }
+
+      const assembled = await chunkedUploads.assemble(upload);
+      assembledPath = assembled.path;
+
+      if (assembled.size !== Number(upload.file_size)) {
+        return res.status(400).json({
+          success: false,
+          error: "File size mismatch",
+          details: `Expected ${upload.file_size} bytes, assembled ${assembled.size}`,
+        });
+      }
+
+      if (assembled.checksum !== req.body.checksum) {
+        return res.status(400).json({
+          success: false,
+          error: "Checksum mismatch",
+          details: "The assembled file does not match the provided SHA-256 checksum",
+        });
+      }
+
+      const jobs = await uploadController.startAnalysis(
+        {
+          originalname: upload.filename,
+          path: assembled.path,
+          size: assembled.size,
+        },
+        { ...upload.options, contentHash: assembled.checksum }
+      );
+      if (jobs.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Archive contains no supported report files",
+        });
+      }
+
+      // startAnalysis moved the file into the uploads directory
+      assembledPath = null;
+      await chunkedUploads.markCompleted(id, jobs);
+      claimed = false;
+
+      logger.info(`Chunked upload ${id} completed with ${jobs.length} job(s)`);
+
+      res
+        .status(uploadController.uploadStatusCode(jobs))
+        .json(uploadController.formatUploadResponse(jobs));
+    } catch (error) {
+      logger.error("Error completing chunked upload:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to complete upload",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    } finally {
+      // Chunks are kept on failure so the client can fix them and retry
+      if (assembledPath && fs.existsSync(assembledPath)) {
+        fs.unlinkSync(assembledPath);
+      }
+      if (claimed) {
+        await chunkedUploads.releaseAssembly(id).catch((error) => {
+          logger.error("Error releasing chunked upload:", error);
+        });
+      }
+    }
+  };
+
+  /**
+   * Abort an upload and delete its chunks
+   */
+  cancelUpload = async (req, res) => {
+    try {
+      const removed = await chunkedUploads.removeUpload(req.params.id);
+      if (!removed) {
+        return this.notFound(res);
+      }
+
+      res.json({
+        success: true,
+        message: "Upload cancelled",
+        data: { uploadId: req.params.id },
+      });
+    } catch (error) {
+      logger.error("Error cancelling chunked upload:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to cancel upload",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  notFound = (res) =>
+    res.status(404).json({
+      success: false,
+      error: "Upload not found",
+      message: "No active upload with the provided ID. It may have expired.",
+    });
+
+  formatUpload = (upload, receivedChunks) => ({
+    uploadId: upload.id,
+    filename: upload.filename,
+    fileSize: Number(upload.file_size),
+    chunkSize: upload.chunk_size,
+    totalChunks: upload.total_chunks,
+    status: upload.status,
+    receivedChunks,
+    jobs: upload.jobs || [],
+    expiresAt: upload.expires_at,
+  });
+}
+
+module.exports = new ChunkedUploadController();
@@ -0,0 +1,144 @@
+const logger = require("../utils/logger");
+const db = require("../config/database");
+
+class MappingController {
+  /**
+   * Save a column mapping
+   */
+  createMapping = async (req, res) => {
+    try {
+      const { name, source, mapping } = req.body;
+
+      const query = `
+        INSERT INTO column_mappings (name, source, mapping)
+        VALUES ($1, $2, $3)
+        RETURNING id, name, source, mapping, created_at
+      `;
+
+      const result = await db.query(query, [
+        name,
+        source || null,
+        JSON.stringify(mapping),
+      ]);
+
+      logger.info(`Created column mapping ${result.rows[0].id}`);
+
+      res.status(201).json({
+        success: true,
+        message: "Column mapping saved successfully",
+        data: this.formatMapping(result.rows[0]),
+      });
+    } catch (error) {
+      logger.error("Error creating column mapping:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to save column mapping",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * List saved column mappings, optionally for one upload source
+   */
+  listMappings = async (req, res) => {
+    try {
+      const { source } = req.query;
+
+      let query = `
+        SELECT id, name, source, mapping, created_at
+        FROM column_mappings
+      `;
+      const queryParams = [];
+
+      if (source) {
+        query += " WHERE source = $1";
+        queryParams.push(source);
+      }
+
+      query += " ORDER BY created_at DESC";
+
+      const result = await db.query(query, queryParams);
+
+      res.json({
+        success: true,
+        data: {
+          mappings: result.rows.map(this.formatMapping),
+        },
+      });
+    } catch (error) {
+      logger.error("Error listing column mappings:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to list column mappings",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Delete a saved column mapping
+   */
+  deleteMapping = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const result = await db.query(
+        "DELETE FROM column_mappings WHERE id = $1 RETURNING id",
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "Column mapping not found",
+        });
+      }
+
+      logger.info(`Deleted column mapping ${id}`);
+
+      res.json({
+        success: true,
+        message: "Column mapping deleted successfully.",
+        data: { id },
+      });
+    } catch (error) {
+      logger.error("Error deleting column mapping:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to delete column mapping",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Look up a saved mapping by ID, returning its header-to-field object
+   */
+  getMappingById = async (id) => {
+    const result = await db.query(
+      "SELECT mapping FROM column_mappings WHERE id = $1",
+      [id]
+    );
+    return result.rows.length > 0 ? result.rows[0].mapping : null;
+  };
+
+  formatMapping = (row) => ({
+    id: row.id,
+    name: row.name,
+    source: row.source,
+    mapping: row.mapping,
+    createdAt: row.created_at,
+  });
+}
+
+module.exports = new MappingController();
@@ -0,0 +1,185 @@
+const fs = require("fs");
+const logger = require("../utils/logger");
+const margins = require("../services/margins");
+
+class MarginController {
+  /**
+   * List a workspace's product and campaign margins
+   */
+  listMargins = async (req, res) => {
+    try {
+      const { workspace } = req.params;
+      const entries = await margins.listMargins(workspace);
+
+      res.json({
+        success: true,
+        data: this.formatMargins(workspace, entries),
+      });
+    } catch (error) {
+      logger.error("Error listing margins:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to list margins",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Create or update margins entered per ASIN/SKU or campaign
+   */
+  saveMargins = async (req, res) => {
+    try {
+      const { workspace } = req.params;
+      const saved = await margins.saveMargins(
+        workspace,
+        req.body.margins,
+        req.body.replace
+      );
+
+      logger.info(`Saved ${saved} margins for workspace ${workspace}`);
+
+      res.json({
+        success: true,
+        message: "Margins saved successfully",
+        data: {
+          saved,
+          ...this.formatMargins(workspace, await margins.listMargins(workspace)),
+        },
+      });
+    } catch (error) {
+      logger.error("Error saving margins:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to save margins",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Import margins from an uploaded CSV, TSV or XLSX file
+   */
+  uploadMargins = async (req, res) => {
+    const file = req.file;
+
+    try {
+      const { workspace } = req.params;
+      const result = await margins.readMarginFile(file.path, {
+        locale: req.body.locale,
+        delimiter: req.body.delimiter,
+        sheet: req.body.sheet,
+        units: req.body.units,
+      });
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid margin file",
+          details: result.error,
+        });
+      }
+      if (result.entries.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid margin file",
+          details: "The file holds no valid margins",
+          data: { rows: result.rows, skipped: result.skipped, errors: result.errors },
+        });
+      }
+
+      const saved = await margins.saveMargins(
+        workspace,
+        result.entries,
+        req.body.replace
+      );
+
+      logger.info(
+        `Imported ${saved} margins for workspace ${workspace} from ${file.originalname}`
+      );
+
+      res.json({
+        success: true,
+        message: "Margins imported successfully",
+        data: {
+          workspace,
+          rows: result.rows,
+          saved,
+          skipped: result.skipped,
+          errors: result.errors,
+          units: result.units,
+          truncated: result.truncated,
+          warnings: result.warnings,
+        },
+      });
+    } catch (error) {
+      logger.error("Error importing margins:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to import margins",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    } finally {
+      // Margin files are read once and never kept
+      if (file && file.path && fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    }
+  };
+
+  /**
+   * Delete a workspace's margins, one scope of them or a single one
+   */
+  deleteMargins = async (req, res) => {
+    try {
+      const { workspace } = req.params;
+      const { scope, name } = req.query;
+      const deleted = await margins.deleteMargins(workspace, scope, name);
+
+      if (deleted === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "Margins not found",
+        });
+      }
+
+      logger.info(`Deleted ${deleted} margins for workspace ${workspace}`);
+
+      res.json({
+        success: true,
+        message: "Margins deleted successfully.",
+        data: { workspace, deleted },
+      });
+    } catch (error) {
+      logger.error("Error deleting margins:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to delete margins",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Format a workspace's margins for API response
+   */
+  formatMargins = (workspace, entries) => ({
+    workspace,
+    products: entries.filter((entry) => entry.scope === "product"),
+    campaigns: entries.filter((entry) => entry.scope === "campaign"),
+  });
+}
+
+module.exports = new MarginController();
@@ -0,0 +1,136 @@
+const logger = require("../utils/logger");
+const qualityRules = require("../services/qualityRules");
+
+class QualityRuleController {
+  /**
+   * List the available rules with their default settings
+   */
+  listRules = async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: {
+          rules: qualityRules.listRules(),
+          severities: qualityRules.severities,
+        },
+      });
+    } catch (error) {
+      logger.error("Error listing quality rules:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to list quality rules",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Get the rule set stored for a workspace or report profile, and the
+   * rules that result from it
+   */
+  getRuleSet = async (req, res) => {
+    try {
+      const { scope, name } = req.params;
+      const ruleSet = await qualityRules.getRuleSet(scope, name);
+
+      res.json({
+        success: true,
+        data: this.formatRuleSet(scope, name, ruleSet),
+      });
+    } catch (error) {
+      logger.error("Error getting quality rule set:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to get quality rule set",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Create or replace the rule set of a workspace or report profile
+   */
+  saveRuleSet = async (req, res) => {
+    try {
+      const { scope, name } = req.params;
+      const ruleSet = await qualityRules.saveRuleSet(
+        scope,
+        name,
+        req.body.rules
+      );
+
+      logger.info(`Saved quality rules for ${scope} ${name}`);
+
+      res.json({
+        success: true,
+        message: "Quality rules saved successfully",
+        data: this.formatRuleSet(scope, name, ruleSet),
+      });
+    } catch (error) {
+      logger.error("Error saving quality rule set:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to save quality rules",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Remove a stored rule set so the defaults apply again
+   */
+  deleteRuleSet = async (req, res) => {
+    try {
+      const { scope, name } = req.params;
+      const deleted = await qualityRules.deleteRuleSet(scope, name);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: "Quality rule set not found",
+        });
+      }
+
+      logger.info(`Deleted quality rules for ${scope} ${name}`);
+
+      res.json({
+        success: true,
+        message: "Quality rules deleted successfully.",
+        data: { scope, name },
+      });
+    } catch (error) {
+      logger.error("Error deleting quality rule set:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to delete quality rules",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * `effective` is this rule set over the defaults. At upload time a
+   * workspace's rule set is applied over the report profile's as well.
+   */
+  formatRuleSet = (scope, name, ruleSet) => ({
+    scope,
+    name,
+    rules: ruleSet ? ruleSet.rules : null,
+    effective: qualityRules.resolve([ruleSet ? ruleSet.rules : null]),
+    updatedAt: ruleSet ? ruleSet.updated_at : null,
+  });
+}
+
+module.exports = new QualityRuleController();
@@ -0,0 +1,118 @@
+const logger = require("../utils/logger");
+const workspaceSettings = require("../services/workspaceSettings");
+
+class SettingsController {
+  /**
+   * Built-in targets and thresholds
+   */
+  getDefaults = async (req, res) => {
+    res.json({
+      success: true,
+      data: { defaults: workspaceSettings.defaults },
+    });
+  };
+
+  /**
+   * Get the settings a workspace overrides and the effective settings
+   */
+  getSettings = async (req, res) => {
+    try {
+      const { workspace } = req.params;
+      const stored = await workspaceSettings.getSettings(workspace);
+
+      res.json({
+        success: true,
+        data: this.formatSettings(workspace, stored),
+      });
+    } catch (error) {
+      logger.error("Error getting workspace settings:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to get workspace settings",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Create or replace a workspace's settings; new uploads use them
+   */
+  saveSettings = async (req, res) => {
+    try {
+      const { workspace } = req.params;
+      const stored = await workspaceSettings.saveSettings(
+        workspace,
+        req.body.settings
+      );
+
+      logger.info(`Saved settings for workspace ${workspace}`);
+
+      res.json({
+        success: true,
+        message: "Workspace settings saved successfully",
+        data: this.formatSettings(workspace, stored),
+      });
+    } catch (error) {
+      logger.error("Error saving workspace settings:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to save workspace settings",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Remove a workspace's settings so the defaults apply again
+   */
+  deleteSettings = async (req, res) => {
+    try {
+      const { workspace } = req.params;
+      const deleted = await workspaceSettings.deleteSettings(workspace);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: "Workspace settings not found",
+        });
+      }
+
+      logger.info(`Deleted settings for workspace ${workspace}`);
+
+      res.json({
+        success: true,
+        message: "Workspace settings deleted successfully.",
+        data: { workspace },
+      });
+    } catch (error) {
+      logger.error("Error deleting workspace settings:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to delete workspace settings",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  };
+
+  /**
+   * Format stored settings for API response: `settings` is what the
+   * workspace overrides, `effective` those over the defaults
+   */
+  formatSettings = (workspace, stored) => ({
+    workspace,
+    settings: stored ? stored.settings : null,
+    effective: workspaceSettings.resolve(stored ? stored.settings : null),
+    updatedAt: stored ? stored.updated_at : null,
+  });
+}
+
+module.exports = new SettingsController();
@@ -4,6 +4,11 @@ const fs = require("fs");
 const logger = require("../utils/logger");
 const db = require("../config/database");
 const jobQueue = require("../services/jobQueue");
+const csvProcessor = require("../services/csvProcessor");
+const fileReaders = require("../services/fileReaders");
+const qualityRules = require("../services/qualityRules");
+const { hashFile, hashOptions } = require("../utils/contentHash");
+const mappingController = require("./mappingController");
 
 class UploadController {
   /**
@@ -20,76 +25,328 @@ class UploadController {
         });
       }
 
-      // Generate unique job ID
-      const jobId = uuidv4();
-
-      // Create uploads directory if it doesn't exist
-      const uploadDir = process.env.UPLOAD_PATH || "./uploads";
-      if (!fs.existsSync(uploadDir)) {
-        fs.mkdirSync(uploadDir, { recursive: true });
+      const columnMapping = await this.resolveColumnMapping(req.body);
+      if (req.body.mappingId && !columnMapping) {
+        fs.unlinkSync(file.path);
+        return res.status(400).json({
+          success: false,
+          error: "Column mapping not found",
+        });
       }
 
-      // Generate unique filename
-      const timestamp = Date.now();
-      const fileExtension = path.extname(file.originalname);
-      const uniqueFilename = `${timestamp}_${jobId}${fileExtension}`;
-      const filePath = path.join(uploadDir, uniqueFilename);
+      const jobs = await this.startAnalysis(
+        { originalname: file.originalname, path: file.path, size: file.size },
+        { ...req.body, columnMapping }
+      );
+      if (jobs.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Archive contains no supported report files",
+        });
+      }
 
-      // Move file to uploads directory
-      fs.renameSync(file.path, filePath);
+      res.status(this.uploadStatusCode(jobs)).json(this.formatUploadResponse(jobs));
+    } catch (error) {
+      logger.error("Error in file upload:", error);
 
-      // Store job metadata in database
-      await this.createJobRecord(jobId, file.originalname, filePath, file.size);
+      // Clean up uploaded file if it exists
+      if (req.file && req.file.path && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
 
-      // Add job to processing queue
-      const queueJobId = await jobQueue.addAnalysisJob({
-        jobId,
-        filePath,
-        filename: file.originalname,
+      res.status(500).json({
+        success: false,
+        error: "Failed to upload file",
+        details:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
       });
+    }
+  };
 
-      logger.info(
-        `File upload successful. Job ID: ${jobId}, Queue Job ID: ${queueJobId}`
-      );
+  /**
+   * Move a received file into the uploads directory and queue its analysis jobs.
+   * Returns the created jobs; empty when an archive holds no supported reports.
+   * Content already analysed by a completed job returns that job instead,
+   * unless options.force is set.
+   */
+  startAnalysis = async (source, options = {}) => {
+    // Generate unique job ID
+    const jobId = uuidv4();
+    const contentHash = options.contentHash || (await hashFile(source.path));
+
+    // Create uploads directory if it doesn't exist
+    const uploadDir = process.env.UPLOAD_PATH || "./uploads";
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+
+    // Generate unique filename, keeping compound extensions such as .csv.gz
+    const timestamp = Date.now();
+    const compoundExtension = source.originalname.match(/\.[^.]+\.gz$/i);
+    const fileExtension = compoundExtension
+      ? compoundExtension[0]
+      : path.extname(source.originalname);
+    const uniqueFilename = `${timestamp}_${jobId}${fileExtension}`;
+    const filePath = path.join(uploadDir, uniqueFilename);
+
+    // Move file to uploads directory
+    fs.renameSync(source.path, filePath);
+
+    const processingOptions = {
+      columnMapping: options.columnMapping || null,
+      locale: options.locale,
+      delimiter: options.delimiter,
+      sheet: options.sheet,
+      workspace: options.workspace || "default",
+      bidTargets: options.bidTargets || null,
+      totalSales: options.totalSales || null,
+    };
+
+    // The stored file is removed if anything fails before a job is queued to read it
+    const jobs = [];
+    try {
+      // A zip can be analysed as one combined job or as one job per report
+      const reports =
+        fileReaders.isArchive(filePath) && options.archiveMode === "separate"
+          ? (await fileReaders.listArchiveEntries(filePath, { hash: true })).map(
+              (entry) => ({
+                filename: `${source.originalname}/${entry.path}`,
+                fileSize: entry.size,
+                contentHash: entry.hash,
+                entry: entry.path,
+              })
+            )
+          : [
+              {
+                filename: source.originalname,
+                fileSize: source.size,
+                contentHash,
+              },
+            ];
+
+      for (const report of reports) {
+        const { workspace, ...analysisOptions } = processingOptions;
+        const optionsHash = hashOptions({ ...analysisOptions, entry: report.entry });
+        const previousJob = await this.findCompletedJobByHash(
+          report.contentHash,
+          workspace,
+          optionsHash
+        );
+        if (previousJob && !options.force) {
+          logger.info(
+            `Upload ${report.filename} duplicates completed job ${previousJob.job_id}`
+          );
+          jobs.push({
+            jobId: previousJob.job_id,
+            filename: previousJob.filename,
+            fileSize: Number(previousJob.file_size),
+            status: previousJob.status,
+            duplicate: true,
+          });
+          continue;
+        }
+
+        jobs.push(
+          await this.queueAnalysis({
+            jobId: jobs.length === 0 ? jobId : uuidv4(),
+            filePath,
+            ...report,
+            ...processingOptions,
+            optionsHash,
+            duplicateOf: previousJob ? previousJob.job_id : null,
+          })
+        );
+      }
+
+      // Nothing was queued, so nothing will read the stored file
+      if (jobs.every((job) => job.duplicate)) {
+        fs.unlinkSync(filePath);
+      }
 
-      res.status(201).json({
+      return jobs;
+    } catch (error) {
+      if (jobs.every((job) => job.duplicate) && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * 201 when at least one job was queued, 200 when every job already existed
+   */
+  uploadStatusCode = (jobs) => (jobs.every((job) => job.duplicate) ? 200 : 201);
+
+  /**
+   * Response body for a finished upload, listing every job it maps to
+   */
+  formatUploadResponse = (jobs) => {
+    const allDuplicates = jobs.every((job) => job.duplicate);
+    return {
+      success: true,
+      message: allDuplicates
+        ? "File was already analysed; returning the existing results. Send force=true to analyse it again."
+        : "File uploaded successfully",
+      data: {
+        ...jobs[0],
+        jobs,
+        duplicate: allDuplicates,
+        estimatedProcessingTime: allDuplicates ? null : "2-5 minutes",
+      },
+    };
+  };
+
+  /**
+   * Most recent completed job for the same file content in a workspace,
+   * processed with the same options, or null; other workspaces analyse with
+   * their own rules, settings and margins
+   */
+  findCompletedJobByHash = async (contentHash, workspace, optionsHash) => {
+    const result = await db.query(
+      `SELECT job_id, filename, file_size, status
+       FROM analysis_jobs
+       WHERE content_hash = $1 AND workspace = $2 AND options_hash = $3
+         AND status = 'completed'
+       ORDER BY completed_at DESC
+       LIMIT 1`,
+      [contentHash, workspace, optionsHash]
+    );
+    return result.rows[0] || null;
+  };
+
+  /**
+   * Create the job record for a stored file and add it to the processing queue
+   */
+  queueAnalysis = async ({
+    jobId,
+    filename,
+    filePath,
+    fileSize,
+    columnMapping,
+    contentHash,
+    optionsHash,
+    duplicateOf,
+    ...options
+  }) => {
+    await this.createJobRecord(jobId, filename, filePath, fileSize, {
+      columnMapping,
+      contentHash,
+      optionsHash,
+      duplicateOf,
+      workspace: options.workspace,
+    });
+
+    const queueJobId = await jobQueue.addAnalysisJob({
+      jobId,
+      filePath,
+      filename,
+      columnMapping,
+      ...options,
+    });
+
+    logger.info(
+      `File upload successful. Job ID: ${jobId}, Queue Job ID: ${queueJobId}`
+    );
+
+    return {
+      jobId,
+      filename,
+      fileSize,
+      status: "pending",
+      duplicate: false,
+      duplicateOf: duplicateOf || null,
+    };
+  };
+
+  /**
+   * Parse the first rows of an uploaded file without creating a job
+   */
+  previewUpload = async (req, res) => {
+    const file = req.file;
+
+    try {
+      if (!file) {
+        return res.status(400).json({
+          success: false,
+          error: "No file uploaded",
+        });
+      }
+
+      const columnMapping = await this.resolveColumnMapping(req.body);
+      if (req.body.mappingId && !columnMapping) {
+        return res.status(400).json({
+          success: false,
+          error: "Column mapping not found",
+        });
+      }
+
+      const preview = await csvProcessor.previewCSV(file.path, {
+        maxRows: req.body.rows,
+        columnMapping,
+        locale: req.body.locale,
+        delimiter: req.body.delimiter,
+        sheet: req.body.sheet,
+        qualityRules: await qualityRules.loadRuleSets(req.body.workspace),
+      });
+
+      res.json({
         success: true,
-        message: "File uploaded successfully",
         data: {
-          jobId,
           filename: file.originalname,
           fileSize: file.size,
-          status: "pending",
-          estimatedProcessingTime: "2-5 minutes",
+          ...preview,
         },
       });
     } catch (error) {
-      logger.error("Error in file upload:", error);
-
-      // Clean up uploaded file if it exists
-      if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
-
+      logger.error("Error previewing upload:", error);
       res.status(500).json({
         success: false,
-        error: "Failed to upload file",
+        error: "Failed to preview file",
         details:
           process.env.NODE_ENV === "development"
             ? error.message
             : "Internal server error",
       });
+    } finally {
+      // Previews are never persisted
+      if (file && file.path && fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
     }
   };
 
+  /**
+   * Resolve the column mapping for an upload, either saved (mappingId) or sent inline (mapping)
+   */
+  resolveColumnMapping = async (body = {}) => {
+    if (body.mappingId) {
+      return mappingController.getMappingById(body.mappingId);
+    }
+    return body.mapping || null;
+  };
+
   /**
    * Create job record in database
    */
-  createJobRecord = async (jobId, filename, filePath, fileSize) => {
+  createJobRecord = async (
+    jobId,
+    filename,
+    filePath,
+    fileSize,
+    {
+      columnMapping = null,
+      contentHash = null,
+      optionsHash = null,
+      duplicateOf = null,
+      workspace = "default",
+    } = {}
+  ) => {
     try {
       const query = `
-        INSERT INTO analysis_jobs (job_id, filename, file_path, file_size, status)
-        VALUES ($1, $2, $3, $4, 'pending')
+        INSERT INTO analysis_jobs (job_id, filename, file_path, file_size, column_mapping, content_hash, options_hash, duplicate_of, workspace, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending')
         RETURNING id
       `;
 
@@ -98,6 +355,11 @@ class UploadController {
         filename,
         filePath,
         fileSize,
+        columnMapping ? JSON.stringify(columnMapping) : null,
+        contentHash,
+        optionsHash,
+        duplicateOf,
+        workspace,
       ]);
 
       logger.info(`Created job record with ID: ${result.rows[0].id}`);
@@ -132,6 +394,11 @@ class UploadController {
           status: jobStatus.status,
           progress: jobStatus.progress,
           errorMessage: jobStatus.error_message,
+          reportProfile: jobStatus.report_profile,
+          duplicateOf: jobStatus.duplicate_of,
+          dateRange: jobStatus.date_range,
+          workspace: jobStatus.workspace,
+          dataQuality: jobStatus.data_quality,
           createdAt: jobStatus.created_at,
           updatedAt: jobStatus.updated_at,
           completedAt: jobStatus.completed_at,
@@ -165,6 +432,11 @@ class UploadController {
           file_size,
           status,
           progress,
+          report_profile,
+          duplicate_of,
+          workspace,
+          (data_quality->>'score')::float AS quality_score,
+          (SELECT d.filename FROM analysis_jobs d WHERE d.job_id = analysis_jobs.duplicate_of) AS duplicate_of_filename,
           created_at,
           updated_at,
           completed_at
@@ -239,8 +511,15 @@ class UploadController {
 
       const filePath = jobResult.rows[0].file_path;
 
+      // Archives split into one job per report share a file; keep it while any job uses it
+      const sharedResult = await db.query(
+        "SELECT COUNT(*) FROM analysis_jobs WHERE file_path = $1",
+        [filePath]
+      );
+      const fileInUse = parseInt(sharedResult.rows[0].count) > 0;
+
       // Remove file from uploads directory
-      if (fs.existsSync(filePath)) {
+      if (!fileInUse && fs.existsSync(filePath)) {
         fs.unlinkSync(filePath);
         logger.info(`Deleted file: ${filePath}`);
       }
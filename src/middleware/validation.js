@@ -1,5 +1,124 @@
+const fs = require('fs');
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const csvProcessor = require('../services/csvProcessor');
+const numberParser = require('../utils/numberParser');
+const { supportedExtensions, supportedMimeTypes } = require('../services/fileReaders');
+const chunkedUploads = require('../services/chunkedUploads');
+const processedRows = require('../services/processedRows');
+const qualityRules = require('../services/qualityRules');
+const reportProfiles = require('../services/reportProfiles');
+const budgetOptimizer = require('../services/budgetOptimizer');
+const margins = require('../services/margins');
+
+// Joi with JSON-string coercion for objects, for structured fields sent in multipart forms
+const JsonJoi = Joi.extend((joi) => ({
+  type: 'object',
+  base: joi.object(),
+  coerce: {
+    from: 'string',
+    method(value) {
+      try {
+        return { value: JSON.parse(value) };
+      } catch (error) {
+        return { value };
+      }
+    }
+  }
+}));
+
+// Raw header -> internal field name
+const columnMappingObject = JsonJoi.object()
+  .pattern(Joi.string(), Joi.string().valid(...csvProcessor.supportedColumns))
+  .min(1);
+
+// Number locale for parsing numeric cells: 'auto' or a BCP 47 tag such as 'de-DE'
+const numberLocale = Joi.string().max(35).custom((value, helpers) => {
+  if (!numberParser.isSupportedLocale(value)) {
+    return helpers.message(`"locale" '${value}' is not a supported locale`);
+  }
+  return value;
+});
+
+// Delimiter for text uploads; 'tab' is accepted since a literal tab is awkward in form fields
+const fileDelimiter = Joi.string().valid('auto', ',', ';', '|', '\t', 'tab');
+
+// Client-side filename of a chunked upload; must carry a supported report extension
+const reportFilename = Joi.string().max(255).custom((value, helpers) => {
+  const name = value.toLowerCase();
+  if (!supportedExtensions.some((extension) => name.endsWith(extension))) {
+    return helpers.message(`"filename" must end with one of ${supportedExtensions.join(', ')}`);
+  }
+  return value;
+});
+
+// Workspace an upload belongs to; selects its data-quality rules
+const workspaceName = Joi.string().pattern(/^[a-zA-Z0-9_-]{1,64}$/)
+  .messages({ 'string.pattern.base': '"workspace" may only contain letters, digits, "-" and "_" (max 64)' });
+
+// Bid target: an ACOS (%) or a ROAS, for a job or for one campaign
+const bidTarget = {
+  targetAcos: Joi.number().greater(0).max(1000),
+  targetRoas: Joi.number().greater(0).max(1000)
+};
+const campaignBidTargets = Joi.object().pattern(
+  Joi.string().max(500),
+  Joi.object(bidTarget).xor('targetAcos', 'targetRoas')
+);
+const bidTargets = JsonJoi.object({
+  ...bidTarget,
+  campaigns: campaignBidTargets
+}).oxor('targetAcos', 'targetRoas');
+
+// Total (ad and organic) sales over the report period, for TACoS
+const totalSales = Joi.number().greater(0);
+
+// Sales response to spend in budget reallocation
+const elasticity = Joi.number().greater(0).less(1);
+
+// Workspace targets and thresholds; anything left out keeps its default
+const percent = Joi.number().min(0).max(1000);
+const settingsSections = {
+  targets: Joi.object({
+    targetAcos: Joi.number().greater(0).max(1000)
+  }),
+  thresholds: Joi.object({
+    lowCTR: percent,
+    highCTR: percent,
+    highROAS: Joi.number().min(0),
+    highACOS: percent,
+    highCost: Joi.number().min(0)
+  }),
+  searchTerms: Joi.object({
+    minNegativeClicks: Joi.number().integer().min(0),
+    minNegativeSpend: Joi.number().min(0),
+    poorAcos: percent,
+    harvestMinConversions: Joi.number().integer().min(1)
+  }),
+  bids: Joi.object({
+    minClicks: Joi.number().integer().min(1),
+    minClicksWithoutOrders: Joi.number().integer().min(1)
+  }),
+  budget: Joi.object({
+    elasticity
+  })
+};
+
+// Settings per data-quality rule; any rule left out keeps its default
+const qualitySeverity = Joi.string().valid(...qualityRules.severities);
+const qualityRuleSet = Joi.object({
+  non_negative: Joi.object({
+    severity: qualitySeverity,
+    fields: Joi.array().items(Joi.string().valid(...csvProcessor.numericFields)).min(1)
+  }),
+  clicks_within_impressions: Joi.object({
+    severity: qualitySeverity
+  }),
+  max_value: Joi.object({
+    severity: qualitySeverity,
+    limits: Joi.object().pattern(Joi.string().valid(...csvProcessor.numericFields), Joi.number().positive()).min(1)
+  })
+}).min(1);
 
 /**
  * Validation schemas
@@ -8,7 +127,7 @@ const schemas = {
   // File upload validation
   uploadFile: Joi.object({
     originalname: Joi.string().required(),
-    mimetype: Joi.string().valid('text/csv', 'application/csv').required(),
+    mimetype: Joi.string().valid(...supportedMimeTypes).required(),
     size: Joi.number().max(parseInt(process.env.MAX_FILE_SIZE) || 104857600).required(),
     fieldname: Joi.string().optional(),
     encoding: Joi.string().optional(),
@@ -17,11 +136,193 @@ const schemas = {
     path: Joi.string().optional(),
   }).unknown(true),
 
+  // Optional fields sent alongside the uploaded file
+  uploadOptions: Joi.object({
+    mappingId: Joi.string().uuid().optional(),
+    mapping: columnMappingObject.optional(),
+    locale: numberLocale.optional(),
+    delimiter: fileDelimiter.optional(),
+    sheet: Joi.string().max(31).optional(),
+    archiveMode: Joi.string().valid('merge', 'separate').default('merge'),
+    force: Joi.boolean().default(false),
+    workspace: workspaceName.default('default'),
+    bidTargets: bidTargets.optional(),
+    totalSales: totalSales.optional()
+  }).oxor('mappingId', 'mapping'),
+
+  // Upload preview options
+  previewOptions: Joi.object({
+    mappingId: Joi.string().uuid().optional(),
+    mapping: columnMappingObject.optional(),
+    locale: numberLocale.optional(),
+    delimiter: fileDelimiter.optional(),
+    sheet: Joi.string().max(31).optional(),
+    rows: Joi.number().integer().min(1).max(1000).default(200),
+    workspace: workspaceName.default('default')
+  }).oxor('mappingId', 'mapping'),
+
+  // Start a resumable chunked upload
+  chunkedUpload: Joi.object({
+    filename: reportFilename.required(),
+    fileSize: Joi.number().integer().min(1).max(chunkedUploads.maxFileSize).required(),
+    chunkSize: Joi.number().integer()
+      .min(chunkedUploads.minChunkSize)
+      .max(chunkedUploads.maxChunkSize)
+      .optional(),
+    mappingId: Joi.string().uuid().optional(),
+    mapping: columnMappingObject.optional(),
+    locale: numberLocale.optional(),
+    delimiter: fileDelimiter.optional(),
+    sheet: Joi.string().max(31).optional(),
+    archiveMode: Joi.string().valid('merge', 'separate').default('merge'),
+    force: Joi.boolean().default(false),
+    workspace: workspaceName.default('default'),
+    bidTargets: bidTargets.optional(),
+    totalSales: totalSales.optional()
+  }).oxor('mappingId', 'mapping'),
+
+  // Finish a chunked upload; checksum is the SHA-256 of the whole file
+  completeChunkedUpload: Joi.object({
+    checksum: Joi.string().hex().length(64).lowercase().required()
+  }),
+
+  // Chunked upload ID and chunk index validation
+  uploadId: Joi.object({
+    id: Joi.string().uuid().required(),
+    index: Joi.number().integer().min(0).optional()
+  }),
+
+  // Rejected-row listing: optional reason code filter and paging
+  rejectedRowsQuery: Joi.object({
+    code: Joi.string().max(64).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(1000).default(50)
+  }),
+
+  // Campaign hierarchy drill-down filters
+  hierarchyQuery: Joi.object({
+    campaign: Joi.string().max(500).optional(),
+    adGroup: Joi.string().max(500).optional(),
+    matchType: Joi.string().max(64).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(1000).default(100)
+  }).with('adGroup', 'campaign'),
+
+  // Keyword-level row query: min[field]/max[field] ranges, q searches keyword and search term,
+  // columns is a comma-separated field list and cursor comes from the previous page
+  rowsQuery: Joi.object({
+    min: Joi.object().pattern(Joi.string().valid(...processedRows.numericFields), Joi.number()).default({}),
+    max: Joi.object().pattern(Joi.string().valid(...processedRows.numericFields), Joi.number()).default({}),
+    q: Joi.string().trim().min(1).max(200).optional(),
+    campaign: Joi.string().max(500).optional(),
+    adGroup: Joi.string().max(500).optional(),
+    matchType: Joi.string().max(64).optional(),
+    sort: Joi.string().valid(...processedRows.numericFields, ...processedRows.textFields).default('cost'),
+    order: Joi.string().valid('asc', 'desc').default('desc'),
+    columns: Joi.string().max(1000).custom((value, helpers) => {
+      const fields = [...new Set(value.split(',').map(field => field.trim()).filter(Boolean))];
+      const unknown = fields.find(field => !processedRows.selectableFields.includes(field));
+      if (unknown) {
+        return helpers.message(`"columns" contains unknown field '${unknown}'`);
+      }
+      return fields.length > 0 ? fields : undefined;
+    }).optional(),
+    limit: Joi.number().integer().min(1).max(1000).default(100),
+    cursor: Joi.string().max(2000).optional(),
+    total: Joi.boolean().default(true)
+  }),
+
+  // Bid recommendations for other targets than the job's
+  bidRecommendationRequest: Joi.object({
+    ...bidTarget,
+    campaigns: campaignBidTargets.default({}),
+    limit: Joi.number().integer().min(1).max(10000).default(1000)
+  }).oxor('targetAcos', 'targetRoas'),
+
+  // Budget reallocation: a fixed total (default: current spend) spread over
+  // campaigns or keywords, each within optional min/max bounds
+  budgetAllocationRequest: Joi.object({
+    totalBudget: Joi.number().min(0).optional(),
+    ...bidTarget,
+    level: Joi.string().valid('campaign', 'keyword').default('campaign'),
+    elasticity: elasticity.optional(),
+    constraints: Joi.object().pattern(
+      Joi.string().max(2000),
+      Joi.object({
+        min: Joi.number().min(0),
+        max: Joi.number().min(0)
+      }).or('min', 'max')
+    ).default({}),
+    limit: Joi.number().integer().min(1).max(10000).default(budgetOptimizer.defaultLimit)
+  }).oxor('targetAcos', 'targetRoas'),
+
+  // Data-quality rule set for a workspace or a report profile
+  qualityRuleSet: Joi.object({
+    rules: qualityRuleSet.required()
+  }),
+
+  // Rule set scope: a workspace name or a registered report profile
+  qualityRuleScope: Joi.object({
+    scope: Joi.string().valid(...qualityRules.scopes).required(),
+    name: Joi.when('scope', {
+      is: 'profile',
+      then: Joi.string().valid(...reportProfiles.list().map((profile) => profile.name)),
+      otherwise: workspaceName
+    }).required()
+  }),
+
+  // Targets and thresholds of a workspace
+  workspaceSettings: Joi.object({
+    settings: Joi.object(settingsSections).min(1).required()
+  }),
+
+  // Workspace whose settings or product margins are read or changed
+  workspaceParams: Joi.object({
+    workspace: workspaceName.required()
+  }),
+
+  // Margins (%) entered per ASIN/SKU or campaign; replace drops the others
+  marginSet: Joi.object({
+    margins: Joi.array().items(Joi.object({
+      scope: Joi.string().valid(...margins.scopes).required(),
+      name: Joi.string().trim().min(1).max(500).required(),
+      margin: Joi.number().min(0).max(100).required()
+    })).min(1).max(100000).required(),
+    replace: Joi.boolean().default(false)
+  }),
+
+  // Options sent alongside an uploaded margin file
+  marginUpload: Joi.object({
+    replace: Joi.boolean().default(false),
+    locale: numberLocale.optional(),
+    delimiter: fileDelimiter.optional(),
+    sheet: Joi.string().max(31).optional(),
+    units: Joi.string().valid(...margins.units).default('auto')
+  }),
+
+  // Margins to delete: all, one scope, or one ASIN/SKU or campaign
+  marginDelete: Joi.object({
+    scope: Joi.string().valid(...margins.scopes).optional(),
+    name: Joi.string().max(500).optional()
+  }).with('name', 'scope'),
+
   // Job ID validation
   jobId: Joi.object({
     id: Joi.string().uuid().required()
   }),
 
+  // Saved column mapping
+  columnMapping: Joi.object({
+    name: Joi.string().max(255).required(),
+    source: Joi.string().max(255).optional(),
+    mapping: columnMappingObject.required()
+  }),
+
+  // Column mapping ID validation
+  mappingId: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+
   // Optimization request validation
   optimizeRequest: Joi.object({
     priority: Joi.string().valid('high', 'medium', 'low').optional(),
@@ -29,6 +330,16 @@ const schemas = {
   })
 };
 
+/**
+ * Remove a file multer stored for a request that is being rejected, since
+ * no handler will get to it
+ */
+const discardUpload = (req) => {
+  if (req.file && req.file.path && fs.existsSync(req.file.path)) {
+    fs.unlinkSync(req.file.path);
+  }
+};
+
 /**
  * Generic validation middleware
  */
@@ -38,6 +349,7 @@ const validate = (schema, property = 'body') => {
     
     if (error) {
       logger.warn(`Validation error: ${error.details[0].message}`);
+      discardUpload(req);
       return res.status(400).json({
         success: false,
         error: 'Validation failed',
@@ -66,6 +378,7 @@ const validateFileUpload = (req, res, next) => {
   
   if (error) {
     logger.warn(`File validation error: ${error.details[0].message}`);
+    discardUpload(req);
     return res.status(400).json({
       success: false,
       error: 'Invalid file',
@@ -94,16 +407,61 @@ const validateJobId = (req, res, next) => {
   next();
 };
 
+/**
+ * Column mapping ID validation middleware
+ */
+const validateMappingId = (req, res, next) => {
+  const { error } = schemas.mappingId.validate({ id: req.params.id });
+
+  if (error) {
+    logger.warn(`Mapping ID validation error: ${error.details[0].message}`);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid mapping ID',
+      details: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Chunked upload ID (and chunk index, when present) validation middleware
+ */
+const validateUploadId = (req, res, next) => {
+  const { error } = schemas.uploadId.validate({
+    id: req.params.id,
+    index: req.params.index
+  });
+
+  if (error) {
+    logger.warn(`Upload ID validation error: ${error.details[0].message}`);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid upload ID',
+      details: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Replace characters outside [a-zA-Z0-9.-] in a client-supplied filename
+ */
+const sanitizeFilename = (filename) => filename.replace(/[^a-zA-Z0-9.-]/g, '_');
+
 /**
  * Sanitize file data
  */
 const sanitizeFileData = (req, res, next) => {
   if (req.file) {
     // Sanitize filename
-    req.file.originalname = req.file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    req.file.originalname = sanitizeFilename(req.file.originalname);
     
-    // Ensure file extension is .csv
-    if (!req.file.originalname.toLowerCase().endsWith('.csv')) {
+    // Ensure file has a supported extension
+    const name = req.file.originalname.toLowerCase();
+    if (!supportedExtensions.some((extension) => name.endsWith(extension))) {
       req.file.originalname += '.csv';
     }
   }
@@ -173,7 +531,10 @@ module.exports = {
   validate,
   validateFileUpload,
   validateJobId,
+  validateMappingId,
+  validateUploadId,
   sanitizeFileData,
+  sanitizeFilename,
   validateRateLimit,
   errorHandler,
   requestLogger,
@@ -4,9 +4,22 @@ const path = require("path");
 const fs = require("fs");
 const uploadController = require("../controllers/uploadController");
 const analysisController = require("../controllers/analysisController");
+const mappingController = require("../controllers/mappingController");
+const chunkedUploadController = require("../controllers/chunkedUploadController");
+const qualityRuleController = require("../controllers/qualityRuleController");
+const marginController = require("../controllers/marginController");
+const settingsController = require("../controllers/settingsController");
 const {
+  supportedExtensions,
+  supportedMimeTypes,
+} = require("../services/fileReaders");
+const {
+  validate,
+  schemas,
   validateFileUpload,
   validateJobId,
+  validateMappingId,
+  validateUploadId,
   sanitizeFileData,
   validateRateLimit,
   errorHandler,
@@ -38,11 +51,15 @@ const upload = multer({
     files: 1,
   },
   fileFilter: (req, file, cb) => {
-    // Check file type
-    if (file.mimetype === "text/csv" || file.mimetype === "application/csv") {
+    // Check file type: CSV, TSV/delimited text or XLSX
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (
+      supportedExtensions.includes(extension) &&
+      supportedMimeTypes.includes(file.mimetype)
+    ) {
       cb(null, true);
     } else {
-      cb(new Error("Only CSV files are allowed"), false);
+      cb(new Error("Only CSV, TSV and XLSX files are allowed"), false);
     }
   },
 });
@@ -53,17 +70,88 @@ router.use(validateRateLimit);
 
 /**
  * @route   POST /api/upload
- * @desc    Upload CSV file for analysis
+ * @desc    Upload CSV, TSV, XLSX, gzip or zip file for analysis (optional mappingId or inline mapping, archiveMode)
  * @access  Public
  */
 router.post(
   "/upload",
   upload.single("file"),
   validateFileUpload,
+  validate(schemas.uploadOptions),
   sanitizeFileData,
   uploadController.uploadFile
 );
 
+/**
+ * @route   POST /api/upload/preview
+ * @desc    Parse the first rows of a CSV file without creating a job
+ * @access  Public
+ */
+router.post(
+  "/upload/preview",
+  upload.single("file"),
+  validateFileUpload,
+  validate(schemas.previewOptions),
+  sanitizeFileData,
+  uploadController.previewUpload
+);
+
+/**
+ * @route   POST /api/upload/chunked
+ * @desc    Start a resumable chunked upload (filename, fileSize, optional chunkSize and upload options)
+ * @access  Public
+ */
+router.post(
+  "/upload/chunked",
+  validate(schemas.chunkedUpload),
+  chunkedUploadController.initiateUpload
+);
+
+/**
+ * @route   GET /api/upload/chunked/:id
+ * @desc    Get the chunks received so far for a chunked upload
+ * @access  Public
+ */
+router.get(
+  "/upload/chunked/:id",
+  validateUploadId,
+  chunkedUploadController.getUploadStatus
+);
+
+/**
+ * @route   PUT /api/upload/chunked/:id/chunks/:index
+ * @desc    Upload one chunk (zero-based index) as the raw request body
+ * @access  Public
+ */
+router.put(
+  "/upload/chunked/:id/chunks/:index",
+  validateUploadId,
+  chunkedUploadController.uploadChunk
+);
+
+/**
+ * @route   POST /api/upload/chunked/:id/complete
+ * @desc    Assemble the chunks, verify the SHA-256 checksum and queue the analysis
+ * @access  Public
+ */
+router.post(
+  "/upload/chunked/:id/complete",
+  validateUploadId,
+  validate(schemas.completeChunkedUpload),
+  chunkedUploadController.completeUpload
+);
+
+/**
+ * @route   DELETE /api/upload/chunked/:id
+ * @desc    Cancel a chunked upload and delete its chunks
+ * @access  Public
+ */
+router.delete(
+  "/upload/chunked/:id",
+  validateUploadId,
+  chunkedUploadController.cancelUpload
+);
+
 /**
  * @route   GET /api/uploads
  * @desc    List all uploads with pagination
@@ -92,6 +180,166 @@ router.get("/upload/:id", validateJobId, uploadController.getUploadStatus);
  */
 router.delete("/upload/:id", validateJobId, uploadController.deleteUpload);
 
+/**
+ * @route   POST /api/mappings
+ * @desc    Save a column mapping
+ * @access  Public
+ */
+router.post(
+  "/mappings",
+  validate(schemas.columnMapping),
+  mappingController.createMapping
+);
+
+/**
+ * @route   GET /api/mappings
+ * @desc    List saved column mappings (optionally filtered by source)
+ * @access  Public
+ */
+router.get("/mappings", mappingController.listMappings);
+
+/**
+ * @route   DELETE /api/mappings/:id
+ * @desc    Delete a saved column mapping
+ * @access  Public
+ */
+router.delete(
+  "/mappings/:id",
+  validateMappingId,
+  mappingController.deleteMapping
+);
+
+/**
+ * @route   GET /api/quality-rules
+ * @desc    List data-quality rules and their defaults
+ * @access  Public
+ */
+router.get("/quality-rules", qualityRuleController.listRules);
+
+/**
+ * @route   GET /api/quality-rules/:scope/:name
+ * @desc    Get the rule set of a workspace or report profile
+ * @access  Public
+ */
+router.get(
+  "/quality-rules/:scope/:name",
+  validate(schemas.qualityRuleScope, "params"),
+  qualityRuleController.getRuleSet
+);
+
+/**
+ * @route   PUT /api/quality-rules/:scope/:name
+ * @desc    Create or replace the rule set of a workspace or report profile
+ * @access  Public
+ */
+router.put(
+  "/quality-rules/:scope/:name",
+  validate(schemas.qualityRuleScope, "params"),
+  validate(schemas.qualityRuleSet),
+  qualityRuleController.saveRuleSet
+);
+
+/**
+ * @route   DELETE /api/quality-rules/:scope/:name
+ * @desc    Delete a rule set, restoring the defaults
+ * @access  Public
+ */
+router.delete(
+  "/quality-rules/:scope/:name",
+  validate(schemas.qualityRuleScope, "params"),
+  qualityRuleController.deleteRuleSet
+);
+
+/**
+ * @route   GET /api/settings
+ * @desc    Get the default targets and thresholds
+ * @access  Public
+ */
+router.get("/settings", settingsController.getDefaults);
+
+/**
+ * @route   GET /api/settings/:workspace
+ * @desc    Get a workspace's targets and thresholds
+ * @access  Public
+ */
+router.get(
+  "/settings/:workspace",
+  validate(schemas.workspaceParams, "params"),
+  settingsController.getSettings
+);
+
+/**
+ * @route   PUT /api/settings/:workspace
+ * @desc    Create or replace a workspace's targets and thresholds
+ * @access  Public
+ */
+router.put(
+  "/settings/:workspace",
+  validate(schemas.workspaceParams, "params"),
+  validate(schemas.workspaceSettings),
+  settingsController.saveSettings
+);
+
+/**
+ * @route   DELETE /api/settings/:workspace
+ * @desc    Delete a workspace's settings, restoring the defaults
+ * @access  Public
+ */
+router.delete(
+  "/settings/:workspace",
+  validate(schemas.workspaceParams, "params"),
+  settingsController.deleteSettings
+);
+
+/**
+ * @route   GET /api/margins/:workspace
+ * @desc    List a workspace's product and campaign margins
+ * @access  Public
+ */
+router.get(
+  "/margins/:workspace",
+  validate(schemas.workspaceParams, "params"),
+  marginController.listMargins
+);
+
+/**
+ * @route   PUT /api/margins/:workspace
+ * @desc    Create or update margins per ASIN/SKU or campaign (optional replace)
+ * @access  Public
+ */
+router.put(
+  "/margins/:workspace",
+  validate(schemas.workspaceParams, "params"),
+  validate(schemas.marginSet),
+  marginController.saveMargins
+);
+
+/**
+ * @route   POST /api/margins/:workspace/upload
+ * @desc    Import margins from a CSV, TSV or XLSX file (optional replace)
+ * @access  Public
+ */
+router.post(
+  "/margins/:workspace/upload",
+  upload.single("file"),
+  validateFileUpload,
+  validate(schemas.workspaceParams, "params"),
+  validate(schemas.marginUpload),
+  marginController.uploadMargins
+);
+
+/**
+ * @route   DELETE /api/margins/:workspace
+ * @desc    Delete a workspace's margins (optional scope and name)
+ * @access  Public
+ */
+router.delete(
+  "/margins/:workspace",
+  validate(schemas.workspaceParams, "params"),
+  validate(schemas.marginDelete, "query"),
+  marginController.deleteMargins
+);
+
 /**
  * @route   GET /api/analysis/stats
  * @desc    Get analysis statistics
@@ -106,6 +354,77 @@ router.get("/analysis/stats", analysisController.getAnalysisStats);
  */
 router.get("/analysis/:id", validateJobId, analysisController.getAnalysis);
 
+/**
+ * @route   GET /api/analysis/:id/rejected-rows
+ * @desc    List rows rejected during validation (paginated, optional ?code=)
+ * @access  Public
+ */
+router.get(
+  "/analysis/:id/rejected-rows",
+  validateJobId,
+  validate(schemas.rejectedRowsQuery, "query"),
+  analysisController.getRejectedRows
+);
+
+/**
+ * @route   GET /api/analysis/:id/hierarchy
+ * @desc    Drill down campaign > ad group > keyword metrics (?campaign=, ?adGroup=, ?matchType=)
+ * @access  Public
+ */
+router.get(
+  "/analysis/:id/hierarchy",
+  validateJobId,
+  validate(schemas.hierarchyQuery, "query"),
+  analysisController.getHierarchy
+);
+
+/**
+ * @route   POST /api/analysis/:id/bid-recommendations
+ * @desc    Keyword bid recommendations for a target ACOS or ROAS (job-wide or per campaign)
+ * @access  Public
+ */
+router.post(
+  "/analysis/:id/bid-recommendations",
+  validateJobId,
+  validate(schemas.bidRecommendationRequest),
+  analysisController.getBidRecommendations
+);
+
+/**
+ * @route   POST /api/analysis/:id/budget-allocation
+ * @desc    Redistribute a fixed budget across campaigns or keywords by marginal ROAS
+ * @access  Public
+ */
+router.post(
+  "/analysis/:id/budget-allocation",
+  validateJobId,
+  validate(schemas.budgetAllocationRequest),
+  analysisController.getBudgetAllocation
+);
+
+/**
+ * @route   GET /api/analysis/:id/rows
+ * @desc    Query cleaned keyword-level rows (ranges, search, sort, columns, cursor)
+ * @access  Public
+ */
+router.get(
+  "/analysis/:id/rows",
+  validateJobId,
+  validate(schemas.rowsQuery, "query"),
+  analysisController.getRows
+);
+
+/**
+ * @route   GET /api/analysis/:id/rejected-rows/download
+ * @desc    Download rejected rows as CSV
+ * @access  Public
+ */
+router.get(
+  "/analysis/:id/rejected-rows/download",
+  validateJobId,
+  analysisController.downloadRejectedRows
+);
+
 /**
  * @route   POST /api/optimize/:id
  * @desc    Generate optimization strategies for a completed analysis
@@ -157,14 +476,57 @@ router.get("/info", (req, res) => {
       baseUrl,
       endpoints: {
         upload: {
-          "POST /api/upload": "Upload CSV file for analysis",
+          "POST /api/upload": "Upload CSV, TSV, XLSX, gzip or zip file for analysis",
+          "POST /api/upload/preview": "Preview how a CSV file will be parsed",
+          "POST /api/upload/chunked": "Start a resumable chunked upload",
+          "GET /api/upload/chunked/:id": "Get received chunks of a chunked upload",
+          "PUT /api/upload/chunked/:id/chunks/:index": "Upload one chunk",
+          "POST /api/upload/chunked/:id/complete":
+            "Verify checksum and queue a chunked upload for analysis",
+          "DELETE /api/upload/chunked/:id": "Cancel a chunked upload",
           "GET /api/upload/:id": "Get upload status",
           "GET /api/uploads": "List all uploads",
           "DELETE /api/upload/:id": "Delete upload",
           "GET /api/upload/stats": "Get upload statistics",
         },
+        mappings: {
+          "POST /api/mappings": "Save a column mapping",
+          "GET /api/mappings": "List saved column mappings",
+          "DELETE /api/mappings/:id": "Delete a column mapping",
+        },
+        qualityRules: {
+          "GET /api/quality-rules": "List data-quality rules and defaults",
+          "GET /api/quality-rules/:scope/:name":
+            "Get a workspace or report profile rule set",
+          "PUT /api/quality-rules/:scope/:name":
+            "Save a workspace or report profile rule set",
+          "DELETE /api/quality-rules/:scope/:name": "Delete a rule set",
+        },
+        settings: {
+          "GET /api/settings": "Get the default targets and thresholds",
+          "GET /api/settings/:workspace": "Get a workspace's settings",
+          "PUT /api/settings/:workspace": "Save a workspace's settings",
+          "DELETE /api/settings/:workspace": "Delete a workspace's settings",
+        },
+        margins: {
+          "GET /api/margins/:workspace": "List product and campaign margins",
+          "PUT /api/margins/:workspace": "Save margins per ASIN/SKU or campaign",
+          "POST /api/margins/:workspace/upload": "Import margins from a file",
+          "DELETE /api/margins/:workspace": "Delete margins",
+        },
         analysis: {
           "GET /api/analysis/:id": "Get analysis results",
+          "GET /api/analysis/:id/rejected-rows": "List rejected rows",
+          "GET /api/analysis/:id/hierarchy":
+            "Drill down campaign, ad group and keyword metrics",
+          "POST /api/analysis/:id/bid-recommendations":
+            "Recommend keyword bids for a target ACOS or ROAS",
+          "POST /api/analysis/:id/budget-allocation":
+            "Redistribute a fixed budget across campaigns or keywords",
+          "GET /api/analysis/:id/rows":
+            "Query cleaned keyword-level rows with filters, sorting and cursor pagination",
+          "GET /api/analysis/:id/rejected-rows/download":
+            "Download rejected rows as CSV",
           "POST /api/optimize/:id": "Generate optimization strategies",
           "GET /api/analysis/stats": "Get analysis statistics",
         },
@@ -175,7 +537,7 @@ router.get("/info", (req, res) => {
       },
       fileUpload: {
         maxSize: "100MB",
-        supportedFormats: ["CSV"],
+        supportedFormats: ["CSV", "TSV", "XLSX", "GZ", "ZIP"],
         fieldName: "file",
       },
       responseFormat: {
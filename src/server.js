@@ -8,6 +8,9 @@ const path = require("path");
 const fs = require("fs");
 
 const logger = require("./utils/logger");
+const { ensureSchema } = require("./config/schema");
+const chunkedUploads = require("./services/chunkedUploads");
+const jobQueue = require("./services/jobQueue");
 const apiRoutes = require("./routes/api");
 
 // Initialize Express app
@@ -69,6 +72,9 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // A large chunked upload sends many chunk requests; the upload itself is still counted
+  skip: (req) =>
+    req.method === "PUT" && /^\/upload\/chunked\/[^/]+\/chunks\//.test(req.path),
 });
 
 app.use("/api/", limiter);
@@ -154,6 +160,7 @@ app.use((err, req, res, next) => {
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
+  if (!server) process.exit(0);
 
   server.close(() => {
     logger.info("HTTP server closed.");
@@ -175,13 +182,29 @@ const gracefulShutdown = (signal) => {
   }, 30000);
 };
 
-// Start server
-const server = app.listen(PORT, () => {
-  logger.info(`🚀 Ad Optimize AI Backend server running on port ${PORT}`);
-  logger.info(`📊 Environment: ${process.env.NODE_ENV || "development"}`);
-  logger.info(`🔗 API Documentation: http://localhost:${PORT}/api/info`);
-  logger.info(`💚 Health Check: http://localhost:${PORT}/api/health`);
-});
+// Apply schema changes before anything reads or writes the new columns;
+// without them the server does not start
+let server = null;
+const start = async () => {
+  try {
+    await ensureSchema();
+  } catch (error) {
+    logger.error("Failed to apply database schema changes:", error);
+    process.exit(1);
+  }
+
+  chunkedUploads.startCleanup();
+  jobQueue.start();
+
+  server = app.listen(PORT, () => {
+    logger.info(`🚀 Ad Optimize AI Backend server running on port ${PORT}`);
+    logger.info(`📊 Environment: ${process.env.NODE_ENV || "development"}`);
+    logger.info(`🔗 API Documentation: http://localhost:${PORT}/api/info`);
+    logger.info(`💚 Health Check: http://localhost:${PORT}/api/health`);
+  });
+};
+
+start();
 
 // Handle graceful shutdown
 process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
@@ -0,0 +1,975 @@
+const {
+  UNASSIGNED,
+  emptyTotals,
+  addTotals,
+  summarizeTotals,
+  isConverting,
+  keepHeaviest,
+} = require("../utils/metrics");
+const {
+  quantile,
+  describe,
+  modifiedZScore,
+  Reservoir,
+} = require("../utils/robustStats");
+const {
+  LEVELS,
+  INSUFFICIENT_DATA,
+  OBSERVED,
+  wilsonInterval,
+  roasInterval,
+  verdictConfidence,
+  overallConfidence,
+} = require("../utils/confidence");
+const SearchTermAccumulator = require("./searchTermAccumulator");
+const ProfitabilityAccumulator = require("./profitabilityAccumulator");
+const WastedSpendAccumulator = require("./wastedSpendAccumulator");
+const workspaceSettings = require("./workspaceSettings");
+
+// Longest top/bottom performer list any analysis view returns
+const MAX_PERFORMERS = 10;
+
+// Keywords listed per pattern/anomaly; the count always covers every row
+const MAX_LISTED_KEYWORDS = 1000;
+
+// Per-row derived metrics screened for statistical outliers
+const OUTLIER_METRICS = [
+  "calculated_ctr",
+  "calculated_cpc",
+  "calculated_conversion_rate",
+  "calculated_roas",
+  "calculated_acos",
+];
+
+// Values per metric the median and MAD are estimated from; exact below this
+const OUTLIER_SAMPLE_SIZE = 10000;
+
+// Most extreme rows kept per metric and direction as outlier candidates
+const OUTLIER_CANDIDATES = 25;
+
+// Fewest values a metric needs before it is screened
+const MIN_OUTLIER_SAMPLE = 10;
+
+// Modified z-score beyond which a value is an outlier (Iglewicz and Hoaglin)
+const MODIFIED_Z_LIMIT = 3.5;
+
+// Tukey fence, in IQRs, used when over half the values equal the median
+const IQR_FENCE = 1.5;
+
+// Outlier rows listed in the analysis, most extreme first
+const MAX_LISTED_OUTLIERS = 100;
+
+// Hierarchy nodes tracked per level; past these the half with the least
+// cost and sales is dropped (see AnalysisAccumulator.pruneHierarchy)
+const MAX_TRACKED_CAMPAIGNS = 10000;
+const MAX_TRACKED_AD_GROUPS = 20000;
+const MAX_TRACKED_KEYWORDS = 100000;
+
+/**
+ * The best `limit` rows under a sort comparator, kept as rows arrive.
+ * Equal rows keep their arrival order, so the list always matches
+ * rows.sort(compare).slice(0, limit) over the same rows.
+ */
+class TopRows {
+  constructor(limit, compare) {
+    this.limit = limit;
+    this.compare = compare;
+    this.rows = [];
+  }
+
+  offer(row) {
+    const { rows, compare } = this;
+    if (rows.length === this.limit && compare(row, rows[rows.length - 1]) >= 0) {
+      return;
+    }
+    let index = rows.length;
+    while (index > 0 && compare(row, rows[index - 1]) < 0) {
+      index--;
+    }
+    rows.splice(index, 0, row);
+    if (rows.length > this.limit) {
+      rows.pop();
+    }
+  }
+
+  take(count) {
+    return this.rows.slice(0, count);
+  }
+}
+
+const orderCount = (row) => row.conversions || row.orders || 0;
+
+/**
+ * Interval of a row's CTR (%) at z, from its clicks out of impressions
+ */
+function ctrInterval(row, z) {
+  const bounds = wilsonInterval(row.clicks || 0, row.impressions || 0, z);
+  return bounds && { low: bounds.low * 100, high: bounds.high * 100 };
+}
+
+/**
+ * Interval of a row's ROAS at z (see roasInterval)
+ */
+function rowRoasInterval(row, z, fallbackOrderValue = 0) {
+  return roasInterval(
+    { clicks: row.clicks, orders: orderCount(row), sales: row.sales, cost: row.cost },
+    z,
+    fallbackOrderValue
+  );
+}
+
+/**
+ * Confidence that a row's ROAS lies above or below baseline. A row with
+ * sales but no order count (a report without an orders or conversions
+ * column) has no conversion rate to build an interval on, so its verdict
+ * rests on its observed ROAS.
+ */
+function roasConfidence(row, baseline, direction, fallbackOrderValue = 0) {
+  if (row.sales > 0 && orderCount(row) === 0) {
+    const roas = row.cost ? row.sales / row.cost : Infinity;
+    const holds = direction === "above" ? roas > baseline : roas < baseline;
+    return holds ? OBSERVED : INSUFFICIENT_DATA;
+  }
+  return verdictConfidence(
+    (z) => rowRoasInterval(row, z, fallbackOrderValue),
+    baseline,
+    direction
+  );
+}
+
+/**
+ * Keywords of the rows matching a condition, counted by how confident each
+ * verdict is. count and keywords cover the high, medium and observed rows
+ * only; the rest are counted as insufficientData.
+ */
+class VerdictList {
+  constructor() {
+    this.levels = { high: 0, medium: 0, [OBSERVED]: 0, [INSUFFICIENT_DATA]: 0 };
+    this.keywords = [];
+  }
+
+  add(row, confidence) {
+    this.levels[confidence]++;
+    if (confidence !== INSUFFICIENT_DATA && this.keywords.length < MAX_LISTED_KEYWORDS) {
+      this.keywords.push(row.keyword);
+    }
+  }
+
+  get count() {
+    return this.levels.high + this.levels.medium + this.levels[OBSERVED];
+  }
+
+  get insufficientData() {
+    return this.levels[INSUFFICIENT_DATA];
+  }
+
+  /**
+   * Pattern/anomaly entry of the list
+   */
+  describe(type) {
+    return {
+      type,
+      count: this.count,
+      keywords: this.keywords,
+      confidence: { ...this.levels },
+      insufficientData: this.insufficientData,
+    };
+  }
+}
+
+/**
+ * Rows that did not convert (no conversion, order or sale). Whether a row
+ * converts worse than the account depends on the account conversion rate,
+ * only known once every row is in, so rows are counted per click count and
+ * the most clicked are kept to list.
+ */
+class ZeroConversionList {
+  constructor() {
+    this.byClicks = new Map();
+    this.rows = new TopRows(MAX_LISTED_KEYWORDS, (a, b) => (b.clicks || 0) - (a.clicks || 0));
+  }
+
+  add(row) {
+    const clicks = row.clicks || 0;
+    this.byClicks.set(clicks, (this.byClicks.get(clicks) || 0) + 1);
+    this.rows.offer(row);
+  }
+
+  /**
+   * VerdictList of the rows whose conversion rate is confidently below
+   * conversionRate (a 0-1 share), most clicked first. Without a rate (no
+   * order counts in the report) every row stands on its observed value.
+   */
+  resolve(conversionRate) {
+    const confidenceAt = (clicks) =>
+      conversionRate === null
+        ? OBSERVED
+        : verdictConfidence((z) => wilsonInterval(0, clicks, z), conversionRate, "below");
+    const list = new VerdictList();
+    for (const [clicks, count] of this.byClicks) {
+      list.levels[confidenceAt(clicks)] += count;
+    }
+    list.keywords = this.rows.rows
+      .filter((row) => confidenceAt(row.clicks || 0) !== INSUFFICIENT_DATA)
+      .map((row) => row.keyword);
+    return list;
+  }
+}
+
+/**
+ * Outlier screening for one metric in a single pass. A sample of the values
+ * gives the median and MAD, and the most extreme rows in each direction are
+ * kept as candidates; once every row is in, the candidates beyond the
+ * threshold are the outliers. Scores are modified z-scores, or distances
+ * beyond the quartiles in IQRs when the MAD is zero.
+ */
+class OutlierTracker {
+  constructor(metric) {
+    this.metric = metric;
+    this.sample = new Reservoir(OUTLIER_SAMPLE_SIZE);
+    this.high = new TopRows(OUTLIER_CANDIDATES, (a, b) => b[metric] - a[metric]);
+    this.low = new TopRows(OUTLIER_CANDIDATES, (a, b) => a[metric] - b[metric]);
+  }
+
+  add(row) {
+    const value = row[this.metric];
+    if (typeof value !== "number" || !Number.isFinite(value)) return;
+    this.sample.add(value);
+    this.high.offer(row);
+    this.low.offer(row);
+  }
+
+  /**
+   * Median, spread and scoring method, or null when the metric cannot be
+   * screened (too few values, or no spread at all)
+   */
+  getStats() {
+    if (this.sample.seen < MIN_OUTLIER_SAMPLE) return null;
+    const stats = describe(this.sample.values);
+    if (stats.mad > 0) {
+      return { ...stats, method: "mad", threshold: MODIFIED_Z_LIMIT };
+    }
+    if (stats.q3 - stats.q1 > 0) {
+      return { ...stats, method: "iqr", threshold: IQR_FENCE };
+    }
+    return null;
+  }
+
+  score(value, stats) {
+    if (stats.method === "mad") {
+      return Math.abs(modifiedZScore(value, stats));
+    }
+    const iqr = stats.q3 - stats.q1;
+    if (value > stats.q3) return (value - stats.q3) / iqr;
+    if (value < stats.q1) return (stats.q1 - value) / iqr;
+    return 0;
+  }
+
+  /**
+   * Outlier rows among the candidates, and the share of sampled values
+   * beyond the threshold scaled to every value seen
+   */
+  getOutliers() {
+    const stats = this.getStats();
+    if (!stats) return null;
+
+    const outliers = [];
+    const seen = new Set();
+    for (const row of [...this.high.rows, ...this.low.rows]) {
+      if (seen.has(row)) continue;
+      seen.add(row);
+      const value = row[this.metric];
+      const deviation = this.score(value, stats);
+      if (deviation > stats.threshold) {
+        outliers.push({
+          keyword: row.keyword,
+          search_term: row.search_term || null,
+          campaign: row.campaign || null,
+          ad_group: row.ad_group || null,
+          metric: this.metric,
+          value,
+          median: stats.median,
+          deviation,
+          direction: value > stats.median ? "high" : "low",
+          method: stats.method,
+        });
+      }
+    }
+
+    const sampled = this.sample.values.filter(
+      (value) => this.score(value, stats) > stats.threshold
+    ).length;
+    const count =
+      this.sample.seen === this.sample.values.length
+        ? sampled
+        : Math.round((sampled / this.sample.values.length) * this.sample.seen);
+
+    return {
+      metric: this.metric,
+      method: stats.method,
+      median: stats.median,
+      mad: stats.mad,
+      q1: stats.q1,
+      q3: stats.q3,
+      values: this.sample.seen,
+      // Never fewer than the outliers actually listed
+      count: Math.max(count, outliers.length),
+      outliers,
+    };
+  }
+}
+
+/**
+ * Single-pass analysis of cleaned rows.
+ *
+ * Rows are fed one at a time with add() as they are parsed, so a report is
+ * never held in memory: only running totals, counters, the top and bottom
+ * performers and the campaign hierarchy are kept. The hierarchy (like the
+ * profitability and search-term rollups) is bounded: past MAX_TRACKED_KEYWORDS
+ * keywords (or the ad group and campaign limits) the half with the least cost
+ * and sales is dropped and the hierarchy is marked pruned. toAnalysis() returns the
+ * DataAnalyzerAgent output and toReport() the CSVProcessor.generateAnalysis
+ * output, both the same as sorting and filtering the full row array. The one
+ * estimate is the outlier count of files with over OUTLIER_SAMPLE_SIZE rows,
+ * whose median and MAD come from a sample. options.settings holds the
+ * workspace thresholds (the defaults when left out); options.margins (from
+ * MarginService.loadMargins) and options.totalSales feed the profitability.
+ */
+class AnalysisAccumulator {
+  constructor(options = {}) {
+    this.settings = options.settings || workspaceSettings.resolve();
+    this.thresholds = this.settings.thresholds;
+    this.rowCount = 0;
+    this.totals = {
+      impressions: 0,
+      clicks: 0,
+      cost: 0,
+      sales: 0,
+      conversions: 0,
+    };
+    // Conversions, else orders, of every row
+    this.orders = 0;
+    this.averages = {
+      ctr: { sum: 0, count: 0 },
+      cpc: { sum: 0, count: 0 },
+      roas: { sum: 0, count: 0 },
+      acos: { sum: 0, count: 0 },
+    };
+
+    this.highCTR = new VerdictList();
+    this.highROAS = new VerdictList();
+    this.zeroConversions = new ZeroConversionList();
+    this.highACOS = new VerdictList();
+    this.lowCTR = new VerdictList();
+    this.highCostCount = 0;
+
+    const top = (field) =>
+      new TopRows(MAX_PERFORMERS, (a, b) => b[field] - a[field]);
+    const bottom = (field) =>
+      new TopRows(MAX_PERFORMERS, (a, b) => a[field] - b[field]);
+    this.top = {
+      roas: top("calculated_roas"),
+      ctr: top("calculated_ctr"),
+      sales: top("sales"),
+      conversions: top("conversions"),
+      acos: top("calculated_acos"),
+    };
+    this.bottom = {
+      roas: bottom("calculated_roas"),
+      ctr: bottom("calculated_ctr"),
+    };
+
+    this.outliers = OUTLIER_METRICS.map((metric) => new OutlierTracker(metric));
+
+    // Flat maps, nested by getHierarchy; ad groups and keywords are keyed by
+    // their campaign (and ad group) too
+    this.campaigns = new Map();
+    this.adGroups = new Map();
+    this.keywords = new Map();
+    this.matchTypes = new Map();
+    this.portfolios = new Map();
+    this.hierarchyPruned = false;
+
+    // Read by SearchTermAnalyzerAgent
+    this.searchTerms = new SearchTermAccumulator(this.settings);
+    this.profitability = new ProfitabilityAccumulator(options);
+    this.wastedSpend = new WastedSpendAccumulator();
+    // Mapped fields of the report, when known (see setReportFields)
+    this.reportFields = null;
+  }
+
+  /**
+   * Record the fields the report's columns mapped to, such as whether it has
+   * an orders column; wasted spend is judged by them
+   */
+  setReportFields(fields) {
+    this.reportFields = fields;
+    return this;
+  }
+
+  /**
+   * Add every row of an array
+   */
+  addAll(rows) {
+    rows.forEach((row) => this.add(row));
+    return this;
+  }
+
+  /**
+   * Fold one cleaned row into the analysis
+   */
+  add(row) {
+    this.rowCount++;
+    this.totals.impressions += row.impressions || 0;
+    this.totals.clicks += row.clicks || 0;
+    this.totals.cost += row.cost || 0;
+    this.totals.sales += row.sales || 0;
+    this.totals.conversions += row.conversions || 0;
+    this.orders += orderCount(row);
+
+    [
+      ["ctr", row.calculated_ctr],
+      ["cpc", row.calculated_cpc],
+      ["roas", row.calculated_roas],
+      ["acos", row.calculated_acos],
+    ].forEach(([metric, value]) => {
+      if (value) {
+        this.averages[metric].sum += value;
+        this.averages[metric].count++;
+      }
+    });
+
+    // Each verdict carries the confidence that the row's CTR or ROAS
+    // interval, not just its observed value, is past the threshold
+    const { thresholds } = this;
+    const ctr = (z) => ctrInterval(row, z);
+    if (row.calculated_ctr && row.calculated_ctr > thresholds.highCTR) {
+      this.highCTR.add(row, verdictConfidence(ctr, thresholds.highCTR, "above"));
+    }
+    if (row.calculated_roas && row.calculated_roas > thresholds.highROAS) {
+      this.highROAS.add(row, roasConfidence(row, thresholds.highROAS, "above"));
+    }
+    if (!isConverting(row)) this.zeroConversions.add(row);
+    // Rows with a product margin are measured against their break-even ACOS
+    const breakEvenAcos = this.profitability.add(row);
+    const acosLimit = breakEvenAcos !== null ? breakEvenAcos : thresholds.highACOS;
+    if (row.calculated_acos && row.calculated_acos > acosLimit) {
+      // ACOS above the limit is ROAS below its inverse
+      this.highACOS.add(row, roasConfidence(row, 100 / acosLimit, "below"));
+    }
+    if (row.cost > thresholds.highCost) this.highCostCount++;
+    if (row.calculated_ctr < thresholds.lowCTR) {
+      this.lowCTR.add(row, verdictConfidence(ctr, thresholds.lowCTR, "below"));
+    }
+
+    if (row.calculated_roas) {
+      this.top.roas.offer(row);
+      this.bottom.roas.offer(row);
+    }
+    if (row.calculated_ctr) {
+      this.top.ctr.offer(row);
+      this.bottom.ctr.offer(row);
+    }
+    if (row.sales) this.top.sales.offer(row);
+    if (row.conversions) this.top.conversions.offer(row);
+    if (row.calculated_acos) this.top.acos.offer(row);
+
+    this.outliers.forEach((tracker) => tracker.add(row));
+    this.addToHierarchy(row);
+    this.searchTerms.add(row);
+    this.wastedSpend.add(row);
+  }
+
+  /**
+   * Roll a row up into its campaign, ad group, keyword, match type and portfolio
+   */
+  addToHierarchy(row) {
+    const child = (map, key, create) => {
+      if (!map.has(key)) map.set(key, create());
+      return map.get(key);
+    };
+
+    const campaignName = row.campaign || UNASSIGNED;
+    const adGroupName = row.ad_group || UNASSIGNED;
+    const matchType = row.match_type || UNASSIGNED;
+    const adGroupKey = `${campaignName}\u0000${adGroupName}`;
+
+    const campaign = child(this.campaigns, campaignName, () => ({
+      name: campaignName,
+      portfolio: row.portfolio || null,
+      targetingType: row.targeting_type || null,
+      totals: emptyTotals(),
+    }));
+    const adGroup = child(this.adGroups, adGroupKey, () => ({
+      campaign: campaignName,
+      name: adGroupName,
+      totals: emptyTotals(),
+      matchTypes: new Map(),
+    }));
+    const keyword = child(
+      this.keywords,
+      `${adGroupKey}\u0000${row.keyword}\u0000${matchType}`,
+      () => ({
+        adGroup: adGroupKey,
+        keyword: row.keyword,
+        matchType,
+        searchTerms: 0,
+        totals: emptyTotals(),
+      })
+    );
+
+    addTotals(campaign.totals, row);
+    addTotals(adGroup.totals, row);
+    addTotals(
+      child(adGroup.matchTypes, matchType, () => emptyTotals()),
+      row
+    );
+    addTotals(keyword.totals, row);
+    if (row.search_term) keyword.searchTerms++;
+
+    addTotals(
+      child(this.matchTypes, matchType, () => emptyTotals()),
+      row
+    );
+
+    if (row.portfolio) {
+      addTotals(
+        child(this.portfolios, row.portfolio, () => emptyTotals()),
+        row
+      );
+    }
+
+    this.pruneHierarchy();
+  }
+
+  /**
+   * Keep the half of the campaigns, ad groups or keywords with the most cost
+   * and sales once a level outgrows its limit, as the search-term tables do.
+   * Account, match-type and portfolio totals stay exact; a dropped node that
+   * turns up again starts from zero, and nodes under a dropped parent are
+   * left out of the hierarchy, so only its long tail is approximate.
+   */
+  pruneHierarchy() {
+    const weight = (node) => node.totals.cost + node.totals.sales;
+    const levels = [
+      ["campaigns", MAX_TRACKED_CAMPAIGNS],
+      ["adGroups", MAX_TRACKED_AD_GROUPS],
+      ["keywords", MAX_TRACKED_KEYWORDS],
+    ];
+    for (const [level, limit] of levels) {
+      if (this[level].size > limit) {
+        this[level] = keepHeaviest(this[level], limit / 2, weight);
+        this.hierarchyPruned = true;
+      }
+    }
+  }
+
+  /**
+   * Plain mean of the per-row ratios: every row weighs the same however
+   * small it is. Rows without the ratio (or with 0) are left out.
+   */
+  average(metric) {
+    const { sum, count } = this.averages[metric];
+    return count > 0 ? sum / count : 0;
+  }
+
+  /**
+   * Account-level ratios from the totals, so every row counts in proportion
+   * to its impressions, clicks, spend or sales (0 when undefined)
+   */
+  getAccountRatios() {
+    const { impressions, clicks, cost, sales } = this.totals;
+    return {
+      ctr: impressions ? (clicks / impressions) * 100 : 0,
+      cpc: clicks ? cost / clicks : 0,
+      roas: cost ? sales / cost : 0,
+      acos: sales ? (cost / sales) * 100 : 0,
+    };
+  }
+
+  /**
+   * Median, quartiles, 10th/90th percentiles and range of each per-row
+   * ratio. Percentiles come from the outlier sample, so they are exact up to
+   * OUTLIER_SAMPLE_SIZE rows; min and max are always exact.
+   */
+  getDistributions() {
+    const names = {
+      calculated_ctr: "ctr",
+      calculated_cpc: "cpc",
+      calculated_conversion_rate: "conversionRate",
+      calculated_roas: "roas",
+      calculated_acos: "acos",
+    };
+    return Object.fromEntries(
+      this.outliers.map((tracker) => {
+        const { metric, sample } = tracker;
+        if (sample.seen === 0) return [names[metric], null];
+        const sorted = [...sample.values].sort((a, b) => a - b);
+        return [
+          names[metric],
+          {
+            count: sample.seen,
+            min: tracker.low.rows[0][metric],
+            p10: quantile(sorted, 0.1),
+            p25: quantile(sorted, 0.25),
+            median: quantile(sorted, 0.5),
+            p75: quantile(sorted, 0.75),
+            p90: quantile(sorted, 0.9),
+            max: tracker.high.rows[0][metric],
+          },
+        ];
+      })
+    );
+  }
+
+  /**
+   * Per-row means under the average* names, as the summary always had them,
+   * and the account ratios from the totals under account*
+   */
+  getSummaryRatios() {
+    const account = this.getAccountRatios();
+    return {
+      averageCTR: this.average("ctr"),
+      averageCPC: this.average("cpc"),
+      averageROAS: this.average("roas"),
+      averageACOS: this.average("acos"),
+      accountCTR: account.ctr,
+      accountCPC: account.cpc,
+      accountROAS: account.roas,
+      accountACOS: account.acos,
+    };
+  }
+
+  /**
+   * Zero-conversion rows judged against the account conversion rate, or on
+   * their observed value when no row counted an order
+   */
+  getZeroConversions() {
+    const { clicks } = this.totals;
+    if (!this.orders) return this.zeroConversions.resolve(null);
+    return this.zeroConversions.resolve(this.orders / clicks);
+  }
+
+  /**
+   * The `limit` best and worst rows by each measure. Each carries the
+   * confidence that it really beats (or trails) the account CTR or ROAS,
+   * and the 95% interval of that metric.
+   */
+  getPerformers(limit) {
+    const account = this.getAccountRatios();
+    const orderValue = this.orders ? this.totals.sales / this.orders : 0;
+    const intervals = {
+      ctr: (row) => (z) => ctrInterval(row, z),
+      roas: (row) => (z) => rowRoasInterval(row, z, orderValue),
+    };
+    const annotate = (rows, metric, direction) =>
+      rows.take(limit).map((row) => {
+        const interval = intervals[metric](row);
+        const bounds = interval(LEVELS[0][1]);
+        return {
+          ...row,
+          confidence:
+            metric === "roas"
+              ? roasConfidence(row, account.roas, direction, orderValue)
+              : verdictConfidence(interval, account.ctr, direction),
+          confidenceInterval: bounds && { metric, ...bounds },
+        };
+      });
+
+    return {
+      topPerformers: {
+        byROAS: annotate(this.top.roas, "roas", "above"),
+        byCTR: annotate(this.top.ctr, "ctr", "above"),
+        bySales: annotate(this.top.sales, "roas", "above"),
+        byConversions: annotate(this.top.conversions, "roas", "above"),
+      },
+      bottomPerformers: {
+        byROAS: annotate(this.bottom.roas, "roas", "below"),
+        byCTR: annotate(this.bottom.ctr, "ctr", "below"),
+        byACOS: annotate(this.top.acos, "roas", "below"),
+      },
+    };
+  }
+
+  /**
+   * Account totals, summary ratios and distributions
+   */
+  getMetrics() {
+    return {
+      totalImpressions: this.totals.impressions,
+      totalClicks: this.totals.clicks,
+      totalCost: this.totals.cost,
+      totalSales: this.totals.sales,
+      totalConversions: this.totals.conversions,
+      ...this.getSummaryRatios(),
+      rowCount: this.rowCount,
+      distributions: this.getDistributions(),
+    };
+  }
+
+  /**
+   * High-CTR and high-ROAS keywords
+   */
+  getPatterns() {
+    return [
+      this.highCTR.describe("high_ctr"),
+      this.highROAS.describe("high_roas"),
+    ];
+  }
+
+  /**
+   * Output of DataAnalyzerAgent.execute
+   */
+  toAnalysis() {
+    const {
+      topPerformers: { byConversions, ...topPerformers },
+      bottomPerformers,
+    } = this.getPerformers(5);
+
+    return {
+      metrics: this.getMetrics(),
+      patterns: this.getPatterns(),
+      anomalies: this.getAnomalies(),
+      topPerformers,
+      bottomPerformers,
+      trends: this.getTrends(),
+      hierarchy: this.getHierarchy(),
+      profitability: this.profitability.toAnalysis(),
+      wastedSpend: this.wastedSpend.toAnalysis(
+        this.getKeywordTotals(),
+        this.reportFields
+      ),
+    };
+  }
+
+  /**
+   * Output of CSVProcessor.generateAnalysis
+   */
+  toReport() {
+    return {
+      summary: {
+        totalKeywords: this.rowCount,
+        totalImpressions: this.totals.impressions,
+        totalClicks: this.totals.clicks,
+        totalCost: this.totals.cost,
+        totalSales: this.totals.sales,
+        totalConversions: this.totals.conversions,
+        ...this.getSummaryRatios(),
+        distributions: this.getDistributions(),
+      },
+      ...this.getPerformers(10),
+      trends: this.getTrends(),
+      recommendations: this.getRecommendations(),
+    };
+  }
+
+  /**
+   * Zero-conversion and high-ACOS keywords (above their break-even ACOS, or
+   * the highACOS threshold without a margin), and rows whose derived
+   * metrics are statistical outliers (kept in every other figure). Each
+   * outlier lists the metric, its value, the median and how far it deviated.
+   * Zero-conversion rows count only when enough clicks put their conversion
+   * rate below the account's; high-ACOS rows only when their ROAS interval
+   * is below the limit. The others are counted as insufficientData.
+   */
+  getAnomalies() {
+    const metrics = this.outliers
+      .map((tracker) => tracker.getOutliers())
+      .filter(Boolean);
+    const outliers = metrics
+      .flatMap((metric) => metric.outliers)
+      .sort((a, b) => b.deviation - a.deviation)
+      .slice(0, MAX_LISTED_OUTLIERS);
+
+    return [
+      this.getZeroConversions().describe("zero_conversions"),
+      this.highACOS.describe("high_acos"),
+      {
+        type: "statistical_outliers",
+        count: metrics.reduce((count, metric) => count + metric.count, 0),
+        keywords: [...new Set(outliers.map((outlier) => outlier.keyword))],
+        metrics: metrics.map(({ outliers: listed, ...summary }) => summary),
+        outliers,
+      },
+    ];
+  }
+
+  /**
+   * Keyword counts per issue; low CTR, high ACOS and zero conversions count
+   * confident verdicts only, the rest are under insufficientData
+   */
+  getTrends() {
+    const zeroConversions = this.getZeroConversions();
+    return {
+      highCostKeywords: this.highCostCount,
+      lowCTRKeywords: this.lowCTR.count,
+      highACOSKeywords: this.highACOS.count,
+      zeroConversionKeywords: zeroConversions.count,
+      lossMakingKeywords: this.profitability.getClassification().loss_making,
+      insufficientData: {
+        lowCTRKeywords: this.lowCTR.insufficientData,
+        highACOSKeywords: this.highACOS.insufficientData,
+        zeroConversionKeywords: zeroConversions.insufficientData,
+      },
+    };
+  }
+
+  /**
+   * Recommendations with the confidence of the verdicts behind them: high,
+   * medium or observed by which most keywords reached. When every keyword
+   * matching an issue lacks the data to be sure, the recommendation is kept
+   * at low priority with confidence insufficient_data, to gather more data
+   * first.
+   */
+  getRecommendations() {
+    const recommendations = [];
+    const recommend = (type, list, { priority, impact, issue, action, evidence }) => {
+      if (list.count > 0) {
+        const unsure = list.insufficientData
+          ? ` ${list.insufficientData} more match but have too few ${evidence} to tell.`
+          : "";
+        recommendations.push({
+          type,
+          priority,
+          description: `${list.count} keywords ${issue}. ${action}${unsure}`,
+          impact,
+          confidence: overallConfidence(list.levels),
+          keywords: list.count,
+          insufficientData: list.insufficientData,
+        });
+      } else if (list.insufficientData > 0) {
+        recommendations.push({
+          type,
+          priority: "low",
+          description: `${list.insufficientData} keywords ${issue}, but none has enough ${evidence} to be sure. Gather more data before acting on them.`,
+          impact,
+          confidence: INSUFFICIENT_DATA,
+          keywords: 0,
+          insufficientData: list.insufficientData,
+        });
+      }
+    };
+
+    recommend("low_ctr", this.lowCTR, {
+      priority: "high",
+      impact: "medium",
+      issue: `have CTR below ${this.thresholds.lowCTR}%`,
+      action: "Consider improving ad relevance and targeting.",
+      evidence: "impressions",
+    });
+    recommend("high_acos", this.highACOS, {
+      priority: "high",
+      impact: "high",
+      issue: `have ACOS above their break-even ACOS (${this.thresholds.highACOS}% where no margin is set)`,
+      action: "Consider pausing or optimizing these keywords.",
+      evidence: "clicks",
+    });
+    recommend("zero_conversions", this.getZeroConversions(), {
+      priority: "medium",
+      impact: "medium",
+      issue: "have zero conversions",
+      action: "Review targeting and landing pages.",
+      evidence: "clicks",
+    });
+
+    return recommendations;
+  }
+
+  /**
+   * Totals of every tracked keyword (per campaign, ad group and match type)
+   */
+  getKeywordTotals() {
+    return [...this.keywords.values()].map((keyword) => keyword.totals);
+  }
+
+  /**
+   * Metrics at campaign, ad group, keyword and match-type level. Campaigns
+   * hold their ad groups, ad groups hold their keywords (one per keyword and
+   * match type, summing its search terms). Each level is sorted by cost.
+   * Keyword counts cover the tracked keywords; pruned tells whether the
+   * long tail was dropped (see pruneHierarchy).
+   */
+  getHierarchy() {
+    const byCost = (a, b) => b.metrics.cost - a.metrics.cost;
+    const group = (map, keyOf) => {
+      const groups = new Map();
+      for (const node of map.values()) {
+        const key = keyOf(node);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(node);
+      }
+      return groups;
+    };
+    const keywordsByAdGroup = group(this.keywords, (keyword) => keyword.adGroup);
+    const adGroupsByCampaign = group(this.adGroups, (adGroup) => adGroup.campaign);
+    const keywordsByMatchType = new Map();
+    for (const keyword of this.keywords.values()) {
+      if (!keywordsByMatchType.has(keyword.matchType)) {
+        keywordsByMatchType.set(keyword.matchType, new Set());
+      }
+      keywordsByMatchType.get(keyword.matchType).add(keyword.keyword);
+    }
+    const campaignsByPortfolio = group(this.campaigns, (campaign) => campaign.portfolio);
+
+    return {
+      pruned: this.hierarchyPruned,
+      campaigns: [...this.campaigns.values()]
+        .map((campaign) => {
+          const adGroups = (adGroupsByCampaign.get(campaign.name) || [])
+            .map((adGroup) => {
+              const keywords =
+                keywordsByAdGroup.get(`${campaign.name}\u0000${adGroup.name}`) || [];
+              return {
+                name: adGroup.name,
+                metrics: summarizeTotals(adGroup.totals),
+                matchTypes: Object.fromEntries(
+                  [...adGroup.matchTypes.entries()].map(([type, totals]) => [
+                    type,
+                    summarizeTotals(totals),
+                  ])
+                ),
+                keywordCount: keywords.length,
+                keywords: keywords
+                  .map((keyword) => ({
+                    keyword: keyword.keyword,
+                    matchType: keyword.matchType,
+                    searchTerms: keyword.searchTerms,
+                    metrics: summarizeTotals(keyword.totals),
+                  }))
+                  .sort(byCost),
+              };
+            })
+            .sort(byCost);
+          return {
+            name: campaign.name,
+            portfolio: campaign.portfolio,
+            targetingType: campaign.targetingType,
+            metrics: summarizeTotals(campaign.totals),
+            adGroupCount: adGroups.length,
+            keywordCount: adGroups.reduce(
+              (count, adGroup) => count + adGroup.keywordCount,
+              0
+            ),
+            adGroups,
+          };
+        })
+        .sort(byCost),
+      matchTypes: [...this.matchTypes.entries()]
+        .map(([matchType, totals]) => ({
+          matchType,
+          keywordCount: (keywordsByMatchType.get(matchType) || new Set()).size,
+          metrics: summarizeTotals(totals),
+        }))
+        .sort(byCost),
+      portfolios: [...this.portfolios.entries()]
+        .map(([name, totals]) => ({
+          name,
+          campaignCount: (campaignsByPortfolio.get(name) || []).length,
+          metrics: summarizeTotals(totals),
+        }))
+        .sort(byCost),
+    };
+  }
+}
+
+module.exports = AnalysisAccumulator;
@@ -0,0 +1,198 @@
+const workspaceSettings = require("./workspaceSettings");
+const { roasInterval, verdictConfidence } = require("../utils/confidence");
+
+// Largest step per recommendation, as a share of the current bid
+const MAX_INCREASE = 0.5;
+const MAX_DECREASE = 0.5;
+
+// Changes smaller than this share of the current bid are reported as hold
+const HOLD_BAND = 0.05;
+
+const MIN_BID = 0.02;
+
+// Keyword recommendations kept in the stored analysis, most spend first
+const MAX_STORED_RECOMMENDATIONS = 100;
+
+const round = (value, places = 2) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Deterministic bid recommendations for a target ACOS or ROAS.
+ *
+ * A keyword is worth its revenue per click, i.e. conversion rate x average
+ * order value (sales / orders); at a target ACOS it can afford to pay that
+ * times the target. Reports carry no bid column, so the average CPC stands
+ * in for the current bid, and each step is capped at MAX_INCREASE or
+ * MAX_DECREASE of it. The fallback target and the clicks a keyword needs
+ * come from the workspace settings (targets and bids). Each action carries
+ * the confidence (utils/confidence) that the keyword's ROAS is on its side
+ * of the target ROAS.
+ */
+class BidOptimizerService {
+  constructor() {
+    this.maxStoredRecommendations = MAX_STORED_RECOMMENDATIONS;
+  }
+
+  /**
+   * Target ACOS (%) for a campaign: its own target, else the job's, else the
+   * workspace's. A ROAS target r is an ACOS of 100 / r.
+   */
+  resolveTarget(targets = {}, campaign, settings = workspaceSettings.resolve()) {
+    const toAcos = (target) => {
+      if (!target) return null;
+      if (target.targetAcos) return target.targetAcos;
+      if (target.targetRoas) return 100 / target.targetRoas;
+      return null;
+    };
+    const campaignTarget = toAcos(targets.campaigns && targets.campaigns[campaign]);
+    if (campaignTarget) return { acos: campaignTarget, source: "campaign" };
+    const jobTarget = toAcos(targets);
+    if (jobTarget) return { acos: jobTarget, source: "job" };
+    return { acos: settings.targets.targetAcos, source: "workspace" };
+  }
+
+  /**
+   * Confidence in a keyword's action: that its ROAS lies more than HOLD_BAND
+   * above the target ROAS (increase), below it (decrease) or within it
+   * (hold). Orders of keywords without any are worth accountOrderValue.
+   */
+  confidence(action, { clicks, orders, sales, cost }, target, accountOrderValue) {
+    const targetRoas = 100 / target.acos;
+    const interval = (z) =>
+      roasInterval({ clicks, orders, sales, cost }, z, accountOrderValue);
+    if (action === "increase") {
+      return verdictConfidence(interval, targetRoas * (1 + HOLD_BAND), "above");
+    }
+    if (action === "decrease") {
+      return verdictConfidence(interval, targetRoas * (1 - HOLD_BAND), "below");
+    }
+    return verdictConfidence(
+      interval,
+      [targetRoas * (1 - HOLD_BAND), targetRoas * (1 + HOLD_BAND)],
+      "within"
+    );
+  }
+
+  /**
+   * Average order value of a hierarchy's campaigns, 0 without orders
+   */
+  accountOrderValue(hierarchy) {
+    let orders = 0;
+    let sales = 0;
+    for (const campaign of (hierarchy && hierarchy.campaigns) || []) {
+      orders += campaign.metrics.orders || campaign.metrics.conversions || 0;
+      sales += campaign.metrics.sales || 0;
+    }
+    return orders > 0 ? sales / orders : 0;
+  }
+
+  /**
+   * Recommendation for one keyword of the campaign hierarchy, or the reason
+   * it was skipped; bidSettings is the bids section of the settings
+   */
+  recommendKeyword(keyword, target, bidSettings, accountOrderValue = 0) {
+    const { clicks, cost, sales } = keyword.metrics;
+    const orders = keyword.metrics.orders || keyword.metrics.conversions;
+
+    if (clicks < bidSettings.minClicks) return { skipped: "insufficient_clicks" };
+    if (!cost) return { skipped: "no_spend" };
+    if (orders === 0 && clicks < bidSettings.minClicksWithoutOrders) {
+      return { skipped: "insufficient_clicks" };
+    }
+
+    const cpc = cost / clicks;
+    const conversionRate = orders / clicks;
+    const averageOrderValue = orders > 0 ? sales / orders : 0;
+    const idealBid = conversionRate * averageOrderValue * (target.acos / 100);
+
+    let recommendedBid = Math.min(
+      Math.max(idealBid, cpc * (1 - MAX_DECREASE)),
+      cpc * (1 + MAX_INCREASE)
+    );
+    recommendedBid = round(Math.max(recommendedBid, MIN_BID));
+
+    const change = (recommendedBid - cpc) / cpc;
+    let action = "hold";
+    if (change >= HOLD_BAND) action = "increase";
+    else if (change <= -HOLD_BAND) action = "decrease";
+
+    return {
+      recommendation: {
+        campaign: keyword.campaign,
+        adGroup: keyword.adGroup,
+        keyword: keyword.keyword,
+        matchType: keyword.matchType,
+        clicks,
+        orders,
+        cost,
+        sales,
+        acos: keyword.metrics.acos,
+        conversionRate: round(conversionRate * 100, 4),
+        averageOrderValue: round(averageOrderValue),
+        targetAcos: round(target.acos, 4),
+        targetSource: target.source,
+        currentBid: round(cpc),
+        recommendedBid,
+        changePercent: round(change * 100, 1),
+        action,
+        confidence: this.confidence(
+          action,
+          { clicks, orders, sales, cost },
+          target,
+          accountOrderValue
+        ),
+        reason: orders === 0 ? "no_orders" : "target_acos",
+      },
+    };
+  }
+
+  /**
+   * Bid recommendations for every keyword of a campaign hierarchy, most
+   * spend first, with counts of skipped keywords by reason
+   */
+  recommend(hierarchy, targets = {}, settings = workspaceSettings.resolve()) {
+    const recommendations = [];
+    const skipped = {};
+    const accountOrderValue = this.accountOrderValue(hierarchy);
+
+    for (const campaign of (hierarchy && hierarchy.campaigns) || []) {
+      const target = this.resolveTarget(targets, campaign.name, settings);
+      for (const adGroup of campaign.adGroups || []) {
+        for (const keyword of adGroup.keywords || []) {
+          const result = this.recommendKeyword(
+            { ...keyword, campaign: campaign.name, adGroup: adGroup.name },
+            target,
+            settings.bids,
+            accountOrderValue
+          );
+          if (result.skipped) {
+            skipped[result.skipped] = (skipped[result.skipped] || 0) + 1;
+          } else {
+            recommendations.push(result.recommendation);
+          }
+        }
+      }
+    }
+
+    recommendations.sort((a, b) => b.cost - a.cost);
+    const count = (action) =>
+      recommendations.filter((item) => item.action === action).length;
+
+    return {
+      targets: {
+        targetAcos: this.resolveTarget(targets, null, settings).acos,
+        campaigns: targets.campaigns || {},
+      },
+      summary: {
+        recommended: recommendations.length,
+        increase: count("increase"),
+        decrease: count("decrease"),
+        hold: count("hold"),
+        skipped,
+      },
+      recommendations,
+    };
+  }
+}
+
+module.exports = new BidOptimizerService();
@@ -0,0 +1,247 @@
+const workspaceSettings = require("./workspaceSettings");
+const { roasInterval, verdictConfidence } = require("../utils/confidence");
+
+// Default bounds per line, as multiples of its current spend
+const DEFAULT_MIN_SHARE = 0.5;
+const DEFAULT_MAX_SHARE = 2;
+
+// Lines listed per response, largest spend change first
+const DEFAULT_LIMIT = 100;
+
+const BISECTION_STEPS = 100;
+
+const round = (value, places = 2) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Budget reallocation over campaigns or keywords.
+ *
+ * Each line's sales respond to spend with diminishing returns, so its
+ * marginal ROAS (extra sales per extra unit of spend) falls as spend grows.
+ * The budget is spread so every line ends at the same marginal ROAS, within
+ * its min/max, which maximizes projected sales for that budget. With a
+ * target ACOS no spend goes where the marginal ACOS would exceed it, even if
+ * that leaves part of the budget unspent. Amounts are for the report period.
+ * Sales are modelled as sales x (spend / current spend) ^ elasticity; the
+ * elasticity defaults to the budget.elasticity setting. A line that gains
+ * or loses spend carries the confidence (utils/confidence) that its ROAS is
+ * above or below the ROAS at which the allocation leaves a line's spend as
+ * it is.
+ */
+class BudgetOptimizerService {
+  constructor() {
+    this.defaultLimit = DEFAULT_LIMIT;
+  }
+
+  /**
+   * Budget lines from a campaign hierarchy: one per campaign, or one per
+   * keyword and match type within each ad group
+   */
+  buildLines(hierarchy, level = "campaign") {
+    const campaigns = (hierarchy && hierarchy.campaigns) || [];
+    if (level === "campaign") {
+      return campaigns.map((campaign) => ({
+        id: campaign.name,
+        campaign: campaign.name,
+        spend: campaign.metrics.cost,
+        sales: campaign.metrics.sales,
+        clicks: campaign.metrics.clicks,
+        orders: campaign.metrics.orders || campaign.metrics.conversions,
+      }));
+    }
+    return campaigns.flatMap((campaign) =>
+      (campaign.adGroups || []).flatMap((adGroup) =>
+        (adGroup.keywords || []).map((keyword) => ({
+          id: [campaign.name, adGroup.name, keyword.keyword, keyword.matchType].join(" / "),
+          campaign: campaign.name,
+          adGroup: adGroup.name,
+          keyword: keyword.keyword,
+          matchType: keyword.matchType,
+          spend: keyword.metrics.cost,
+          sales: keyword.metrics.sales,
+          clicks: keyword.metrics.clicks,
+          orders: keyword.metrics.orders || keyword.metrics.conversions,
+        }))
+      )
+    );
+  }
+
+  projectSales(line, spend, elasticity) {
+    if (!line.spend) return line.sales;
+    return line.sales * (spend / line.spend) ** elasticity;
+  }
+
+  marginalROAS(line, spend, elasticity) {
+    if (!line.spend || !line.sales || spend <= 0) {
+      return line.spend && line.sales ? Infinity : 0;
+    }
+    return (
+      ((elasticity * line.sales) / line.spend) *
+      (spend / line.spend) ** (elasticity - 1)
+    );
+  }
+
+  /**
+   * Spend at which a line's marginal ROAS equals lambda, within its bounds
+   * (its maximum at lambda 0). Lines without spend or sales cannot be
+   * modelled and sit at their minimum.
+   */
+  spendAt(line, lambda, elasticity) {
+    if (!line.spend || !line.sales) return line.min;
+    const spend =
+      line.spend *
+      ((elasticity * line.sales) / (line.spend * lambda)) ** (1 / (1 - elasticity));
+    return Math.min(Math.max(spend, line.min), line.max);
+  }
+
+  /**
+   * Confidence in a line's spend change: that its ROAS is above (more
+   * spend) or below (less) breakEvenRoas. Lines without orders are valued
+   * at accountOrderValue per order; unchanged lines have none (null).
+   */
+  confidence(line, spendChange, breakEvenRoas, accountOrderValue) {
+    if (!spendChange) return null;
+    const interval = (z) =>
+      roasInterval(
+        { clicks: line.clicks, orders: line.orders, sales: line.sales, cost: line.spend },
+        z,
+        accountOrderValue
+      );
+    return verdictConfidence(interval, breakEvenRoas, spendChange > 0 ? "above" : "below");
+  }
+
+  /**
+   * Propose a redistribution of totalBudget (default: the lines' current
+   * spend). constraints maps a line id to { min, max }; other lines stay
+   * between DEFAULT_MIN_SHARE and DEFAULT_MAX_SHARE of their spend.
+   * Returns { error } when the constraints cannot be met.
+   */
+  optimize(hierarchy, options = {}) {
+    const {
+      level = "campaign",
+      elasticity = workspaceSettings.defaults.budget.elasticity,
+      constraints = {},
+      targetAcos,
+      targetRoas,
+      limit = DEFAULT_LIMIT,
+    } = options;
+
+    const lines = this.buildLines(hierarchy, level).map((line) => {
+      const constraint = constraints[line.id] || {};
+      return {
+        ...line,
+        min: constraint.min !== undefined ? constraint.min : line.spend * DEFAULT_MIN_SHARE,
+        max: constraint.max !== undefined ? constraint.max : line.spend * DEFAULT_MAX_SHARE,
+      };
+    });
+
+    const ids = new Set(lines.map((line) => line.id));
+    const unknown = Object.keys(constraints).find((id) => !ids.has(id));
+    if (unknown) {
+      return { error: `Unknown budget line '${unknown}'` };
+    }
+    const inverted = lines.find((line) => line.min > line.max);
+    if (inverted) {
+      return { error: `Minimum of '${inverted.id}' is above its maximum` };
+    }
+
+    const currentSpend = lines.reduce((sum, line) => sum + line.spend, 0);
+    const currentSales = lines.reduce((sum, line) => sum + line.sales, 0);
+    const totalBudget =
+      options.totalBudget !== undefined ? options.totalBudget : currentSpend;
+
+    const minimum = lines.reduce((sum, line) => sum + line.min, 0);
+    if (minimum > totalBudget) {
+      return {
+        error: `Line minimums (${round(minimum)}) exceed the total budget (${round(totalBudget)})`,
+      };
+    }
+
+    // Lowest marginal ROAS worth paying for under the target
+    let target = null;
+    if (targetAcos) target = targetAcos;
+    else if (targetRoas) target = 100 / targetRoas;
+    const floor = target ? 100 / target : 0;
+
+    const total = (lambda) =>
+      lines.reduce((sum, line) => sum + this.spendAt(line, lambda, elasticity), 0);
+
+    // Marginal ROAS at which the lines spend exactly the budget, by bisection
+    // (spend falls towards the minimums as lambda rises); 0 when even every
+    // maximum fits
+    let lambda = 0;
+    if (total(0) > totalBudget) {
+      let low = 0;
+      let high = 1;
+      while (total(high) > totalBudget) high *= 2;
+      for (let step = 0; step < BISECTION_STEPS; step++) {
+        const middle = (low + high) / 2;
+        if (total(middle) > totalBudget) low = middle;
+        else high = middle;
+      }
+      lambda = high;
+    }
+    lambda = Math.max(lambda, floor);
+
+    // A line's marginal ROAS at its current spend is elasticity x its ROAS
+    const breakEvenRoas = lambda / elasticity;
+    const orders = lines.reduce((sum, line) => sum + (line.orders || 0), 0);
+    const accountOrderValue = orders > 0 ? currentSales / orders : 0;
+
+    const allocations = lines.map((line) => {
+      const proposedSpend = this.spendAt(line, lambda, elasticity);
+      const projectedSales = this.projectSales(line, proposedSpend, elasticity);
+      const { min, max, spend, sales, clicks, orders: lineOrders, ...identity } = line;
+      return {
+        ...identity,
+        currentSpend: round(spend),
+        proposedSpend: round(proposedSpend),
+        spendChange: round(proposedSpend - spend),
+        currentSales: round(sales),
+        projectedSales: round(projectedSales),
+        salesChange: round(projectedSales - sales),
+        currentROAS: spend ? round(sales / spend, 4) : null,
+        marginalROAS: round(this.marginalROAS(line, proposedSpend, elasticity), 4),
+        min: round(min),
+        max: round(max),
+        modelled: Boolean(spend && sales),
+        confidence: this.confidence(
+          line,
+          round(proposedSpend - spend),
+          breakEvenRoas,
+          accountOrderValue
+        ),
+      };
+    });
+
+    const proposedSpend = allocations.reduce((sum, line) => sum + line.proposedSpend, 0);
+    const projectedSales = allocations.reduce((sum, line) => sum + line.projectedSales, 0);
+
+    return {
+      level,
+      elasticity,
+      targetAcos: target ? round(target, 4) : null,
+      totalBudget: round(totalBudget),
+      summary: {
+        lines: allocations.length,
+        currentSpend: round(currentSpend),
+        proposedSpend: round(proposedSpend),
+        unspentBudget: round(Math.max(totalBudget - proposedSpend, 0)),
+        spendChange: round(proposedSpend - currentSpend),
+        currentSales: round(currentSales),
+        projectedSales: round(projectedSales),
+        salesChange: round(projectedSales - currentSales),
+        salesChangePercent: currentSales
+          ? round(((projectedSales - currentSales) / currentSales) * 100, 1)
+          : null,
+        currentACOS: currentSales ? round((currentSpend / currentSales) * 100, 4) : null,
+        projectedACOS: projectedSales ? round((proposedSpend / projectedSales) * 100, 4) : null,
+      },
+      allocations: allocations
+        .sort((a, b) => Math.abs(b.spendChange) - Math.abs(a.spendChange))
+        .slice(0, limit),
+    };
+  }
+}
+
+module.exports = new BudgetOptimizerService();
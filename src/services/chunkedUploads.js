@@ -0,0 +1,317 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const { Transform } = require("stream");
+const db = require("../config/database");
+const logger = require("../utils/logger");
+
+const MB = 1024 * 1024;
+
+/**
+ * Resumable uploads sent as numbered chunks.
+ *
+ * Upload metadata lives in the chunked_uploads table and every received chunk
+ * is written to its own file under <UPLOAD_PATH>/chunks/<uploadId>/, so an
+ * upload can continue after a server restart. The files on disk are the
+ * source of truth for which chunks have arrived.
+ */
+class ChunkedUploadService {
+  constructor() {
+    this.chunkRoot = path.join(process.env.UPLOAD_PATH || "./uploads", "chunks");
+    this.defaultChunkSize =
+      parseInt(process.env.CHUNKED_UPLOAD_CHUNK_SIZE) || 5 * MB;
+    this.minChunkSize = 256 * 1024;
+    this.maxChunkSize =
+      parseInt(process.env.CHUNKED_UPLOAD_MAX_CHUNK_SIZE) || 50 * MB;
+    this.maxFileSize =
+      parseInt(process.env.CHUNKED_UPLOAD_MAX_FILE_SIZE) || 2048 * MB;
+    this.ttlHours = parseInt(process.env.CHUNKED_UPLOAD_TTL_HOURS) || 24;
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Register a new upload and create its chunk directory
+   */
+  async createUpload({ filename, fileSize, chunkSize, options = {} }) {
+    const size = chunkSize || this.defaultChunkSize;
+    const totalChunks = Math.max(1, Math.ceil(fileSize / size));
+
+    const result = await db.query(
+      `INSERT INTO chunked_uploads (filename, file_size, chunk_size, total_chunks, options, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(hours => $6))
+       RETURNING *`,
+      [filename, fileSize, size, totalChunks, JSON.stringify(options), this.ttlHours]
+    );
+
+    const upload = result.rows[0];
+    fs.mkdirSync(this.getUploadDir(upload.id), { recursive: true });
+
+    logger.info(
+      `Chunked upload ${upload.id} started: ${filename}, ${fileSize} bytes in ${totalChunks} chunks`
+    );
+    return upload;
+  }
+
+  /**
+   * Fetch an upload that has not expired, or null
+   */
+  async getUpload(uploadId) {
+    const result = await db.query(
+      "SELECT * FROM chunked_uploads WHERE id = $1 AND expires_at > NOW()",
+      [uploadId]
+    );
+    return result.rows[0] || null;
+  }
+
+  getUploadDir(uploadId) {
+    return path.join(this.chunkRoot, uploadId);
+  }
+
+  getChunkPath(uploadId, index) {
+    return path.join(this.getUploadDir(uploadId), `${index}.part`);
+  }
+
+  /**
+   * Expected byte length of a chunk; only the last chunk may be shorter
+   */
+  getExpectedChunkSize(upload, index) {
+    const fileSize = Number(upload.file_size);
+    if (index < upload.total_chunks - 1) {
+      return upload.chunk_size;
+    }
+    return fileSize - upload.chunk_size * (upload.total_chunks - 1);
+  }
+
+  /**
+   * Indexes of the chunks stored on disk
+   */
+  listReceivedChunks(upload) {
+    const dir = this.getUploadDir(upload.id);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs
+      .readdirSync(dir)
+      .map((name) => name.match(/^(\d+)\.part$/))
+      .filter(Boolean)
+      .map((match) => parseInt(match[1]))
+      .filter((index) => index < upload.total_chunks)
+      .sort((a, b) => a - b);
+  }
+
+  listMissingChunks(upload) {
+    const received = new Set(this.listReceivedChunks(upload));
+    const missing = [];
+    for (let index = 0; index < upload.total_chunks; index++) {
+      if (!received.has(index)) {
+        missing.push(index);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Stream one chunk to disk. The chunk replaces any earlier copy only when
+   * its length matches the expected size, so retried chunks are safe.
+   */
+  async writeChunk(upload, index, input) {
+    const expected = this.getExpectedChunkSize(upload, index);
+    const dir = this.getUploadDir(upload.id);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const tempPath = path.join(
+      dir,
+      `${index}.part.${crypto.randomBytes(6).toString("hex")}.tmp`
+    );
+
+    let received = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > expected) {
+          callback(new Error("Chunk exceeds expected size"));
+          return;
+        }
+        callback(null, chunk);
+      },
+    });
+
+    try {
+      await pipeline(input, counter, fs.createWriteStream(tempPath));
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      if (received > expected) {
+        return { accepted: false, expected, received };
+      }
+      throw error;
+    }
+
+    if (received !== expected) {
+      fs.rmSync(tempPath, { force: true });
+      return { accepted: false, expected, received };
+    }
+
+    fs.renameSync(tempPath, this.getChunkPath(upload.id, index));
+    await this.touch(upload.id);
+
+    return { accepted: true, expected, received };
+  }
+
+  /**
+   * Push the expiry forward while an upload is still active
+   */
+  async touch(uploadId) {
+    await db.query(
+      `UPDATE chunked_uploads
+       SET updated_at = CURRENT_TIMESTAMP, expires_at = NOW() + make_interval(hours => $2)
+       WHERE id = $1`,
+      [uploadId, this.ttlHours]
+    );
+  }
+
+  /**
+   * Move an upload from 'uploading' to 'assembling'. Returns false if another
+   * request is already completing it; an assembly interrupted by a restart is
+   * taken over once it has been idle for ten minutes.
+   */
+  async claimForAssembly(uploadId) {
+    const result = await db.query(
+      `UPDATE chunked_uploads SET status = 'assembling', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+         AND (status = 'uploading'
+           OR (status = 'assembling' AND updated_at < NOW() - INTERVAL '10 minutes'))
+       RETURNING id`,
+      [uploadId]
+    );
+    return result.rows.length > 0;
+  }
+
+  async releaseAssembly(uploadId) {
+    await db.query(
+      `UPDATE chunked_uploads SET status = 'uploading', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'assembling'`,
+      [uploadId]
+    );
+  }
+
+  /**
+   * Concatenate the chunks in order into a single file, hashing as it goes
+   */
+  async assemble(upload) {
+    const outputPath = path.join(this.getUploadDir(upload.id), "assembled");
+    const output = fs.createWriteStream(outputPath);
+    const hash = crypto.createHash("sha256");
+    let size = 0;
+
+    try {
+      for (let index = 0; index < upload.total_chunks; index++) {
+        const hasher = new Transform({
+          transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            size += chunk.length;
+            callback(null, chunk);
+          },
+        });
+        await pipeline(
+          fs.createReadStream(this.getChunkPath(upload.id, index)),
+          hasher,
+          output,
+          { end: false }
+        );
+      }
+    } finally {
+      await new Promise((resolve) => output.end(resolve));
+    }
+
+    return { path: outputPath, size, checksum: hash.digest("hex") };
+  }
+
+  /**
+   * Record the jobs created from an upload and drop its chunk files.
+   * The row is kept until it expires so a retried completion gets the same jobs.
+   */
+  async markCompleted(uploadId, jobs) {
+    await db.query(
+      `UPDATE chunked_uploads
+       SET status = 'completed', jobs = $2, updated_at = CURRENT_TIMESTAMP,
+           expires_at = NOW() + make_interval(hours => $3)
+       WHERE id = $1`,
+      [uploadId, JSON.stringify(jobs), this.ttlHours]
+    );
+    fs.rmSync(this.getUploadDir(uploadId), { recursive: true, force: true });
+  }
+
+  /**
+   * Delete an upload and everything stored for it
+   */
+  async removeUpload(uploadId) {
+    const result = await db.query(
+      "DELETE FROM chunked_uploads WHERE id = $1 RETURNING id",
+      [uploadId]
+    );
+    fs.rmSync(this.getUploadDir(uploadId), { recursive: true, force: true });
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Remove expired uploads, plus chunk directories no upload row refers to
+   */
+  async cleanupExpired() {
+    const result = await db.query(
+      "DELETE FROM chunked_uploads WHERE expires_at <= NOW() RETURNING id"
+    );
+    for (const row of result.rows) {
+      fs.rmSync(this.getUploadDir(row.id), { recursive: true, force: true });
+    }
+
+    let orphaned = 0;
+    if (fs.existsSync(this.chunkRoot)) {
+      const dirs = fs.readdirSync(this.chunkRoot);
+      if (dirs.length > 0) {
+        const known = await db.query(
+          "SELECT id::text FROM chunked_uploads WHERE id::text = ANY($1)",
+          [dirs]
+        );
+        const knownIds = new Set(known.rows.map((row) => row.id));
+        for (const dir of dirs) {
+          if (!knownIds.has(dir)) {
+            fs.rmSync(path.join(this.chunkRoot, dir), {
+              recursive: true,
+              force: true,
+            });
+            orphaned++;
+          }
+        }
+      }
+    }
+
+    if (result.rows.length > 0 || orphaned > 0) {
+      logger.info(
+        `Removed ${result.rows.length} expired chunked uploads and ${orphaned} orphaned chunk directories`
+      );
+    }
+    return result.rows.length + orphaned;
+  }
+
+  /**
+   * Run cleanupExpired periodically for the lifetime of the process
+   */
+  startCleanup(intervalMs = 60 * 60 * 1000) {
+    if (this.cleanupTimer) {
+      return;
+    }
+
+    const run = () =>
+      this.cleanupExpired().catch((error) => {
+        logger.error("Error cleaning up chunked uploads:", error);
+      });
+
+    run();
+    this.cleanupTimer = setInterval(run, intervalMs);
+    this.cleanupTimer.unref();
+  }
+}
+
+module.exports = new ChunkedUploadService();
@@ -1,7 +1,14 @@
-const csv = require('csv-parser');
-const fs = require('fs');
-const path = require('path');
 const logger = require('../utils/logger');
+const reportProfiles = require('./reportProfiles');
+const fileReaders = require('./fileReaders');
+const numberParser = require('../utils/numberParser');
+const dateParser = require('../utils/dateParser');
+const metrics = require('../utils/metrics');
+const AnalysisAccumulator = require('./analysisAccumulator');
+const qualityRules = require('./qualityRules');
+
+// Rows scanned for a date that settles a file's day/month order
+const DATE_ORDER_SCAN_ROWS = 50000;
 
 class CSVProcessor {
   constructor() {
@@ -20,80 +27,471 @@ class CSVProcessor {
       'cpm',
       'product_targets',
       'added_as',
-      'orders'
+      'orders',
+      'date',
+      'start_date',
+      'end_date',
+      'campaign',
+      'ad_group',
+      'match_type',
+      'portfolio',
+      'targeting_type'
+    ];
+
+    this.numericFields = [
+      'impressions', 'clicks', 'cost', 'sales', 'conversions',
+      'acos', 'roas', 'ctr', 'cpc', 'cpm', 'orders'
     ];
 
-    // Define a mapping for inconsistent CSV headers to internal field names
-    this.headerMap = {
-      'matched product': 'keyword',
-      'spend(usd)': 'cost',
-      'sales(usd)': 'sales',
-      'cpc(usd)': 'cpc',
-      'conversion rate': 'conversions'
+    // Fields that hold percentages, always stored on a 0-100 scale
+    this.percentFields = ['ctr', 'acos'];
+
+    // Reporting-period fields, stored as ISO dates (YYYY-MM-DD)
+    this.dateFields = ['date', 'start_date', 'end_date'];
+
+    // Targeting and search text, kept as text even when it looks numeric ("1080p", "USB 300")
+    this.textFields = ['keyword', 'search_term', 'product_targets', 'added_as'];
+
+    // Account structure above the keyword, kept as text even when it looks numeric
+    this.hierarchyFields = ['campaign', 'ad_group', 'match_type', 'portfolio', 'targeting_type'];
+
+    // Platform spellings of the keyword match types
+    this.matchTypes = {
+      exact: 'exact',
+      'exact match': 'exact',
+      'exact match (close variant)': 'exact',
+      phrase: 'phrase',
+      'phrase match': 'phrase',
+      'phrase match (close variant)': 'phrase',
+      broad: 'broad',
+      'broad match': 'broad',
+      'broad match modifier': 'broad',
+      'targeting expression': 'targeting_expression',
+      'targeting expression predefined': 'auto'
+    };
+
+    // Longest row period spread over the daily series, in days
+    this.maxSeriesSpan = 731;
+
+    // Reason codes attached to rejected rows
+    this.rejectionReasons = {
+      MISSING_REQUIRED_FIELDS: 'missing_required_fields',
+      NEGATIVE_VALUE: 'negative_value',
+      CLICKS_EXCEED_IMPRESSIONS: 'clicks_exceed_impressions',
+      INVALID_NUMBER: 'invalid_number',
+      INVALID_DATE: 'invalid_date',
+      OUTLIER: 'outlier',
+      PROCESSING_ERROR: 'processing_error'
     };
   }
 
   /**
-   * Process CSV file and extract data with validation
+   * Process CSV file and extract data with validation.
+   * The report profile is detected from the header row unless options.profile names one;
+   * options.columnMapping maps raw headers to internal fields ahead of the profile aliases
+   * and options.locale sets the number format ('auto' or a locale such as 'de-DE').
+   * options.maxRows stops reading after that many rows, options.onRawRow sees every
+   * row before cleaning and options.onReject receives each rejected row.
+   * Despite the name, TSV/semicolon-delimited text, XLSX workbooks, gzipped files and
+   * zip archives are read too (options.delimiter, options.sheet, options.entry); see fileReaders.
+   * The result's fields lists the supported fields the header rows mapped to.
+   * Rows carrying a date or start/end date feed the daily and weekly series returned as
+   * timeSeries, whose dateRange is the reporting period of the file.
+   * options.onRow receives each valid row as it is cleaned, with its row number in the file
+   * (as rejected rows carry); with options.collectRows set
+   * to false the rows are not kept, so data is empty and memory stays flat however large
+   * the file. When onRow or onReject return a promise, reading pauses until it settles.
+   * options.qualityRules holds the stored rule sets ({ workspace, profiles }) that
+   * configure the data-quality rules; the result's quality has the score and per-rule counts.
+   * Numeric dates are all read in one day/month order, reported as dateOrder; see detectDateOrder.
    */
-  async processCSV(filePath) {
+  async processCSV(filePath, options = {}) {
+    const autoLocale = !options.locale || options.locale === 'auto';
+    const detectedOrder = autoLocale ? await this.detectDateOrder(filePath, options) : null;
+    const reader = await fileReaders.openRowStream(filePath, options);
+
     return new Promise((resolve, reject) => {
       const results = [];
+      const collectRows = options.collectRows !== false;
+      const timeSeries = this.createTimeSeries();
       let rowCount = 0;
+      let validCount = 0;
+      let rejectedCount = 0;
+      let pending = null;
       let headers = null;
+      let settled = false;
+      // Set once maxRows are read; the parser may still emit rows it buffered
+      let stopped = false;
+      const detectedProfiles = [];
+      // Supported fields the header rows map to
+      const fields = new Set();
+      const columnMapping = this.normalizeColumnMapping(options.columnMapping);
+      let profile = options.profile && reportProfiles.has(options.profile)
+        ? reportProfiles.get(options.profile)
+        : null;
+      const quality = qualityRules.createTally();
+      let rules = null;
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        reader.close();
+        reject(error);
+      };
+
+      // Pause reading until a row callback's promise settles
+      const waitFor = (result) => {
+        if (!result || typeof result.then !== 'function') return;
+        reader.stream.pause();
+        pending = Promise.all([pending, result]).then(() => {
+          pending = null;
+          if (!settled) reader.stream.resume();
+        });
+        pending.catch(fail);
+      };
+
+      const finish = () => {
+        if (settled) return;
+        settled = true;
+        const resolvedProfile = profile || reportProfiles.get();
+        const locale = this.resolveLocale({ locale: options.locale }, resolvedProfile);
+        const dateOrder = locale === 'auto'
+          ? detectedOrder
+          : { order: dateParser.getDateOrder(locale), source: 'locale' };
+        logger.info(`CSV processing completed. Processed ${rowCount} rows, ${validCount} valid rows`);
+        resolve({
+          data: results,
+          totalRows: rowCount,
+          validRows: validCount,
+          rejectedRows: rejectedCount,
+          headers: headers,
+          fields: [...fields],
+          profile: detectedProfiles.length > 1 ? 'mixed' : resolvedProfile.name,
+          profiles: detectedProfiles,
+          currency: resolvedProfile.units.currency,
+          format: reader.format,
+          delimiter: reader.delimiter,
+          sheet: reader.sheet,
+          entries: reader.entries,
+          timeSeries: this.finalizeTimeSeries(timeSeries),
+          dateOrder,
+          quality: qualityRules.summarize(quality),
+          truncated: Boolean(options.maxRows) && rowCount >= options.maxRows
+        });
+      };
 
-      fs.createReadStream(filePath)
-        .pipe(csv())
+      reader.stream
         .on('headers', (headerList) => {
           headers = headerList;
           logger.info(`CSV headers detected: ${headerList.join(', ')}`);
+          // Archives emit a header row per report, each detected on its own
+          if (!options.profile || !reportProfiles.has(options.profile)) {
+            profile = reportProfiles.detect(headerList);
+          }
+          if (!detectedProfiles.includes(profile.name)) {
+            detectedProfiles.push(profile.name);
+          }
+          headerList.forEach((header) => {
+            const field = this.normalizeColumn(header, profile, columnMapping);
+            if (this.supportedColumns.includes(field)) fields.add(field);
+          });
+          rules = qualityRules.resolveForProfile(options.qualityRules, profile.name);
+          qualityRules.registerRules(quality, rules);
         })
         .on('data', (data) => {
+          if (settled || stopped) return;
           rowCount++;
-          const validatedRow = this.validateAndCleanRow(data, rowCount);
-          if (validatedRow) {
-            results.push(validatedRow);
+          if (options.onRawRow) {
+            options.onRawRow(data, rowCount);
           }
-        })
-        .on('end', () => {
-          logger.info(`CSV processing completed. Processed ${rowCount} rows, ${results.length} valid rows`);
-          resolve({
-            data: results,
-            totalRows: rowCount,
-            validRows: results.length,
-            headers: headers
+          const validatedRow = this.validateAndCleanRow(data, rowCount, {
+            profile,
+            columnMapping: options.columnMapping,
+            locale: options.locale,
+            dateOrder: detectedOrder && detectedOrder.order,
+            qualityRules: rules,
+            onReject: (rejection) => {
+              rejectedCount++;
+              qualityRules.recordRejection(quality, rejection);
+              if (options.onReject) {
+                waitFor(options.onReject(rejection));
+              }
+            }
           });
+          if (validatedRow) {
+            validCount++;
+            qualityRules.recordRow(quality, validatedRow.quality_issues);
+            if (collectRows) {
+              results.push(validatedRow);
+            }
+            this.addToTimeSeries(timeSeries, validatedRow);
+            if (options.onRow) {
+              waitFor(options.onRow(validatedRow, rowCount));
+            }
+          }
+          if (options.maxRows && rowCount >= options.maxRows) {
+            stopped = true;
+            reader.close();
+            Promise.resolve(pending).then(finish, () => {});
+          }
         })
+        .on('end', () => Promise.resolve(pending).then(finish, () => {}))
         .on('error', (error) => {
           logger.error('Error processing CSV file:', error);
+          fail(error);
+        });
+    });
+  }
+
+  /**
+   * Day/month order of a file's numeric dates when no locale sets it: that of
+   * the first date with a part over 12 among the date columns of the first
+   * DATE_ORDER_SCAN_ROWS rows ({ order, source: 'detected' }). When none settles
+   * it the order defaults to month-first (day-first for dotted dates) with
+   * source 'default', so callers can flag the file; null if there are no
+   * numeric dates. Every date in the file is then read in that order, and
+   * those it cannot read are rejected as invalid_date.
+   */
+  async detectDateOrder(filePath, options = {}) {
+    const reader = await fileReaders.openRowStream(filePath, options);
+    const columnMapping = this.normalizeColumnMapping(options.columnMapping);
+    const fixedProfile = options.profile && reportProfiles.has(options.profile)
+      ? reportProfiles.get(options.profile)
+      : null;
+
+    return new Promise((resolve, reject) => {
+      let dateKeys = [];
+      let fallback = null;
+      let rowCount = 0;
+      let settled = false;
+
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        reader.close();
+        if (result && result.source === 'default') {
+          logger.warn(`Day/month order of the dates in ${filePath} could not be determined; reading them ${result.order}`);
+        }
+        resolve(result);
+      };
+
+      reader.stream
+        .on('headers', (headerList) => {
+          const profile = fixedProfile || reportProfiles.detect(headerList);
+          dateKeys = headerList.filter((header) =>
+            this.dateFields.includes(this.normalizeColumn(header, profile, columnMapping)));
+        })
+        .on('data', (row) => {
+          if (settled) return;
+          rowCount++;
+          for (const key of dateKeys) {
+            const implied = dateParser.dateOrderOf(row[key]);
+            if (!implied) continue;
+            if (implied.certain) {
+              finish({ order: implied.order, source: 'detected' });
+              return;
+            }
+            fallback = fallback || implied.order;
+          }
+          if (rowCount >= DATE_ORDER_SCAN_ROWS) {
+            finish(fallback && { order: fallback, source: 'default' });
+          }
+        })
+        .on('end', () => finish(fallback && { order: fallback, source: 'default' }))
+        .on('error', (error) => {
+          if (settled) return;
+          settled = true;
+          reader.close();
           reject(error);
         });
     });
   }
 
+  /**
+   * Parse the first rows of a file without persisting anything, reporting how
+   * headers map to fields, inferred column types, sample cleaned rows and the
+   * rows that would be rejected
+   */
+  async previewCSV(filePath, options = {}) {
+    const maxRows = options.maxRows || 200;
+    const sampleSize = options.sampleSize || 20;
+    const rejectedRows = [];
+    const columnStats = {};
+
+    const processed = await this.processCSV(filePath, {
+      ...options,
+      maxRows,
+      onRawRow: (row) => this.observeColumnTypes(columnStats, row, options.locale),
+      onReject: (rejection) => rejectedRows.push(rejection)
+    });
+
+    const profile = reportProfiles.get(processed.profile);
+    const columnMapping = this.normalizeColumnMapping(options.columnMapping);
+    const headers = processed.headers || [];
+
+    return {
+      profile: processed.profile,
+      currency: processed.currency,
+      format: processed.format,
+      delimiter: processed.delimiter,
+      sheet: processed.sheet,
+      headers,
+      headerMapping: headers.map((header) => {
+        const field = this.normalizeColumn(header, profile, columnMapping);
+        const supported = this.supportedColumns.includes(field);
+        return {
+          header,
+          field: supported ? field : null,
+          customDimension: !supported
+        };
+      }),
+      columnTypes: this.summarizeColumnTypes(columnStats),
+      sampleRows: processed.data.slice(0, sampleSize),
+      rejectedRows,
+      dateRange: processed.timeSeries ? processed.timeSeries.dateRange : null,
+      dateOrder: processed.dateOrder,
+      quality: processed.quality,
+      rowsParsed: processed.totalRows,
+      validRows: processed.validRows,
+      truncated: processed.truncated
+    };
+  }
+
+  /**
+   * Tally the kinds of values seen in each raw column
+   */
+  observeColumnTypes(columnStats, row, locale = 'auto') {
+    for (const [header, value] of Object.entries(row)) {
+      const stats = columnStats[header] || (columnStats[header] = { number: 0, date: 0, text: 0, empty: 0 });
+      const cleaned = this.cleanValue(value, locale);
+      if (cleaned === null) {
+        stats.empty++;
+      } else if (typeof cleaned === 'number') {
+        stats.number++;
+      } else if (dateParser.parse(cleaned, locale)) {
+        stats.date++;
+      } else {
+        stats.text++;
+      }
+    }
+  }
+
+  /**
+   * Reduce per-column tallies to an inferred type: number, date, text, mixed or empty
+   */
+  summarizeColumnTypes(columnStats) {
+    const types = {};
+    for (const [header, stats] of Object.entries(columnStats)) {
+      const seen = ['number', 'date', 'text'].filter((kind) => stats[kind] > 0);
+      let type = 'empty';
+      if (seen.length > 1) type = 'mixed';
+      else if (seen.length === 1) type = seen[0];
+      types[header] = { type, ...stats };
+    }
+    return types;
+  }
+
+  /**
+   * Normalise the keys of a user-defined column mapping so it matches headers
+   * regardless of case and spacing
+   */
+  normalizeColumnMapping(columnMapping) {
+    const normalized = {};
+    for (const [header, field] of Object.entries(columnMapping || {})) {
+      normalized[reportProfiles.normalizeHeader(header)] = field;
+    }
+    return normalized;
+  }
+
+  /**
+   * Map a raw header onto an internal field name. A user-defined mapping wins
+   * over the profile's aliases.
+   */
+  normalizeColumn(key, profile, columnMapping = {}) {
+    const normalizedHeader = reportProfiles.normalizeHeader(key);
+    if (columnMapping[normalizedHeader]) {
+      return columnMapping[normalizedHeader];
+    }
+    if (profile.headerAliases[normalizedHeader]) {
+      return profile.headerAliases[normalizedHeader];
+    }
+    return normalizedHeader.replace(/\s+/g, '_');
+  }
+
+  /**
+   * Resolve the number locale for a row: the upload's choice, else the profile's
+   */
+  resolveLocale(context, profile) {
+    return context.locale || profile.units.locale || 'auto';
+  }
+
+  /**
+   * Clean a mapped field. Numeric cells go through the locale-aware parser and
+   * percentages are normalised to a 0-100 scale: a value with a percent sign is
+   * already on that scale, a bare value follows the profile's convention. Date
+   * fields become ISO dates, read in the file's day/month order (dateOrder) or
+   * else the same locale. Keywords, search terms and the other text fields
+   * stay text; so do campaign, ad group and the other hierarchy fields, and
+   * match types are normalised to exact, phrase, broad, auto or targeting_expression.
+   */
+  cleanField(field, value, profile, locale, dateOrder = null) {
+    if (this.textFields.includes(field)) {
+      const text = value === null || value === undefined ? '' : String(value).trim();
+      return text === '' ? null : text;
+    }
+    if (this.hierarchyFields.includes(field)) {
+      const text = value === null || value === undefined ? '' : String(value).trim();
+      if (text === '' || text === '-' || text === '--') return null;
+      if (field === 'match_type') {
+        const matchType = text.toLowerCase().replace(/_/g, ' ');
+        return this.matchTypes[matchType] || matchType;
+      }
+      return text;
+    }
+    if (this.dateFields.includes(field)) {
+      // Unparseable dates are kept as text so the row is rejected with invalid_date
+      const text = value === null || value === undefined ? '' : String(value).trim();
+      return text === '' ? null : dateParser.parse(text, locale, dateOrder) || text;
+    }
+    const parsed = numberParser.parse(value, locale);
+    if (!parsed) {
+      return this.cleanValue(value, locale);
+    }
+    if (this.percentFields.includes(field) && !parsed.percent && profile.units.percentages === 'fraction') {
+      return parsed.value * 100;
+    }
+    return parsed.value;
+  }
+
   /**
    * Validate and clean individual row data (advanced validation)
    */
-  validateAndCleanRow(row, rowNumber) {
+  validateAndCleanRow(row, rowNumber, context = {}) {
     try {
+      const profile = context.profile || reportProfiles.get();
+      const locale = this.resolveLocale(context, profile);
+      const columnMapping = this.normalizeColumnMapping(context.columnMapping);
       const cleanedRow = {};
-      const numericFields = [
-        'impressions', 'clicks', 'cost', 'sales', 'conversions',
-        'acos', 'roas', 'ctr', 'cpc', 'cpm', 'orders'
-      ];
+      const customDimensions = {};
+      const numericFields = this.numericFields;
       // Clean and validate each field
       for (const [key, value] of Object.entries(row)) {
-        let normalizedKey = key.trim().toLowerCase();
-        // Apply specific header mapping
-        if (this.headerMap[normalizedKey]) {
-          normalizedKey = this.headerMap[normalizedKey];
-        } else {
-          normalizedKey = normalizedKey.replace(/\s+/g, '_');
-        }
+        const normalizedKey = this.normalizeColumn(key, profile, columnMapping);
         if (this.supportedColumns.includes(normalizedKey)) {
-          cleanedRow[normalizedKey] = this.cleanValue(value);
+          cleanedRow[normalizedKey] = this.cleanField(normalizedKey, value, profile, locale,
+            locale === 'auto' ? context.dateOrder : null);
         } else {
-          logger.warn(`Row ${rowNumber}: Column '${key}' (normalized to '${normalizedKey}') is not a supported column and will be ignored.`);
+          // Keep unmapped columns as custom dimensions under their original header
+          customDimensions[key.trim()] = this.cleanValue(value, locale);
+        }
+      }
+      if (Object.keys(customDimensions).length > 0) {
+        cleanedRow.custom_dimensions = customDimensions;
+      }
+      // Fill fields the export does not carry from their profile fallbacks
+      for (const [field, source] of Object.entries(profile.fieldFallbacks)) {
+        if ((cleanedRow[field] === null || cleanedRow[field] === undefined) && source in cleanedRow) {
+          cleanedRow[field] = cleanedRow[source];
         }
       }
       // Set missing non-required numeric fields to 0
@@ -103,59 +501,83 @@ class CSVProcessor {
         }
       }
       // Validate required fields
-      if (!this.hasRequiredFields(cleanedRow)) {
-        logger.warn(`Row ${rowNumber}: Missing required fields`);
-        return null;
+      if (!this.hasRequiredFields(cleanedRow, profile.requiredColumns)) {
+        return this.rejectRow(context, row, rowNumber, this.rejectionReasons.MISSING_REQUIRED_FIELDS,
+          `Missing required fields (${profile.requiredColumns.join(', ')})`);
       }
-      // Advanced integrity checks
-      // 1. All numeric fields must be non-negative
+      // Numeric fields must hold something the number parser understood
       for (const field of numericFields) {
-        if (typeof cleanedRow[field] === 'number' && cleanedRow[field] < 0) {
-          logger.warn(`Row ${rowNumber}: Field '${field}' has negative value (${cleanedRow[field]}). Row skipped.`);
-          return null;
+        if (typeof cleanedRow[field] === 'string') {
+          return this.rejectRow(context, row, rowNumber, this.rejectionReasons.INVALID_NUMBER,
+            `Field '${field}' is not a valid number (${cleanedRow[field]})`);
+        }
+      }
+      // Date fields must hold a date, and a period must not end before it starts
+      for (const field of this.dateFields) {
+        if (cleanedRow[field] !== null && cleanedRow[field] !== undefined && !this.isISODate(cleanedRow[field])) {
+          return this.rejectRow(context, row, rowNumber, this.rejectionReasons.INVALID_DATE,
+            `Field '${field}' is not a valid date (${cleanedRow[field]})`);
         }
       }
-      // 2. Logical consistency: impressions >= clicks
-      if (cleanedRow.impressions < cleanedRow.clicks) {
-        logger.warn(`Row ${rowNumber}: Clicks (${cleanedRow.clicks}) exceed impressions (${cleanedRow.impressions}). Row skipped.`);
-        return null;
+      if (cleanedRow.start_date && cleanedRow.end_date && cleanedRow.start_date > cleanedRow.end_date) {
+        return this.rejectRow(context, row, rowNumber, this.rejectionReasons.INVALID_DATE,
+          `Start date (${cleanedRow.start_date}) is after end date (${cleanedRow.end_date})`);
       }
-      // 3. Outlier detection (optional, simple):
-      // If impressions or clicks are extremely high, flag as outlier (e.g., > 1,000,000)
-      if (cleanedRow.impressions > 1_000_000 || cleanedRow.clicks > 1_000_000) {
-        logger.warn(`Row ${rowNumber}: Impressions or clicks are extremely high (impressions: ${cleanedRow.impressions}, clicks: ${cleanedRow.clicks}). Row skipped as outlier.`);
-        return null;
+      // Data-quality rules; each rejects, flags or fixes the row as configured
+      const { rejection, issues } = qualityRules.evaluate(
+        context.qualityRules || qualityRules.resolve(), cleanedRow, { numericFields });
+      if (rejection) {
+        return this.rejectRow(context, row, rowNumber, rejection.code, rejection.reason, rejection.rule);
       }
       // Calculate additional metrics
       const enrichedRow = this.calculateMetrics(cleanedRow);
+      if (issues.length > 0) {
+        enrichedRow.quality_issues = issues;
+      }
       return enrichedRow;
     } catch (error) {
       logger.error(`Error processing row ${rowNumber}:`, error);
-      return null;
+      return this.rejectRow(context, row, rowNumber, this.rejectionReasons.PROCESSING_ERROR, error.message);
     }
   }
 
+  /**
+   * Log a rejected row and hand it to the caller's onReject hook. Always returns null.
+   */
+  rejectRow(context, row, rowNumber, code, reason, rule = null) {
+    logger.warn(`Row ${rowNumber}: ${reason}. Row skipped.`);
+    if (context.onReject) {
+      context.onReject({ rowNumber, code, rule, reason, values: row });
+    }
+    return null;
+  }
+
   /**
    * Clean and convert value to appropriate type
    */
-  cleanValue(value) {
+  cleanValue(value, locale = 'auto') {
     if (!value || value === '') return null;
     
     const cleaned = value.toString().trim();
+    if (cleaned === '') return null;
     
-    // Try to convert to number if it looks like a number
-    if (!isNaN(cleaned) && cleaned !== '') {
-      return parseFloat(cleaned);
+    // Try to convert to number if it looks like a number ($1,234.56, 12.5%, (45.00), ...)
+    const parsed = numberParser.parse(cleaned, locale);
+    if (parsed) {
+      return parsed.value;
     }
     
     return cleaned;
   }
 
+  isISODate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  }
+
   /**
    * Check if row has required fields
    */
-  hasRequiredFields(row) {
-    const requiredFields = ['keyword', 'impressions', 'clicks', 'cost'];
+  hasRequiredFields(row, requiredFields = ['keyword', 'impressions', 'clicks', 'cost']) {
     return requiredFields.every(field => row[field] !== null && row[field] !== undefined);
   }
 
@@ -199,151 +621,120 @@ class CSVProcessor {
   }
 
   /**
-   * Generate comprehensive analysis from processed data
+   * Empty accumulator for the daily series, filled row by row with addToTimeSeries
    */
-  generateAnalysis(processedData) {
-    const analysis = {
-      summary: this.generateSummary(processedData),
-      topPerformers: this.identifyTopPerformers(processedData),
-      bottomPerformers: this.identifyBottomPerformers(processedData),
-      trends: this.analyzeTrends(processedData),
-      recommendations: this.generateRecommendations(processedData)
-    };
-
-    return analysis;
+  createTimeSeries() {
+    return { days: new Map(), start: null, end: null, datedRows: 0, undatedRows: 0 };
   }
 
   /**
-   * Generate summary statistics
+   * Add a cleaned row to the daily series. A row covering several days
+   * (start_date/end_date) is spread evenly across them; a row with a single
+   * date lands on that day.
    */
-  generateSummary(data) {
-    const summary = {
-      totalKeywords: data.length,
-      totalImpressions: 0,
-      totalClicks: 0,
-      totalCost: 0,
-      totalSales: 0,
-      totalConversions: 0,
-      averageCTR: 0,
-      averageCPC: 0,
-      averageROAS: 0,
-      averageACOS: 0
-    };
+  addToTimeSeries(series, row) {
+    const rowStart = row.start_date || row.date || row.end_date;
+    const rowEnd = row.end_date || row.date || row.start_date;
+    if (!rowStart) {
+      series.undatedRows++;
+      return;
+    }
 
-    let validCTR = 0, validCPC = 0, validROAS = 0, validACOS = 0;
+    series.datedRows++;
+    if (!series.start || rowStart < series.start) series.start = rowStart;
+    if (!series.end || rowEnd > series.end) series.end = rowEnd;
 
-    data.forEach(row => {
-      summary.totalImpressions += row.impressions || 0;
-      summary.totalClicks += row.clicks || 0;
-      summary.totalCost += row.cost || 0;
-      summary.totalSales += row.sales || 0;
-      summary.totalConversions += row.conversions || 0;
+    const span = dateParser.diffDays(rowStart, rowEnd) + 1;
+    if (span > this.maxSeriesSpan) {
+      logger.warn(`Row period ${rowStart} to ${rowEnd} is too long to spread over the daily series`);
+      return;
+    }
 
-      if (row.calculated_ctr) {
-        summary.averageCTR += row.calculated_ctr;
-        validCTR++;
+    for (let offset = 0; offset < span; offset++) {
+      const day = dateParser.addDays(rowStart, offset);
+      if (!series.days.has(day)) {
+        series.days.set(day, metrics.emptyTotals());
       }
-      if (row.calculated_cpc) {
-        summary.averageCPC += row.calculated_cpc;
-        validCPC++;
-      }
-      if (row.calculated_roas) {
-        summary.averageROAS += row.calculated_roas;
-        validROAS++;
-      }
-      if (row.calculated_acos) {
-        summary.averageACOS += row.calculated_acos;
-        validACOS++;
-      }
-    });
-
-    // Calculate averages
-    if (validCTR > 0) summary.averageCTR /= validCTR;
-    if (validCPC > 0) summary.averageCPC /= validCPC;
-    if (validROAS > 0) summary.averageROAS /= validROAS;
-    if (validACOS > 0) summary.averageACOS /= validACOS;
-
-    return summary;
+      metrics.addTotals(series.days.get(day), row, 1 / span);
+    }
   }
 
   /**
-   * Identify top performing keywords
+   * Turn the accumulator into the reporting period, daily and weekly (Monday
+   * start) totals with their ratios, and the change between the first and last
+   * full weeks. Returns null when no row carried a date.
    */
-  identifyTopPerformers(data) {
-    const performers = {
-      byROAS: data.filter(row => row.calculated_roas).sort((a, b) => b.calculated_roas - a.calculated_roas).slice(0, 10),
-      byCTR: data.filter(row => row.calculated_ctr).sort((a, b) => b.calculated_ctr - a.calculated_ctr).slice(0, 10),
-      bySales: data.filter(row => row.sales).sort((a, b) => b.sales - a.sales).slice(0, 10),
-      byConversions: data.filter(row => row.conversions).sort((a, b) => b.conversions - a.conversions).slice(0, 10)
-    };
-
-    return performers;
-  }
+  finalizeTimeSeries(series) {
+    if (series.datedRows === 0) {
+      return null;
+    }
 
-  /**
-   * Identify bottom performing keywords
-   */
-  identifyBottomPerformers(data) {
-    const performers = {
-      byROAS: data.filter(row => row.calculated_roas).sort((a, b) => a.calculated_roas - b.calculated_roas).slice(0, 10),
-      byCTR: data.filter(row => row.calculated_ctr).sort((a, b) => a.calculated_ctr - b.calculated_ctr).slice(0, 10),
-      byACOS: data.filter(row => row.calculated_acos).sort((a, b) => b.calculated_acos - a.calculated_acos).slice(0, 10)
+    const daily = [...series.days.entries()]
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .map(([date, totals]) => ({ date, totals, ...metrics.summarizeTotals(totals) }));
+
+    const weeks = new Map();
+    for (const day of daily) {
+      const weekStart = dateParser.startOfWeek(day.date);
+      let week = weeks.get(weekStart);
+      if (!week) {
+        week = { days: 0, totals: metrics.emptyTotals() };
+        weeks.set(weekStart, week);
+      }
+      week.days++;
+      metrics.addTotals(week.totals, day.totals);
+    }
+    const weekly = [...weeks.entries()].map(([weekStart, week]) => ({
+      weekStart,
+      weekEnd: dateParser.addDays(weekStart, 6),
+      days: week.days,
+      ...metrics.summarizeTotals(week.totals)
+    }));
+
+    return {
+      dateRange: {
+        start: series.start,
+        end: series.end,
+        days: dateParser.diffDays(series.start, series.end) + 1
+      },
+      datedRows: series.datedRows,
+      undatedRows: series.undatedRows,
+      daily: daily.map(({ totals, ...day }) => day),
+      weekly,
+      weekOverWeek: this.compareWeeks(weekly.filter((week) => week.days === 7))
     };
-
-    return performers;
   }
 
   /**
-   * Analyze trends in the data
+   * Percentage change of the main metrics from the first to the last full week
    */
-  analyzeTrends(data) {
-    const trends = {
-      highCostKeywords: data.filter(row => row.cost > 100).length,
-      lowCTRKeywords: data.filter(row => row.calculated_ctr && row.calculated_ctr < 1).length,
-      highACOSKeywords: data.filter(row => row.calculated_acos && row.calculated_acos > 50).length,
-      zeroConversionKeywords: data.filter(row => row.conversions === 0 || !row.conversions).length
-    };
+  compareWeeks(fullWeeks) {
+    if (fullWeeks.length < 2) {
+      return null;
+    }
 
-    return trends;
+    const first = fullWeeks[0];
+    const last = fullWeeks[fullWeeks.length - 1];
+    const change = (from, to) =>
+      from === null || to === null || from === 0 ? null : Math.round(((to - from) / from) * 10000) / 100;
+
+    return {
+      from: first.weekStart,
+      to: last.weekStart,
+      cost: change(first.cost, last.cost),
+      sales: change(first.sales, last.sales),
+      clicks: change(first.clicks, last.clicks),
+      acos: change(first.acos, last.acos),
+      roas: change(first.roas, last.roas)
+    };
   }
 
   /**
-   * Generate initial recommendations
+   * Generate comprehensive analysis from processed data, under a workspace's
+   * settings (defaults when left out)
    */
-  generateRecommendations(data) {
-    const recommendations = [];
-
-    const lowCTRCount = data.filter(row => row.calculated_ctr && row.calculated_ctr < 1).length;
-    if (lowCTRCount > 0) {
-      recommendations.push({
-        type: 'low_ctr',
-        priority: 'high',
-        description: `${lowCTRCount} keywords have CTR below 1%. Consider improving ad relevance and targeting.`,
-        impact: 'medium'
-      });
-    }
-
-    const highACOSCount = data.filter(row => row.calculated_acos && row.calculated_acos > 50).length;
-    if (highACOSCount > 0) {
-      recommendations.push({
-        type: 'high_acos',
-        priority: 'high',
-        description: `${highACOSCount} keywords have ACOS above 50%. Consider pausing or optimizing these keywords.`,
-        impact: 'high'
-      });
-    }
-
-    const zeroConversionCount = data.filter(row => row.conversions === 0 || !row.conversions).length;
-    if (zeroConversionCount > 0) {
-      recommendations.push({
-        type: 'zero_conversions',
-        priority: 'medium',
-        description: `${zeroConversionCount} keywords have zero conversions. Review targeting and landing pages.`,
-        impact: 'medium'
-      });
-    }
-
-    return recommendations;
+  generateAnalysis(processedData, settings) {
+    return new AnalysisAccumulator({ settings }).addAll(processedData).toReport();
   }
 }
 
@@ -0,0 +1,486 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { PassThrough, Transform, pipeline } = require("stream");
+const csv = require("csv-parser");
+const ExcelJS = require("exceljs");
+const unzipper = require("unzipper");
+const logger = require("../utils/logger");
+const { hashStream } = require("../utils/contentHash");
+
+/**
+ * Row readers for the upload formats CSVProcessor accepts.
+ *
+ * Every reader yields the same thing: an object-mode stream that emits a
+ * 'headers' event with the header row, then one { header: value } object
+ * per data row. That keeps CSV, TSV and XLSX on the same row-cleaning path.
+ * Gzipped files and zip archives are decompressed on the fly; a zip is read
+ * either one entry at a time (options.entry) or as all of its reports in
+ * sequence, in which case 'headers' fires again at the start of each report.
+ * Decompressed input is capped in size, and archives in entries, so a small
+ * upload cannot expand to fill the disk or memory.
+ */
+
+const DELIMITERS = [",", "\t", ";", "|"];
+const SNIFF_BYTES = 64 * 1024;
+
+// Most bytes a gzipped file or a zip archive may decompress to, and most
+// entries (folders included) a zip archive may hold
+const MAX_UNCOMPRESSED_SIZE =
+  parseInt(process.env.MAX_UNCOMPRESSED_SIZE) || 2 * 1024 * 1024 * 1024;
+const MAX_ARCHIVE_ENTRIES = parseInt(process.env.MAX_ARCHIVE_ENTRIES) || 1000;
+
+// Formats that hold a report directly
+const reportExtensions = [".csv", ".tsv", ".txt", ".xlsx"];
+
+const supportedExtensions = [...reportExtensions, ".gz", ".zip"];
+
+const supportedMimeTypes = [
+  "text/csv",
+  "application/csv",
+  "text/tab-separated-values",
+  "text/plain",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/gzip",
+  "application/x-gzip",
+  "application/zip",
+  "application/x-zip-compressed",
+  "application/octet-stream",
+];
+
+const noop = () => {};
+
+function isArchive(filePath) {
+  return path.extname(filePath).toLowerCase() === ".zip";
+}
+
+function isGzip(filePath) {
+  return path.extname(filePath).toLowerCase() === ".gz";
+}
+
+/**
+ * Pass the decompressed bytes of file name through, failing past
+ * MAX_UNCOMPRESSED_SIZE. The entries of an archive share its counter
+ * (from archiveCounter), which adds up the most bytes read from each one,
+ * as sniffing reads the start of an entry twice. The sizes an archive
+ * declares can be forged, so the bytes are counted as they come.
+ */
+function limitSize(input, name, archive = null) {
+  const counter = archive || archiveCounter();
+  let bytes = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      const previous = counter.read.get(name) || 0;
+      if (bytes > previous) {
+        counter.bytes += bytes - previous;
+        counter.read.set(name, bytes);
+      }
+      if (counter.bytes > MAX_UNCOMPRESSED_SIZE) {
+        const source = archive ? "Archive" : name;
+        callback(
+          new Error(`${source} decompresses to more than ${MAX_UNCOMPRESSED_SIZE} bytes`)
+        );
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+  return pipeline(input, limiter, noop);
+}
+
+const archiveCounter = () => ({ bytes: 0, read: new Map() });
+
+/**
+ * Open a zip archive's directory, refusing archives with more than
+ * MAX_ARCHIVE_ENTRIES entries or declaring more than MAX_UNCOMPRESSED_SIZE
+ * bytes of content
+ */
+async function openDirectory(filePath) {
+  const directory = await unzipper.Open.file(filePath);
+  if (directory.files.length > MAX_ARCHIVE_ENTRIES) {
+    throw new Error(`Archive has more than ${MAX_ARCHIVE_ENTRIES} entries`);
+  }
+  const size = directory.files.reduce((sum, file) => sum + (file.uncompressedSize || 0), 0);
+  if (size > MAX_UNCOMPRESSED_SIZE) {
+    throw new Error(`Archive decompresses to more than ${MAX_UNCOMPRESSED_SIZE} bytes`);
+  }
+  return directory;
+}
+
+/**
+ * Resolve once a backed-up stream can take more rows (or has been closed)
+ */
+function waitForDrain(stream) {
+  return new Promise((resolve) => {
+    stream.once("drain", resolve);
+    stream.once("close", resolve);
+  });
+}
+
+/**
+ * Read the first bytes of a (possibly decompressing) input
+ */
+async function readHead(createInput, bytes) {
+  const input = createInput();
+  const chunks = [];
+  let length = 0;
+  try {
+    for await (const chunk of input) {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= bytes) break;
+    }
+  } finally {
+    input.destroy();
+  }
+  return Buffer.concat(chunks).subarray(0, bytes);
+}
+
+/**
+ * Work out a report's format from its name, falling back to the zip
+ * signature that every XLSX workbook starts with
+ */
+async function detectFormat(name, createInput) {
+  const extension = path.extname(name).toLowerCase();
+  if (extension === ".xlsx") return "xlsx";
+  if ([".csv", ".tsv", ".txt"].includes(extension)) return "delimited";
+
+  const header = await readHead(createInput, 4);
+  if (header.length >= 2 && header[0] === 0x50 && header[1] === 0x4b) {
+    return "xlsx";
+  }
+  return "delimited";
+}
+
+/**
+ * Pick the delimiter that splits the header line into the most columns,
+ * ignoring anything inside double quotes
+ */
+function detectDelimiter(sample) {
+  const firstLine = sample.split(/\r?\n/)[0] || "";
+  const counts = Object.fromEntries(DELIMITERS.map((d) => [d, 0]));
+  let inQuotes = false;
+
+  for (const char of firstLine) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char in counts) {
+      counts[char]++;
+    }
+  }
+
+  let best = ",";
+  for (const delimiter of DELIMITERS) {
+    if (counts[delimiter] > counts[best]) best = delimiter;
+  }
+  return best;
+}
+
+/**
+ * Open a delimited text report (CSV, TSV, semicolon, pipe)
+ */
+async function openDelimited(createInput, options) {
+  let delimiter = options.delimiter === "tab" ? "\t" : options.delimiter;
+  if (!delimiter || delimiter === "auto") {
+    const sample = (await readHead(createInput, SNIFF_BYTES)).toString("utf8");
+    delimiter = detectDelimiter(sample);
+  }
+
+  const source = createInput();
+  const stream = source.pipe(csv({ separator: delimiter }));
+  source.on("error", (error) => stream.emit("error", error));
+
+  return {
+    format: delimiter === "\t" ? "tsv" : "csv",
+    delimiter,
+    sheet: null,
+    stream,
+    close: () => {
+      source.unpipe(stream);
+      source.destroy();
+    },
+  };
+}
+
+/**
+ * Convert an ExcelJS cell into the string/number a CSV cell would have held
+ */
+function cellToValue(cell) {
+  let value = cell.value;
+  if (value === null || value === undefined) return "";
+
+  if (typeof value === "object") {
+    if (value instanceof Date) {
+      return value.toISOString().slice(0, 10);
+    }
+    if (value.richText) {
+      return value.richText.map((part) => part.text).join("");
+    }
+    if ("result" in value) {
+      value = value.result;
+    } else if (value.text !== undefined) {
+      return String(value.text);
+    } else if (value.error) {
+      return "";
+    }
+  }
+
+  // Excel keeps percentages as fractions with a percent number format
+  if (typeof value === "number" && cell.numFmt && cell.numFmt.includes("%")) {
+    return `${value * 100}%`;
+  }
+  return value === null || value === undefined ? "" : value;
+}
+
+/**
+ * Open one worksheet of an XLSX workbook, streaming rows so large workbooks
+ * are never fully loaded. options.sheet selects a worksheet by name or by
+ * 1-based position; the first worksheet is used otherwise.
+ */
+async function openXlsx(createInput, options) {
+  const stream = new PassThrough({ objectMode: true });
+  let closed = false;
+  let sheetName = null;
+
+  const matchesSheet = (worksheet, position) => {
+    if (
+      options.sheet === undefined ||
+      options.sheet === null ||
+      options.sheet === ""
+    ) {
+      return position === 1;
+    }
+    const wanted = String(options.sheet);
+    if (/^\d+$/.test(wanted)) return position === parseInt(wanted);
+    return String(worksheet.name).toLowerCase() === wanted.toLowerCase();
+  };
+
+  const pump = async () => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookReader(createInput(), {
+      sharedStrings: "cache",
+      hyperlinks: "ignore",
+      styles: "cache",
+      worksheets: "emit",
+    });
+
+    let position = 0;
+    for await (const worksheet of workbook) {
+      position++;
+      if (closed) break;
+      if (!matchesSheet(worksheet, position)) {
+        // Rows of an unselected worksheet must still be consumed to reach the next one
+        const rows = worksheet[Symbol.asyncIterator]();
+        while (!(await rows.next()).done);
+        continue;
+      }
+
+      sheetName = worksheet.name;
+      let headers = null;
+      for await (const row of worksheet) {
+        if (closed) break;
+        const cells = [];
+        row.eachCell({ includeEmpty: true }, (cell, column) => {
+          cells[column - 1] = cellToValue(cell);
+        });
+        if (cells.every((value) => value === "" || value === undefined)) {
+          continue;
+        }
+
+        if (!headers) {
+          headers = cells.map((value) => String(value ?? "").trim());
+          stream.emit("headers", headers);
+          continue;
+        }
+
+        const record = {};
+        headers.forEach((header, index) => {
+          if (header) record[header] = cells[index] ?? "";
+        });
+        if (!stream.write(record)) {
+          await waitForDrain(stream);
+        }
+      }
+      break;
+    }
+
+    if (closed) return;
+    if (!sheetName) {
+      throw new Error(
+        options.sheet
+          ? `Worksheet '${options.sheet}' not found in workbook`
+          : "Workbook contains no worksheets"
+      );
+    }
+    stream.end();
+  };
+
+  const reader = {
+    format: "xlsx",
+    delimiter: null,
+    get sheet() {
+      return sheetName;
+    },
+    stream,
+    close: () => {
+      closed = true;
+      stream.destroy();
+    },
+  };
+
+  // Start once the caller has attached its listeners
+  setImmediate(() => {
+    pump().catch((error) => {
+      logger.error("Error reading XLSX workbook:", error);
+      stream.emit("error", error);
+    });
+  });
+
+  return reader;
+}
+
+/**
+ * Open a single report given a factory for its byte stream
+ */
+async function openReport(createInput, name, options) {
+  const format = await detectFormat(name, createInput);
+  return format === "xlsx"
+    ? openXlsx(createInput, options)
+    : openDelimited(createInput, options);
+}
+
+/**
+ * Reports of an opened zip directory, skipping folders, macOS metadata and
+ * files that are not in a supported report format
+ */
+function reportFiles(directory) {
+  return directory.files
+    .filter((file) => file.type === "File")
+    .filter((file) => !file.path.startsWith("__MACOSX/"))
+    .filter((file) => !path.basename(file.path).startsWith("."))
+    .filter((file) =>
+      reportExtensions.includes(path.extname(file.path).toLowerCase())
+    );
+}
+
+/**
+ * List the reports inside a zip archive (see reportFiles). With
+ * options.hash each entry also gets the SHA-256 of its uncompressed content.
+ */
+async function listArchiveEntries(filePath, options = {}) {
+  const files = reportFiles(await openDirectory(filePath));
+  const counter = archiveCounter();
+
+  const entries = [];
+  for (const file of files) {
+    const entry = { path: file.path, size: file.uncompressedSize };
+    if (options.hash) {
+      entry.hash = await hashStream(limitSize(file.stream(), file.path, counter));
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Open a zip archive. With options.entry only that report is read; otherwise
+ * every report is read in turn and merged into one row stream.
+ */
+async function openArchive(filePath, options) {
+  const entries = reportFiles(await openDirectory(filePath));
+  // Shared by every entry, so the whole archive stays under the limit
+  const counter = archiveCounter();
+  const createInput = (entry) => () => limitSize(entry.stream(), entry.path, counter);
+
+  if (options.entry) {
+    const entry = entries.find((file) => file.path === options.entry);
+    if (!entry) {
+      throw new Error(`Archive entry '${options.entry}' not found`);
+    }
+    const reader = await openReport(createInput(entry), entry.path, options);
+    return { ...reader, entries: [entry.path] };
+  }
+
+  if (entries.length === 0) {
+    throw new Error("Archive contains no supported report files");
+  }
+
+  const stream = new PassThrough({ objectMode: true });
+  let closed = false;
+  let current = null;
+
+  const reader = {
+    format: "zip",
+    delimiter: null,
+    sheet: null,
+    entries: entries.map((entry) => entry.path),
+    entry: null,
+    stream,
+    close: () => {
+      closed = true;
+      if (current) current.close();
+      stream.destroy();
+    },
+  };
+
+  const pump = async () => {
+    for (const entry of entries) {
+      if (closed) return;
+      current = await openReport(createInput(entry), entry.path, options);
+      reader.entry = entry.path;
+      current.stream.on("headers", (headers) => {
+        logger.info(`Reading archive entry ${entry.path}`);
+        stream.emit("headers", headers);
+      });
+      for await (const row of current.stream) {
+        if (closed) return;
+        if (!stream.write(row)) {
+          await waitForDrain(stream);
+        }
+      }
+    }
+    stream.end();
+  };
+
+  setImmediate(() => {
+    pump().catch((error) => {
+      logger.error("Error reading zip archive:", error);
+      stream.emit("error", error);
+    });
+  });
+
+  return reader;
+}
+
+/**
+ * Open a file as a stream of rows. options.delimiter overrides delimiter
+ * detection for text files, options.sheet picks the XLSX worksheet and
+ * options.entry picks one report out of a zip archive.
+ */
+async function openRowStream(filePath, options = {}) {
+  if (isArchive(filePath)) {
+    return openArchive(filePath, options);
+  }
+
+  if (isGzip(filePath)) {
+    const createInput = () =>
+      limitSize(
+        pipeline(fs.createReadStream(filePath), zlib.createGunzip(), noop),
+        path.basename(filePath, ".gz")
+      );
+    return openReport(createInput, filePath.slice(0, -3), options);
+  }
+
+  return openReport(() => fs.createReadStream(filePath), filePath, options);
+}
+
+module.exports = {
+  openRowStream,
+  listArchiveEntries,
+  isArchive,
+  detectDelimiter,
+  detectFormat,
+  supportedExtensions,
+  supportedMimeTypes,
+};
@@ -0,0 +1,182 @@
+const db = require("../config/database");
+
+// Keyword rows per INSERT
+const KEYWORD_BATCH_SIZE = 5000;
+
+/**
+ * Storage of the campaign hierarchy of an analysis.
+ *
+ * Campaigns, ad groups, match types and portfolios are stored together as
+ * analysis_results.hierarchy; their keywords, which can number hundreds of
+ * thousands, go to hierarchy_keywords, one row per ad group keyword and
+ * match type. Only the callers that need every keyword load them. Jobs
+ * analysed before the split still hold their keywords in the JSONB value.
+ */
+class HierarchyStoreService {
+  /**
+   * The hierarchy without keyword lists, as stored with the analysis
+   */
+  withoutKeywords(hierarchy) {
+    if (!hierarchy) return null;
+    return {
+      ...hierarchy,
+      campaigns: hierarchy.campaigns.map((campaign) => ({
+        ...campaign,
+        adGroups: campaign.adGroups.map(({ keywords, ...adGroup }) => adGroup),
+      })),
+    };
+  }
+
+  /**
+   * Store a hierarchy's keywords for a job (internal analysis_jobs.id),
+   * replacing any from a previous attempt
+   */
+  async saveKeywords(analysisJobId, hierarchy) {
+    await db.query("DELETE FROM hierarchy_keywords WHERE job_id = $1", [
+      analysisJobId,
+    ]);
+
+    const rows = ((hierarchy && hierarchy.campaigns) || []).flatMap((campaign) =>
+      campaign.adGroups.flatMap((adGroup) =>
+        adGroup.keywords.map((keyword, index) => ({
+          campaign: campaign.name,
+          adGroup: adGroup.name,
+          position: index + 1,
+          keyword,
+        }))
+      )
+    );
+
+    for (let i = 0; i < rows.length; i += KEYWORD_BATCH_SIZE) {
+      const batch = rows.slice(i, i + KEYWORD_BATCH_SIZE);
+      await db.query(
+        `
+        INSERT INTO hierarchy_keywords
+          (job_id, campaign, ad_group, position, keyword, match_type, search_terms, metrics)
+        SELECT $1::uuid, rows.campaign, rows.ad_group, rows.position, rows.keyword,
+          rows.match_type, rows.search_terms, rows.metrics
+        FROM unnest($2::text[], $3::text[], $4::int[], $5::text[], $6::text[], $7::int[], $8::jsonb[])
+          AS rows(campaign, ad_group, position, keyword, match_type, search_terms, metrics)
+      `,
+        [
+          analysisJobId,
+          batch.map((row) => row.campaign),
+          batch.map((row) => row.adGroup),
+          batch.map((row) => row.position),
+          batch.map((row) => row.keyword.keyword),
+          batch.map((row) => row.keyword.matchType),
+          batch.map((row) => row.keyword.searchTerms),
+          batch.map((row) => JSON.stringify(row.keyword.metrics)),
+        ]
+      );
+    }
+    return rows.length;
+  }
+
+  /**
+   * Hierarchy stored with a job's analysis (public job ID), or null. With
+   * options.keywords every ad group gets its keywords back.
+   */
+  async loadHierarchy(jobId, { keywords = false } = {}) {
+    const result = await db.query(
+      `
+        SELECT aj.id, ar.hierarchy
+        FROM analysis_results ar
+        JOIN analysis_jobs aj ON ar.job_id = aj.id
+        WHERE aj.job_id = $1
+        LIMIT 1
+      `,
+      [jobId]
+    );
+    if (result.rows.length === 0 || !result.rows[0].hierarchy) return null;
+
+    const { id, hierarchy } = result.rows[0];
+    if (!keywords || this.hasKeywords(hierarchy)) return hierarchy;
+
+    const keywordRows = await db.query(
+      `
+        SELECT campaign, ad_group, keyword, match_type, search_terms, metrics
+        FROM hierarchy_keywords
+        WHERE job_id = $1
+        ORDER BY campaign, ad_group, position
+      `,
+      [id]
+    );
+    const byAdGroup = new Map();
+    keywordRows.rows.forEach((row) => {
+      const key = `${row.campaign}\u0000${row.ad_group}`;
+      if (!byAdGroup.has(key)) byAdGroup.set(key, []);
+      byAdGroup.get(key).push(this.formatKeyword(row));
+    });
+
+    return {
+      ...hierarchy,
+      campaigns: hierarchy.campaigns.map((campaign) => ({
+        ...campaign,
+        adGroups: campaign.adGroups.map((adGroup) => ({
+          ...adGroup,
+          keywords: byAdGroup.get(`${campaign.name}\u0000${adGroup.name}`) || [],
+        })),
+      })),
+    };
+  }
+
+  /**
+   * One page of an ad group's keywords, most spend first, with the total.
+   * adGroup is the node from the loaded hierarchy.
+   */
+  async listKeywords(jobId, campaign, adGroup, { matchType, page, limit }) {
+    const offset = (page - 1) * limit;
+    if (adGroup.keywords) {
+      const keywords = matchType
+        ? adGroup.keywords.filter((keyword) => keyword.matchType === matchType)
+        : adGroup.keywords;
+      return { keywords: keywords.slice(offset, offset + limit), total: keywords.length };
+    }
+
+    const conditions = ["aj.job_id = $1", "hk.campaign = $2", "hk.ad_group = $3"];
+    const params = [jobId, campaign, adGroup.name];
+    if (matchType) {
+      params.push(matchType);
+      conditions.push(`hk.match_type = $${params.length}`);
+    }
+    const from = `
+      FROM hierarchy_keywords hk
+      JOIN analysis_jobs aj ON hk.job_id = aj.id
+      WHERE ${conditions.join(" AND ")}
+    `;
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total ${from}`, params);
+    const result = await db.query(
+      `
+      SELECT hk.keyword, hk.match_type, hk.search_terms, hk.metrics
+      ${from}
+      ORDER BY hk.position
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `,
+      [...params, limit, offset]
+    );
+
+    return {
+      keywords: result.rows.map((row) => this.formatKeyword(row)),
+      total: parseInt(countResult.rows[0].total),
+    };
+  }
+
+  hasKeywords(hierarchy) {
+    return hierarchy.campaigns.some((campaign) =>
+      campaign.adGroups.some((adGroup) => Array.isArray(adGroup.keywords))
+    );
+  }
+
+  formatKeyword(row) {
+    return {
+      keyword: row.keyword,
+      matchType: row.match_type,
+      searchTerms: row.search_terms,
+      metrics: row.metrics,
+    };
+  }
+}
+
+module.exports = new HierarchyStoreService();
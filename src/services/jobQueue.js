@@ -2,6 +2,12 @@ const Queue = require("bull");
 const logger = require("../utils/logger");
 const csvProcessor = require("./csvProcessor");
 const db = require("../config/database");
+const AnalysisAccumulator = require("./analysisAccumulator");
+const qualityRules = require("./qualityRules");
+const margins = require("./margins");
+const workspaceSettings = require("./workspaceSettings");
+const hierarchyStore = require("./hierarchyStore");
+const { createBatchWriter } = require("../utils/batchWriter");
 const { runAgentPipeline } = require("./langchain/agents/orchestrator");
 
 class JobQueue {
@@ -45,8 +51,12 @@ class JobQueue {
       logger.info(`Job ${job.id} progress: ${progress}%`);
       await this.updateJobProgress(job.data.jobId, progress);
     });
+  }
 
-    // Process jobs
+  /**
+   * Start processing queued jobs; the server calls this once the schema is in place
+   */
+  start() {
     this.analysisQueue.process("analyze-csv", async (job) => {
       // await new Promise((resolve) => setTimeout(resolve, 5000));
       return await this.processCSVJob(job);
@@ -82,7 +92,19 @@ class JobQueue {
    * Process CSV analysis job
    */
   async processCSVJob(job) {
-    const { jobId, filePath, filename } = job.data;
+    const {
+      jobId,
+      filePath,
+      filename,
+      columnMapping,
+      locale,
+      delimiter,
+      sheet,
+      entry,
+      workspace = "default",
+      bidTargets,
+      totalSales,
+    } = job.data;
 
     try {
       logger.info(`Starting CSV analysis for job ${jobId}, file: ${filename}`);
@@ -101,14 +123,73 @@ class JobQueue {
       job.progress(10);
       await this.updateJobProgress(jobId, 10, "Processing CSV file");
 
-      // Parse and validate CSV file
-      const processedData = await csvProcessor.processCSV(filePath);
+      // Parse, analyze and store the file in one streaming pass: rows are
+      // folded into the analysis and written in batches, never all held at once
+      const analysisJobId = await this.getAnalysisJobId(jobId);
+      await this.clearStoredRows(analysisJobId);
+
+      // Targets and thresholds as they stand now; later edits to the
+      // workspace settings leave this job's figures alone
+      const settings = await workspaceSettings.loadSettings(workspace);
+      await this.updateJobFields(jobId, { settings: JSON.stringify(settings) });
+
+      const analysis = new AnalysisAccumulator({
+        settings,
+        margins: await margins.loadMargins(workspace),
+        totalSales: totalSales || null,
+      });
+      const cleanedRows = createBatchWriter(5000, (rows) =>
+        this.insertProcessedRows(analysisJobId, rows)
+      );
+      const rejectedRows = createBatchWriter(500, (rows) =>
+        this.insertRejectedRows(analysisJobId, rows)
+      );
+
+      const processedData = await csvProcessor.processCSV(filePath, {
+        columnMapping,
+        locale,
+        delimiter,
+        sheet,
+        entry,
+        qualityRules: await qualityRules.loadRuleSets(workspace),
+        collectRows: false,
+        onRow: (row, rowNumber) => {
+          analysis.add(row);
+          return cleanedRows.add({ rowNumber, row });
+        },
+        onReject: (rejection) => rejectedRows.add(rejection),
+      });
+      await cleanedRows.flush();
+      await rejectedRows.flush();
+      logger.info(
+        `Stored ${cleanedRows.count} cleaned and ${rejectedRows.count} rejected rows for job ${jobId}`
+      );
+
+      // Reporting period from the rows' dates; upload time when the file has none
+      const uploadedAt = new Date().toISOString();
+      const dateRange = processedData.timeSeries
+        ? {
+            ...processedData.timeSeries.dateRange,
+            source: "report",
+            dateOrder: processedData.dateOrder,
+          }
+        : { start: uploadedAt, end: uploadedAt, source: "upload" };
+
+      await this.updateJobFields(jobId, {
+        report_profile: processedData.profile,
+        date_range: JSON.stringify(dateRange),
+        data_quality: JSON.stringify(processedData.quality),
+      });
 
       job.progress(50);
       await this.updateJobProgress(jobId, 50, "Running agent pipeline");
 
       // Run orchestrator pipeline (agents)
-      const agentOutput = await runAgentPipeline(processedData.data);
+      analysis.setReportFields(processedData.fields);
+      const agentOutput = await runAgentPipeline(analysis, {
+        bidTargets,
+        settings,
+      });
       // agentOutput: { analysis, insights, tasks, aiGenerated }
 
       job.progress(80);
@@ -122,10 +203,7 @@ class JobQueue {
 
       // Store historical data for trend analysis (use summary from agentOutput.analysis if available)
       await this.storeHistoricalData(jobId, {
-        date_range: {
-          start: new Date().toISOString(),
-          end: new Date().toISOString(),
-        },
+        date_range: dateRange,
         performance_metrics:
           agentOutput.analysis?.metrics || agentOutput.analysis?.summary || {},
       });
@@ -199,6 +277,32 @@ class JobQueue {
     }
   }
 
+  /**
+   * Update arbitrary metadata columns on a job record
+   */
+  async updateJobFields(jobId, fields) {
+    try {
+      const columns = Object.keys(fields);
+      if (columns.length === 0) return;
+
+      const assignments = columns.map(
+        (column, index) => `${column} = $${index + 1}`
+      );
+      const values = columns.map((column) => fields[column]);
+      values.push(jobId);
+
+      const query = `
+        UPDATE analysis_jobs 
+        SET ${assignments.join(", ")}, updated_at = CURRENT_TIMESTAMP
+        WHERE job_id = $${values.length}
+      `;
+
+      await db.query(query, values);
+    } catch (error) {
+      logger.error(`Error updating job fields for ${jobId}:`, error);
+    }
+  }
+
   /**
    * Update job progress in database
    */
@@ -227,40 +331,49 @@ class JobQueue {
   }
 
   /**
-   * Store processed data in database
+   * Internal analysis_jobs.id for a public job ID
    */
-  async storeProcessedData(jobId, data) {
-    try {
-      // Get the analysis job ID
-      const jobQuery = "SELECT id FROM analysis_jobs WHERE job_id = $1";
-      const jobResult = await db.query(jobQuery, [jobId]);
-
-      if (jobResult.rows.length === 0) {
-        throw new Error(`Job ${jobId} not found`);
-      }
-
-      const analysisJobId = jobResult.rows[0].id;
+  async getAnalysisJobId(jobId) {
+    const jobQuery = "SELECT id FROM analysis_jobs WHERE job_id = $1";
+    const jobResult = await db.query(jobQuery, [jobId]);
 
-      // Store data in batches to avoid memory issues
-      const batchSize = 100;
-      for (let i = 0; i < data.length; i += batchSize) {
-        const batch = data.slice(i, i + batchSize);
-
-        const values = batch
-          .map((row, index) => {
-            const baseIndex = index * 3;
-            return `($${baseIndex + 1}, $${baseIndex + 2}, $${baseIndex + 3})`;
-          })
-          .join(", ");
+    if (jobResult.rows.length === 0) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+    return jobResult.rows[0].id;
+  }
 
-        const query = `
-          INSERT INTO processed_data (job_id, row_data, metrics)
-          VALUES ${values}
-        `;
+  /**
+   * Remove the cleaned and rejected rows stored by an earlier attempt
+   */
+  async clearStoredRows(analysisJobId) {
+    await db.query("DELETE FROM processed_data WHERE job_id = $1", [
+      analysisJobId,
+    ]);
+    await db.query("DELETE FROM rejected_rows WHERE job_id = $1", [
+      analysisJobId,
+    ]);
+  }
 
-        const queryValues = batch.flatMap((row) => [
-          analysisJobId,
-          JSON.stringify(row),
+  /**
+   * Insert one batch of cleaned rows, each { rowNumber, row } with its row
+   * number in the file. A single INSERT over unnest()ed arrays takes four
+   * parameters however many rows the batch holds.
+   */
+  async insertProcessedRows(analysisJobId, entries) {
+    const rows = entries.map((entry) => entry.row);
+    await db.query(
+      `
+      INSERT INTO processed_data (job_id, row_number, row_data, metrics)
+      SELECT $1::uuid, rows.row_number, rows.row_data, rows.metrics
+      FROM unnest($2::int[], $3::jsonb[], $4::jsonb[])
+        AS rows(row_number, row_data, metrics)
+    `,
+      [
+        analysisJobId,
+        entries.map((entry) => entry.rowNumber),
+        rows.map((row) => JSON.stringify(row)),
+        rows.map((row) =>
           JSON.stringify({
             calculated_ctr: row.calculated_ctr,
             calculated_cpc: row.calculated_cpc,
@@ -268,19 +381,39 @@ class JobQueue {
             calculated_roas: row.calculated_roas,
             calculated_acos: row.calculated_acos,
             calculated_conversion_rate: row.calculated_conversion_rate,
-          }),
-        ]);
-
-        await db.query(query, queryValues);
-      }
+          })
+        ),
+      ]
+    );
+  }
 
-      logger.info(
-        `Stored ${data.length} rows of processed data for job ${jobId}`
-      );
-    } catch (error) {
-      logger.error(`Error storing processed data for job ${jobId}:`, error);
-      throw error;
-    }
+  /**
+   * Insert one batch of rows rejected during CSV validation
+   */
+  async insertRejectedRows(analysisJobId, rejectedRows) {
+    const values = rejectedRows
+      .map((row, index) => {
+        const baseIndex = index * 5;
+        return `($${baseIndex + 1}, $${baseIndex + 2}, $${
+          baseIndex + 3
+        }, $${baseIndex + 4}, $${baseIndex + 5})`;
+      })
+      .join(", ");
+
+    const query = `
+      INSERT INTO rejected_rows (job_id, row_number, reason_code, reason, row_data)
+      VALUES ${values}
+    `;
+
+    const queryValues = rejectedRows.flatMap((row) => [
+      analysisJobId,
+      row.rowNumber,
+      row.code,
+      row.reason,
+      JSON.stringify(row.values),
+    ]);
+
+    await db.query(query, queryValues);
   }
 
   /**
@@ -301,8 +434,8 @@ class JobQueue {
       // Insert orchestrator output (analysis, insights, tasks) into analysis_results
       const query = `
         INSERT INTO analysis_results 
-        (job_id, total_rows, processed_rows, metrics_summary, top_performers, bottom_performers, trends, insights, tasks)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        (job_id, total_rows, processed_rows, metrics_summary, top_performers, bottom_performers, trends, insights, tasks, time_series, hierarchy, search_terms, bid_recommendations, budget_allocation, profitability, wasted_spend, patterns, anomalies)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
       `;
 
       const analysis = agentOutput.analysis || {};
@@ -320,9 +453,25 @@ class JobQueue {
         JSON.stringify(analysis.trends || null),
         agentOutput.insights ? JSON.stringify(agentOutput.insights) : null,
         agentOutput.tasks ? JSON.stringify(agentOutput.tasks) : null,
+        processedData.timeSeries ? JSON.stringify(processedData.timeSeries) : null,
+        analysis.hierarchy
+          ? JSON.stringify(hierarchyStore.withoutKeywords(analysis.hierarchy))
+          : null,
+        analysis.searchTerms ? JSON.stringify(analysis.searchTerms) : null,
+        analysis.bidRecommendations
+          ? JSON.stringify(analysis.bidRecommendations)
+          : null,
+        analysis.budgetAllocation
+          ? JSON.stringify(analysis.budgetAllocation)
+          : null,
+        analysis.profitability ? JSON.stringify(analysis.profitability) : null,
+        analysis.wastedSpend ? JSON.stringify(analysis.wastedSpend) : null,
+        analysis.patterns ? JSON.stringify(analysis.patterns) : null,
+        analysis.anomalies ? JSON.stringify(analysis.anomalies) : null,
       ];
 
       await db.query(query, values);
+      await hierarchyStore.saveKeywords(analysisJobId, analysis.hierarchy);
 
       // Store recommendations as optimization tasks (if present)
       if (agentOutput.tasks) {
@@ -361,8 +510,8 @@ class JobQueue {
       for (const task of tasks) {
         const query = `
           INSERT INTO optimization_tasks 
-          (job_id, task_type, priority, description, estimated_impact, difficulty, status)
-          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          (job_id, task_type, priority, description, estimated_impact, difficulty, confidence, status)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
         `;
         const values = [
           analysisJobId, // use the internal UUID here
@@ -371,6 +520,7 @@ class JobQueue {
           task.description,
           task.impact || task.estimated_impact || null,
           task.difficulty || null,
+          task.confidence || null,
           "pending",
         ];
         await db.query(query, values);
@@ -430,6 +580,11 @@ class JobQueue {
           progress,
           message,
           error_message,
+          report_profile,
+          duplicate_of,
+          date_range,
+          workspace,
+          data_quality,
           created_at,
           updated_at,
           completed_at
@@ -458,12 +613,21 @@ class JobQueue {
       const query = `
         SELECT
           aj.status,
+          aj.settings,
           ar.total_rows,
           ar.processed_rows,
           ar.metrics_summary,
           ar.top_performers,
           ar.bottom_performers,
           ar.trends,
+          ar.time_series,
+          ar.search_terms,
+          ar.bid_recommendations,
+          ar.budget_allocation,
+          ar.profitability,
+          ar.wasted_spend,
+          ar.patterns,
+          ar.anomalies,
           ar.insights,
           ar.tasks,
           ot.task_type,
@@ -471,6 +635,7 @@ class JobQueue {
           ot.description,
           ot.estimated_impact,
           ot.difficulty,
+          ot.confidence,
           ot.status as optimization_status
         FROM analysis_jobs aj
         LEFT JOIN analysis_results ar ON aj.id = ar.job_id
@@ -493,6 +658,15 @@ class JobQueue {
           top_performers: result.rows[0].top_performers,
           bottom_performers: result.rows[0].bottom_performers,
           trends: result.rows[0].trends,
+          time_series: result.rows[0].time_series,
+          search_terms: result.rows[0].search_terms,
+          bid_recommendations: result.rows[0].bid_recommendations,
+          budget_allocation: result.rows[0].budget_allocation,
+          profitability: result.rows[0].profitability,
+          wasted_spend: result.rows[0].wasted_spend,
+          patterns: result.rows[0].patterns,
+          anomalies: result.rows[0].anomalies,
+          settings: result.rows[0].settings,
           insights: result.rows[0].insights,
           tasks: result.rows[0].tasks,
           status: result.rows[0].status,
@@ -508,6 +682,7 @@ class JobQueue {
             description: row.description,
             estimated_impact: row.estimated_impact,
             difficulty: row.difficulty,
+            confidence: row.confidence,
             status: row.optimization_status, // Use the aliased status here
           });
         }
@@ -11,12 +11,32 @@ class InsightGeneratorAgent extends BaseAgent {
     // Prepare prompt for LLM
     const prompt = promptManager.getTemplate("analysis");
     const input = {
+      // Targets and thresholds the figures below were judged against
+      settings: analysisData.settings
+        ? {
+            targets: analysisData.settings.targets,
+            thresholds: analysisData.settings.thresholds,
+          }
+        : null,
       metrics: analysisData.metrics,
       patterns: analysisData.patterns,
       anomalies: analysisData.anomalies,
       topPerformers: analysisData.topPerformers,
       bottomPerformers: analysisData.bottomPerformers,
       trends: analysisData.trends,
+      // Campaign and match-type level only; the full tree is too large for the prompt
+      campaigns: (analysisData.hierarchy?.campaigns || [])
+        .slice(0, 10)
+        .map(({ adGroups, ...campaign }) => campaign),
+      matchTypes: analysisData.hierarchy?.matchTypes || [],
+      searchTermNgrams: this.summarizeNgrams(analysisData.searchTerms),
+      negativeKeywords: (
+        analysisData.searchTerms?.negativeKeywords?.recommendations || []
+      )
+        .slice(0, 10)
+        .map(({ exampleSearchTerms, ...negative }) => negative),
+      bidDownTerms: (analysisData.searchTerms?.bidDownTerms?.terms || []).slice(0, 10),
+      profitability: this.summarizeProfitability(analysisData.profitability),
     };
     // Call LLM for insights
     let insights = [];
@@ -55,6 +75,47 @@ class InsightGeneratorAgent extends BaseAgent {
       aiGenerated,
     };
   }
+
+  /**
+   * Profit after ad spend and keyword classification against product
+   * margins, when the workspace has any
+   */
+  summarizeProfitability(profitability) {
+    if (!profitability || profitability.coverage.marginedRows === 0) {
+      return profitability?.summary?.tacos ? { tacos: profitability.summary.tacos } : null;
+    }
+    return {
+      summary: profitability.summary,
+      coverage: profitability.coverage,
+      classification: profitability.classification,
+      lossMakingKeywords: profitability.keywords.lossMaking.slice(0, 5),
+    };
+  }
+
+  /**
+   * Top search-term n-grams by wasted spend and ROAS, trimmed for the prompt
+   */
+  summarizeNgrams(searchTerms) {
+    const table = searchTerms?.ngrams?.searchTerm;
+    if (!table || table.rows === 0) return null;
+    const brief = ({ ngram, clicks, cost, sales, roas, wastedSpend }) => ({
+      ngram,
+      clicks,
+      cost,
+      sales,
+      roas,
+      wastedSpend,
+    });
+    return Object.fromEntries(
+      ["unigrams", "bigrams", "trigrams"].map((size) => [
+        size,
+        {
+          mostWastedSpend: table[size].mostWastedSpend.slice(0, 5).map(brief),
+          bestROAS: table[size].bestROAS.slice(0, 5).map(brief),
+        },
+      ])
+    );
+  }
 }
 
 module.exports = InsightGeneratorAgent;
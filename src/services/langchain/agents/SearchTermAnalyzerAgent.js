@@ -0,0 +1,26 @@
+const BaseAgent = require("../../../agents/baseAgent");
+const AnalysisAccumulator = require("../../analysisAccumulator");
+const SearchTermAccumulator = require("../../searchTermAccumulator");
+
+class SearchTermAnalyzerAgent extends BaseAgent {
+  constructor() {
+    super("SearchTermAnalyzerAgent");
+  }
+
+  /**
+   * Analyze the search terms and keywords of cleaned rows. Accepts the rows
+   * (or { rows }) or an AnalysisAccumulator that was fed while streaming.
+   * Negative and harvesting limits come from settings (defaults when left out).
+   */
+  async execute(data, settings) {
+    this.logger.info("SearchTermAnalyzerAgent analyzing search terms...");
+    const accumulator =
+      data instanceof AnalysisAccumulator
+        ? data.searchTerms
+        : new SearchTermAccumulator(settings).addAll(data.rows || data);
+    // 1- to 3-gram rollups with the most wasted spend and the best ROAS
+    return accumulator.toAnalysis();
+  }
+}
+
+module.exports = SearchTermAnalyzerAgent;
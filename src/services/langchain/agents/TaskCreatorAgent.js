@@ -1,17 +1,35 @@
 const BaseAgent = require("../../../agents/baseAgent");
 const promptManager = require("../prompts");
+const {
+  LEVELS,
+  INSUFFICIENT_DATA,
+  overallConfidence,
+} = require("../../../utils/confidence");
+
+/**
+ * Confidence stated by the LLM for a task, insufficient_data when it gave
+ * none of the known levels
+ */
+const llmConfidence = (confidence) =>
+  LEVELS.some(([level]) => level === confidence) ? confidence : INSUFFICIENT_DATA;
 
 class TaskCreatorAgent extends BaseAgent {
   constructor() {
     super("TaskCreatorAgent");
   }
 
-  async execute(insightData) {
+  /**
+   * LLM tasks from the insights, followed by the tasks computed directly
+   * from the analysis (which do not depend on the LLM). Every task has a
+   * confidence; placeholder tasks have insufficient_data.
+   */
+  async execute(insightData, analysisData = {}) {
     this.logger.info("TaskCreatorAgent creating optimization tasks...");
     // Prepare prompt for LLM
     const prompt = promptManager.getTemplate("optimization");
     const input = {
       insights: insightData.insights,
+      targets: analysisData.settings?.targets || null,
     };
     // Call LLM for tasks
     let tasks = [];
@@ -43,6 +61,7 @@ class TaskCreatorAgent extends BaseAgent {
                   "No description provided",
                 impact: task.impact || "medium",
                 difficulty: task.difficulty || "medium",
+                confidence: llmConfidence(task.confidence),
                 action_items: task.action_items || [],
               }))
             : [
@@ -52,6 +71,7 @@ class TaskCreatorAgent extends BaseAgent {
                   description: "Failed to parse task format",
                   impact: "low",
                   difficulty: "medium",
+                  confidence: INSUFFICIENT_DATA,
                   action_items: [],
                 },
               ];
@@ -63,6 +83,7 @@ class TaskCreatorAgent extends BaseAgent {
               description: result,
               impact: "low",
               difficulty: "medium",
+              confidence: INSUFFICIENT_DATA,
               action_items: [],
             },
           ];
@@ -74,6 +95,7 @@ class TaskCreatorAgent extends BaseAgent {
             priority: "medium",
             description: "LLM or prompt not available",
             impact: "low",
+            confidence: INSUFFICIENT_DATA,
             action_items: [],
           },
         ];
@@ -87,16 +109,93 @@ class TaskCreatorAgent extends BaseAgent {
           priority: "medium",
           description: "Failed to generate tasks via LLM",
           impact: "low",
+          confidence: INSUFFICIENT_DATA,
           action_items: [],
         },
       ];
       aiGenerated = false;
     }
     return {
-      tasks,
+      tasks: [...tasks, ...this.createAnalysisTasks(analysisData)],
       aiGenerated,
     };
   }
+
+  /**
+   * Tasks for the analysis outputs that already carry concrete actions, as
+   * confident as most of the items they list
+   */
+  createAnalysisTasks(analysisData) {
+    const tasks = [];
+
+    const harvest = analysisData.searchTerms?.harvestedKeywords;
+    if (harvest && harvest.count > 0) {
+      tasks.push({
+        type: "keyword_harvesting",
+        priority: "high",
+        description: `${harvest.count} converting search terms are not targeted as exact-match keywords. Add them as exact keywords at the suggested starting bids (target ACOS ${harvest.targetAcos}%).`,
+        impact: "high",
+        difficulty: "low",
+        confidence: overallConfidence(
+          harvest.recommendations.slice(0, 10).map((keyword) => keyword.confidence)
+        ),
+        action_items: harvest.recommendations
+          .slice(0, 10)
+          .map(
+            (keyword) =>
+              `Add "${keyword.searchTerm}" as exact in ${keyword.campaign} > ${keyword.adGroup} at a bid of ${keyword.suggestedBid} (${keyword.conversions} conversions, ACOS ${keyword.acos.toFixed(1)}%)`
+          ),
+      });
+    }
+
+    const budget = analysisData.budgetAllocation;
+    if (budget && budget.summary && budget.summary.salesChangePercent >= 1) {
+      const { summary } = budget;
+      const moves = budget.allocations
+        .filter((line) => Math.abs(line.spendChange) >= 1)
+        .slice(0, 10);
+      tasks.push({
+        type: "budget_reallocation",
+        priority: summary.salesChangePercent >= 10 ? "high" : "medium",
+        description: `Reallocating ${summary.proposedSpend} of spend across campaigns by marginal ROAS is projected to change sales by ${summary.salesChange} (${summary.salesChangePercent}%), with spend changing by ${summary.spendChange}.`,
+        impact: summary.salesChangePercent >= 10 ? "high" : "medium",
+        difficulty: "low",
+        confidence: overallConfidence(moves.map((line) => line.confidence)),
+        action_items: moves.map(
+          (line) =>
+            `${line.spendChange > 0 ? "Raise" : "Lower"} spend on ${line.id} from ${line.currentSpend} to ${line.proposedSpend}`
+        ),
+      });
+    }
+
+    const profitability = analysisData.profitability;
+    const lossMaking = profitability?.keywords?.lossMaking || [];
+    if (lossMaking.length > 0) {
+      const loss = lossMaking.reduce((sum, keyword) => sum + keyword.profit, 0);
+      tasks.push({
+        type: "loss_making_keywords",
+        priority: "high",
+        description: `${profitability.classification.loss_making} keywords lose money after ad spend at their product margins; the ${lossMaking.length} largest lose ${Math.abs(loss).toFixed(2)}. Lower their bids towards break-even ACOS or pause them.`,
+        impact: "high",
+        difficulty: "low",
+        confidence: overallConfidence(
+          lossMaking.slice(0, 10).map((keyword) => keyword.confidence)
+        ),
+        action_items: lossMaking
+          .slice(0, 10)
+          .map(
+            (keyword) =>
+              `Cut the bid on "${keyword.keyword}" (${keyword.matchType}) in ${keyword.campaign} > ${keyword.adGroup}: ${
+                keyword.acos === null
+                  ? "no sales"
+                  : `ACOS ${keyword.acos.toFixed(1)}% against a break-even ACOS of ${keyword.breakEvenAcos.toFixed(1)}%`
+              }, loss ${Math.abs(keyword.profit).toFixed(2)}`
+          ),
+      });
+    }
+
+    return tasks;
+  }
 }
 
 module.exports = TaskCreatorAgent;
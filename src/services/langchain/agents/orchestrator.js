@@ -1,32 +1,65 @@
 const logger = require("../../../utils/logger");
 const langchainConfig = require("../../langchain/config");
 const DataAnalyzerAgent = require("./DataAnalyzerAgent");
+const SearchTermAnalyzerAgent = require("./SearchTermAnalyzerAgent");
 const InsightGeneratorAgent = require("./InsightGeneratorAgent");
 const TaskCreatorAgent = require("./TaskCreatorAgent");
+const bidOptimizer = require("../../bidOptimizer");
+const budgetOptimizer = require("../../budgetOptimizer");
+const workspaceSettings = require("../../workspaceSettings");
 
 /**
  * Orchestrate the multi-agent pipeline
- * @param {Object} csvData - The processed CSV data/metrics
+ * @param {Array|AnalysisAccumulator} csvData - The processed rows, or an accumulator fed while streaming them
+ * @param {Object} options - bidTargets: target ACOS/ROAS for the job and per campaign;
+ *   settings: the workspace's effective targets and thresholds (defaults when left out)
  * @returns {Object} - Combined output from all agents
  */
-async function runAgentPipeline(csvData) {
+async function runAgentPipeline(csvData, options = {}) {
   try {
     // Ensure LangChain config is initialized before using agents
     await langchainConfig.initialize();
 
     // Now create agents (after LLM is ready)
     const dataAnalyzer = new DataAnalyzerAgent();
+    const searchTermAnalyzer = new SearchTermAnalyzerAgent();
     const insightGenerator = new InsightGeneratorAgent();
     const taskCreator = new TaskCreatorAgent();
 
+    const settings = options.settings || workspaceSettings.resolve();
+
     // 1. Data analysis
-    const analysisResult = await dataAnalyzer.execute(csvData);
+    const analysisResult = await dataAnalyzer.execute(csvData, settings);
+    analysisResult.searchTerms = await searchTermAnalyzer.execute(csvData, settings);
+    // Read by the insight and task prompts
+    analysisResult.settings = settings;
+
+    // Bid recommendations are computed, not generated, so they survive an LLM failure
+    const bids = bidOptimizer.recommend(
+      analysisResult.hierarchy,
+      options.bidTargets || {},
+      settings
+    );
+    analysisResult.bidRecommendations = {
+      ...bids,
+      recommendations: bids.recommendations.slice(
+        0,
+        bidOptimizer.maxStoredRecommendations
+      ),
+    };
+
+    // Campaign budgets redistributed at the current total spend
+    const { targetAcos, targetRoas } = options.bidTargets || {};
+    analysisResult.budgetAllocation = budgetOptimizer.optimize(
+      analysisResult.hierarchy,
+      { targetAcos, targetRoas, elasticity: settings.budget.elasticity }
+    );
 
     // 2. Insight generation
     const insightResult = await insightGenerator.execute(analysisResult);
 
     // 3. Task creation
-    const taskResult = await taskCreator.execute(insightResult);
+    const taskResult = await taskCreator.execute(insightResult, analysisResult);
 
     // Determine if AI was used for both insights and tasks
     const aiGenerated =
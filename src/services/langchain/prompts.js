@@ -14,6 +14,15 @@ class PromptManager {
         Analyze the following advertising data and provide insights:
         {data}
         
+        Judge performance against the workspace targets and thresholds under
+        "settings" rather than generic industry benchmarks. Do not draw
+        conclusions from performers or counts with a confidence of
+        "insufficient_data"; suggest collecting more data for them instead.
+        A confidence of "observed" rests on the observed value alone, as the
+        report has no order counts to test it. In "metrics", the account*
+        ratios come from the account totals; the average* ones are plain means
+        of the per-row ratios, where every row counts the same.
+
         Please focus on:
         1. Key performance metrics
         2. Notable trends
@@ -28,13 +37,16 @@ class PromptManager {
         Based on the following analysis, generate optimization recommendations:
         {analysis}
         
+        Aim the recommendations at the workspace targets under "targets".
+
         Please provide:
         1. Specific actions to take
         2. Expected impact
         3. Priority level
         4. Implementation difficulty
+        5. Confidence: "high" or "medium" when the insights back the action with enough data, otherwise "insufficient_data"
         
-        Format your response as a JSON array of 5 items. Each array element should be an object with the following fields: recommendation, impact, priority, and difficulty. Do not wrap the array in an outer object.
+        Format your response as a JSON array of 5 items. Each array element should be an object with the following fields: recommendation, impact, priority, difficulty, and confidence. Do not wrap the array in an outer object.
       `);
 
       logger.info("Prompt templates initialized successfully");
@@ -0,0 +1,281 @@
+const db = require("../config/database");
+const fileReaders = require("./fileReaders");
+const numberParser = require("../utils/numberParser");
+
+// A margin applies to one product (ASIN or SKU) or to a whole campaign
+const SCOPES = ["product", "campaign"];
+
+// How margin cells without a % sign are read: as percentages (35), as
+// fractions (0.35, as spreadsheets store percentage-formatted cells), or
+// auto, fractions when every such margin in the file is at most 1
+const UNITS = ["auto", "percent", "fraction"];
+
+// Rows read from one margin file
+const MAX_MARGIN_ROWS = 100000;
+
+// Rejected lines echoed back from a margin file
+const MAX_LISTED_ERRORS = 100;
+
+// Margin-file headers (lowercased) for each column
+const HEADER_ALIASES = {
+  product: [
+    "asin",
+    "sku",
+    "product",
+    "product_targets",
+    "advertised asin",
+    "advertised sku",
+    "matched product",
+  ],
+  campaign: ["campaign", "campaign name"],
+  margin: ["margin", "margin %", "margin (%)", "profit margin", "product margin"],
+};
+
+/**
+ * Product margins (%), per workspace and per ASIN/SKU or campaign.
+ *
+ * A margin is what a sale earns before advertising, as a share of the sale
+ * price, so it is also the break-even ACOS: ads costing more than that share
+ * of the sales they drive lose money. Rows take the margin of their product
+ * (the product_targets field), else of their campaign.
+ */
+class MarginService {
+  constructor() {
+    this.scopes = SCOPES;
+    this.units = UNITS;
+  }
+
+  /**
+   * Key a product is stored and matched under: the ASIN of a targeting
+   * expression such as asin="B0ABC12345", else the lowercased value
+   */
+  productKey(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim().toLowerCase();
+    if (!text) return null;
+    const asin = text.match(/asin(?:-expanded)?="?([a-z0-9]{10})"?/);
+    return asin ? asin[1] : text;
+  }
+
+  key(scope, name) {
+    return scope === "product" ? this.productKey(name) : String(name).trim();
+  }
+
+  /**
+   * Margins that apply to a workspace's uploads:
+   * { products: Map(key -> margin), campaigns: Map(name -> margin) }
+   */
+  async loadMargins(workspace) {
+    const result = await db.query(
+      "SELECT scope, scope_id, margin FROM profit_margins WHERE workspace = $1",
+      [workspace]
+    );
+    const margins = { products: new Map(), campaigns: new Map() };
+    for (const row of result.rows) {
+      const target = row.scope === "product" ? margins.products : margins.campaigns;
+      target.set(row.scope_id, parseFloat(row.margin));
+    }
+    return margins;
+  }
+
+  /**
+   * Margin of one cleaned row and where it came from, or null
+   */
+  resolve(margins, row) {
+    if (!margins) return null;
+    const product = this.productKey(row.product_targets);
+    if (product && margins.products.has(product)) {
+      return { margin: margins.products.get(product), source: "product", product };
+    }
+    if (row.campaign && margins.campaigns.has(row.campaign)) {
+      return { margin: margins.campaigns.get(row.campaign), source: "campaign", product };
+    }
+    return null;
+  }
+
+  async listMargins(workspace) {
+    const result = await db.query(
+      `SELECT scope, scope_id, margin, updated_at FROM profit_margins
+       WHERE workspace = $1 ORDER BY scope, scope_id`,
+      [workspace]
+    );
+    return result.rows.map((row) => ({
+      scope: row.scope,
+      name: row.scope_id,
+      margin: parseFloat(row.margin),
+      updatedAt: row.updated_at,
+    }));
+  }
+
+  /**
+   * Create or update margins ({ scope, name, margin }); with replace the
+   * workspace's other margins are removed
+   */
+  async saveMargins(workspace, entries, replace = false) {
+    const byKey = new Map();
+    for (const entry of entries) {
+      const key = this.key(entry.scope, entry.name);
+      if (key) byKey.set(`${entry.scope}\u0000${key}`, { ...entry, key });
+    }
+    const rows = [...byKey.values()];
+
+    const client = await db.pool.connect();
+    try {
+      await client.query("BEGIN");
+      if (replace) {
+        await client.query("DELETE FROM profit_margins WHERE workspace = $1", [
+          workspace,
+        ]);
+      }
+      if (rows.length > 0) {
+        await client.query(
+          `INSERT INTO profit_margins (workspace, scope, scope_id, margin)
+           SELECT $1, scope, scope_id, margin
+           FROM UNNEST($2::varchar[], $3::varchar[], $4::numeric[]) AS m(scope, scope_id, margin)
+           ON CONFLICT (workspace, scope, scope_id)
+           DO UPDATE SET margin = EXCLUDED.margin, updated_at = CURRENT_TIMESTAMP`,
+          [
+            workspace,
+            rows.map((row) => row.scope),
+            rows.map((row) => row.key),
+            rows.map((row) => row.margin),
+          ]
+        );
+      }
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+    return rows.length;
+  }
+
+  /**
+   * Delete a workspace's margins: all, one scope, or one product/campaign
+   */
+  async deleteMargins(workspace, scope, name) {
+    const conditions = ["workspace = $1"];
+    const values = [workspace];
+    if (scope) {
+      values.push(scope);
+      conditions.push(`scope = $${values.length}`);
+    }
+    if (scope && name) {
+      values.push(this.key(scope, name));
+      conditions.push(`scope_id = $${values.length}`);
+    }
+    const result = await db.query(
+      `DELETE FROM profit_margins WHERE ${conditions.join(" AND ")}`,
+      values
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Read margins from a CSV, TSV or XLSX file with a margin column and an
+   * ASIN/SKU or campaign column. Returns { entries, rows, skipped, errors,
+   * units, truncated, warnings }, each listed error giving the line and why it was
+   * skipped; rows past MAX_MARGIN_ROWS are not read and set truncated. Margins with a % sign are always percentages; options.units
+   * says how the others are read, and units which way they were.
+   */
+  async readMarginFile(filePath, options = {}) {
+    const { units = "auto" } = options;
+    const reader = await fileReaders.openRowStream(filePath, options);
+    const entries = [];
+    const errors = [];
+    let rows = 0;
+    let skipped = 0;
+    let truncated = false;
+    let columns = null;
+
+    try {
+      for await (const row of reader.stream) {
+        if (!columns) columns = this.findColumns(Object.keys(row));
+        if (!columns.margin || (!columns.product && !columns.campaign)) {
+          return {
+            error:
+              "Margin files need a margin column and an ASIN/SKU or campaign column",
+          };
+        }
+
+        if (rows >= MAX_MARGIN_ROWS) {
+          truncated = true;
+          break;
+        }
+        rows++;
+        const line = rows + 1;
+        const parsed = numberParser.parse(row[columns.margin], options.locale);
+        const product = columns.product ? String(row[columns.product] || "").trim() : "";
+        const campaign = columns.campaign ? String(row[columns.campaign] || "").trim() : "";
+
+        const fraction = units === "fraction" && parsed && !parsed.percent;
+        let reason = null;
+        if (!parsed) reason = "Margin is not a number";
+        else if (parsed.value < 0 || parsed.value > (fraction ? 1 : 100)) {
+          reason = fraction ? "Margin must be between 0 and 1" : "Margin must be between 0 and 100";
+        } else if (!product && !campaign) reason = "No ASIN/SKU or campaign";
+
+        if (reason) {
+          skipped++;
+          if (errors.length < MAX_LISTED_ERRORS) errors.push({ line, reason });
+        } else {
+          entries.push({
+            scope: product ? "product" : "campaign",
+            name: product || campaign,
+            margin: parsed.value,
+            percent: parsed.percent,
+          });
+        }
+      }
+    } finally {
+      reader.close();
+    }
+
+    const bare = entries.filter((entry) => !entry.percent);
+    const asFractions =
+      units === "fraction" ||
+      (units === "auto" && bare.length > 0 && bare.every((entry) => entry.margin <= 1));
+    const warnings = [];
+    if (truncated) {
+      warnings.push(
+        `Only the first ${MAX_MARGIN_ROWS} rows were read; split the file to import the rest.`
+      );
+    }
+    if (units === "auto" && asFractions) {
+      warnings.push(
+        "Every margin without a % sign is at most 1, so they were read as fractions (0.35 = 35%). Upload with units=percent if they are percentages."
+      );
+    } else if (units === "percent" && bare.length > 0 && bare.every((entry) => entry.margin < 1)) {
+      warnings.push(
+        "Every margin without a % sign is below 1%. If they are fractions (0.35 = 35%), upload with units=fraction."
+      );
+    }
+
+    return {
+      entries: entries.map(({ percent, ...entry }) => ({
+        ...entry,
+        margin: asFractions && !percent ? entry.margin * 100 : entry.margin,
+      })),
+      rows,
+      skipped,
+      errors,
+      units: asFractions ? "fraction" : "percent",
+      truncated,
+      warnings,
+    };
+  }
+
+  findColumns(headers) {
+    const find = (aliases) =>
+      headers.find((header) => aliases.includes(header.trim().toLowerCase())) || null;
+    return {
+      product: find(HEADER_ALIASES.product),
+      campaign: find(HEADER_ALIASES.campaign),
+      margin: find(HEADER_ALIASES.margin),
+    };
+  }
+}
+
+module.exports = new MarginService();
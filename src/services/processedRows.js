@@ -0,0 +1,238 @@
+const crypto = require("crypto");
+const db = require("../config/database");
+const { getJSON, setJSON } = require("../utils/redisClient");
+
+// Row fields that can be filtered by range and sorted numerically
+const NUMERIC_FIELDS = [
+  "impressions",
+  "clicks",
+  "cost",
+  "sales",
+  "conversions",
+  "orders",
+  "acos",
+  "roas",
+  "ctr",
+  "cpc",
+  "cpm",
+  "calculated_ctr",
+  "calculated_cpc",
+  "calculated_cpm",
+  "calculated_roas",
+  "calculated_acos",
+  "calculated_conversion_rate",
+];
+
+// Row fields sorted as text
+const TEXT_FIELDS = [
+  "keyword",
+  "search_term",
+  "campaign",
+  "ad_group",
+  "match_type",
+  "portfolio",
+  "targeting_type",
+  "date",
+  "start_date",
+  "end_date",
+];
+
+const SELECTABLE_FIELDS = [...TEXT_FIELDS, ...NUMERIC_FIELDS, "custom_dimensions"];
+
+// Seconds a job's row count for one filter set is cached; its rows do not
+// change once it has completed
+const TOTAL_CACHE_TTL = 3600;
+
+/**
+ * Keyword-level queries over the cleaned rows stored in processed_data.
+ *
+ * Filters, sorting and column selection work on the row_data JSONB. Field
+ * names are only ever taken from the lists above, so they are safe to place
+ * in SQL. Pagination is keyset-based: the cursor carries the sort value and
+ * row_number (the row's line in the file) of the last row returned, so no
+ * page skips rows with OFFSET. Every sort key has an expression index
+ * (see sortIndexes), so a page reads only its own rows; the total is counted
+ * once per job and filter set and cached, and skipped with total=false.
+ */
+class ProcessedRowService {
+  constructor() {
+    this.numericFields = NUMERIC_FIELDS;
+    this.textFields = TEXT_FIELDS;
+    this.selectableFields = SELECTABLE_FIELDS;
+  }
+
+  /**
+   * Sort key for a field. Missing values sort below every real value.
+   */
+  sortExpression(field) {
+    if (NUMERIC_FIELDS.includes(field)) {
+      return `COALESCE((row_data->>'${field}')::float8, '-Infinity'::float8)`;
+    }
+    return `COALESCE(row_data->>'${field}', '')`;
+  }
+
+  /**
+   * Index statements for every sort key, by job then the key then row_number
+   * as the pages are ordered; applied with the other schema changes
+   */
+  sortIndexes() {
+    return [...NUMERIC_FIELDS, ...TEXT_FIELDS].map(
+      (field) =>
+        `CREATE INDEX IF NOT EXISTS idx_processed_data_sort_${field} ON processed_data (job_id, (${this.sortExpression(
+          field
+        )}), row_number)`
+    );
+  }
+
+  encodeCursor(sort, order, value, rowNumber) {
+    // JSON has no -Infinity, the sort key of missing numeric values
+    const encoded = value === -Infinity ? null : value;
+    return Buffer.from(
+      JSON.stringify({ s: sort, o: order, v: encoded, n: rowNumber })
+    ).toString("base64url");
+  }
+
+  /**
+   * Decode a cursor issued for the same sort, or return null if it is invalid
+   */
+  decodeCursor(cursor, sort, order) {
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+      if (
+        decoded.s !== sort ||
+        decoded.o !== order ||
+        !Number.isInteger(decoded.n)
+      ) {
+        return null;
+      }
+      if (NUMERIC_FIELDS.includes(sort)) {
+        if (decoded.v !== null && typeof decoded.v !== "number") return null;
+        return { value: decoded.v === null ? "-Infinity" : decoded.v, rowNumber: decoded.n };
+      }
+      if (typeof decoded.v !== "string") return null;
+      return { value: decoded.v, rowNumber: decoded.n };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * WHERE conditions and parameters for the filters, after the job id ($1)
+   */
+  buildFilters(analysisJobId, { min = {}, max = {}, q, campaign, adGroup, matchType }) {
+    const conditions = ["job_id = $1"];
+    const params = [analysisJobId];
+
+    Object.entries(min).forEach(([field, value]) => {
+      params.push(value);
+      conditions.push(`(row_data->>'${field}')::float8 >= $${params.length}`);
+    });
+    Object.entries(max).forEach(([field, value]) => {
+      params.push(value);
+      conditions.push(`(row_data->>'${field}')::float8 <= $${params.length}`);
+    });
+
+    if (q) {
+      params.push(`%${q.replace(/[\\%_]/g, "\\$&")}%`);
+      conditions.push(
+        `(row_data->>'keyword' ILIKE $${params.length} OR row_data->>'search_term' ILIKE $${params.length})`
+      );
+    }
+
+    [
+      ["campaign", campaign],
+      ["ad_group", adGroup],
+      ["match_type", matchType],
+    ].forEach(([field, value]) => {
+      if (value !== undefined) {
+        params.push(value);
+        conditions.push(`row_data->>'${field}' = $${params.length}`);
+      }
+    });
+
+    return { conditions, params };
+  }
+
+  /**
+   * Rows matching the filters, cached per job and filter set
+   */
+  async countRows(conditions, params) {
+    const cacheKey = `rows-total:${crypto
+      .createHash("sha256")
+      .update(JSON.stringify([conditions, params]))
+      .digest("hex")}`;
+    const cached = await getJSON(cacheKey);
+    if (cached !== null) return cached;
+
+    const result = await db.query(
+      `SELECT COUNT(*) AS total FROM processed_data WHERE ${conditions.join(" AND ")}`,
+      params
+    );
+    const total = parseInt(result.rows[0].total);
+    await setJSON(cacheKey, total, TOTAL_CACHE_TTL);
+    return total;
+  }
+
+  /**
+   * One page of rows for an analysis job (internal analysis_jobs.id).
+   * Returns null when the cursor does not belong to this sort. total is
+   * null when options.total is false.
+   */
+  async queryRows(analysisJobId, options) {
+    const { sort, order, limit, columns, cursor } = options;
+    const { conditions, params } = this.buildFilters(analysisJobId, options);
+
+
+    const sortKey = this.sortExpression(sort);
+    const direction = order === "asc" ? "ASC" : "DESC";
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+
+    if (cursor) {
+      const position = this.decodeCursor(cursor, sort, order);
+      if (!position) return null;
+
+      pageParams.push(position.value, position.rowNumber);
+      const valueType = NUMERIC_FIELDS.includes(sort) ? "float8" : "text";
+      pageConditions.push(
+        `(${sortKey}, row_number) ${direction === "ASC" ? ">" : "<"} ($${
+          pageParams.length - 1
+        }::${valueType}, $${pageParams.length})`
+      );
+    }
+
+    const selection = columns
+      ? `jsonb_build_object(${columns
+          .map((field) => `'${field}', row_data->'${field}'`)
+          .join(", ")})`
+      : "row_data";
+
+    pageParams.push(limit + 1);
+    const result = await db.query(
+      `
+      SELECT row_number, ${selection} AS row_data, ${sortKey} AS sort_value
+      FROM processed_data
+      WHERE ${pageConditions.join(" AND ")}
+      ORDER BY sort_value ${direction}, row_number ${direction}
+      LIMIT $${pageParams.length}
+    `,
+      pageParams
+    );
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    return {
+      rows: rows.map((row) => ({ rowNumber: row.row_number, ...row.row_data })),
+      total: options.total === false ? null : await this.countRows(conditions, params),
+      hasMore,
+      nextCursor:
+        hasMore && last
+          ? this.encodeCursor(sort, order, last.sort_value, last.row_number)
+          : null,
+    };
+  }
+}
+
+module.exports = new ProcessedRowService();
@@ -0,0 +1,260 @@
+const { UNASSIGNED, keepHeaviest } = require("../utils/metrics");
+const margins = require("./margins");
+const { roasInterval, verdictConfidence } = require("../utils/confidence");
+
+// Keywords whose profit after ad spend is within this share of their ad
+// spend either way are break-even (ACOS within about 10% of break-even ACOS)
+const BREAK_EVEN_BAND = 0.1;
+
+// Keywords listed per classification, largest profit or loss first
+const MAX_LISTED_KEYWORDS = 20;
+
+// Products and campaigns listed, most spend first
+const MAX_LISTED_PRODUCTS = 50;
+const MAX_LISTED_CAMPAIGNS = 100;
+
+// Keywords and campaigns tracked; past these the half with the least spend
+// and sales is dropped
+const MAX_TRACKED_KEYWORDS = 100000;
+const MAX_TRACKED_CAMPAIGNS = 10000;
+
+const round = (value, places = 2) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+const emptyProfit = () => ({
+  cost: 0,
+  sales: 0,
+  grossProfit: 0,
+  clicks: 0,
+  orders: 0,
+  // Sum of the margins of the rows, for a margin where nothing sold
+  marginSum: 0,
+  marginedRows: 0,
+  // Spend on rows without a margin, left out of the profit
+  unmarginedCost: 0,
+});
+
+/**
+ * Profit after ad spend, break-even ACOS and ACOS of a profit rollup
+ */
+function summarizeProfit(totals) {
+  const { cost, sales, grossProfit } = totals;
+  return {
+    cost: round(cost),
+    sales: round(sales),
+    grossProfit: round(grossProfit),
+    profit: round(grossProfit - cost),
+    acos: sales ? round((cost / sales) * 100, 4) : null,
+    breakEvenAcos: sales ? round((grossProfit / sales) * 100, 4) : null,
+    unmarginedCost: round(totals.unmarginedCost),
+  };
+}
+
+/**
+ * profitable, break_even or loss_making by profit after ad spend; null when
+ * no row had a margin, or nothing was spent or sold
+ */
+function classify(totals) {
+  const { cost, sales, grossProfit } = totals;
+  if (!cost && !sales) return null;
+  const profit = grossProfit - cost;
+  if (profit > cost * BREAK_EVEN_BAND) return "profitable";
+  if (profit < -cost * BREAK_EVEN_BAND) return "loss_making";
+  return "break_even";
+}
+
+/**
+ * Single-pass profitability of cleaned rows against workspace margins.
+ *
+ * Each row with a margin earns sales x margin before advertising; its profit
+ * is that minus its ad spend. Keywords (per campaign, ad group and match
+ * type), products and campaigns are classified by that profit rather than
+ * by a fixed ACOS cutoff. Rows without a margin are counted but left out of
+ * every profit figure. TACoS is ad spend over total (ad and organic) sales,
+ * when those are given. Loss-making keywords carry the confidence
+ * (utils/confidence) that their ROAS is below break-even. Products are
+ * bounded by the margin file; keywords and campaigns are pruned past
+ * MAX_TRACKED_KEYWORDS and MAX_TRACKED_CAMPAIGNS (see prune).
+ */
+class ProfitabilityAccumulator {
+  constructor({ margins: marginSets = null, totalSales = null } = {}) {
+    this.margins = marginSets;
+    this.totalSales = totalSales;
+    this.adCost = 0;
+    this.adSales = 0;
+    this.rows = 0;
+    this.marginedRows = 0;
+    this.totals = emptyProfit();
+    this.keywords = new Map();
+    this.products = new Map();
+    this.campaigns = new Map();
+    this.pruned = false;
+  }
+
+  /**
+   * Fold one cleaned row in; returns its break-even ACOS (its margin), or
+   * null when it has none
+   */
+  add(row) {
+    const cost = row.cost || 0;
+    const sales = row.sales || 0;
+    this.rows++;
+    this.adCost += cost;
+    this.adSales += sales;
+    this.prune();
+
+    const resolved = margins.resolve(this.margins, row);
+    const child = (map, key, create) => {
+      if (!map.has(key)) map.set(key, { ...create(), totals: emptyProfit() });
+      return map.get(key).totals;
+    };
+    const campaign = row.campaign || UNASSIGNED;
+    const adGroup = row.ad_group || UNASSIGNED;
+    const matchType = row.match_type || UNASSIGNED;
+    const rollups = [
+      this.totals,
+      child(this.campaigns, campaign, () => ({ campaign })),
+      child(
+        this.keywords,
+        [campaign, adGroup, row.keyword, matchType].join("\u0000"),
+        () => ({ campaign, adGroup, keyword: row.keyword, matchType })
+      ),
+    ];
+    if (resolved && resolved.source === "product") {
+      rollups.push(
+        child(this.products, resolved.product, () => ({
+          product: resolved.product,
+          margin: resolved.margin,
+        }))
+      );
+    }
+
+    if (!resolved) {
+      rollups.forEach((totals) => {
+        totals.unmarginedCost += cost;
+      });
+      return null;
+    }
+
+    this.marginedRows++;
+    const grossProfit = (sales * resolved.margin) / 100;
+    rollups.forEach((totals) => {
+      totals.cost += cost;
+      totals.sales += sales;
+      totals.grossProfit += grossProfit;
+      totals.clicks += row.clicks || 0;
+      totals.orders += row.conversions || row.orders || 0;
+      totals.marginSum += resolved.margin;
+      totals.marginedRows++;
+    });
+    return resolved.margin;
+  }
+
+  /**
+   * Keep the half of the keywords or campaigns with the most spend and sales
+   * once either outgrows its limit. The account totals stay exact; a dropped
+   * entry that turns up again starts from zero, so only the long tail of the
+   * classification is approximate.
+   */
+  prune() {
+    const weight = ({ totals }) =>
+      totals.cost + totals.unmarginedCost + totals.sales;
+    if (this.keywords.size > MAX_TRACKED_KEYWORDS) {
+      this.keywords = keepHeaviest(this.keywords, MAX_TRACKED_KEYWORDS / 2, weight);
+      this.pruned = true;
+    }
+    if (this.campaigns.size > MAX_TRACKED_CAMPAIGNS) {
+      this.campaigns = keepHeaviest(this.campaigns, MAX_TRACKED_CAMPAIGNS / 2, weight);
+      this.pruned = true;
+    }
+  }
+
+  /**
+   * Confidence that a loss-making keyword's ROAS is below the ROAS at which
+   * it would leave the loss-making band. Its margin is its gross profit over
+   * sales, else the mean margin of its rows; keywords without orders are
+   * valued at the account's average order value.
+   */
+  lossConfidence(totals) {
+    const margin = totals.sales
+      ? (totals.grossProfit / totals.sales) * 100
+      : totals.marginSum / totals.marginedRows;
+    const orderValue = this.totals.orders ? this.totals.sales / this.totals.orders : 0;
+    return verdictConfidence(
+      (z) => roasInterval(totals, z, orderValue),
+      (100 * (1 - BREAK_EVEN_BAND)) / margin,
+      "below"
+    );
+  }
+
+  /**
+   * Keyword counts per classification; keywords without a margin (or any
+   * spend or sales) are unclassified
+   */
+  getClassification() {
+    const counts = { profitable: 0, break_even: 0, loss_making: 0, unclassified: 0 };
+    for (const entry of this.keywords.values()) {
+      counts[classify(entry.totals) || "unclassified"]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Output stored with the analysis
+   */
+  toAnalysis() {
+    const describe = ({ totals, ...identity }) => ({
+      ...identity,
+      ...summarizeProfit(totals),
+      classification: classify(totals),
+    });
+    const keywords = [...this.keywords.values()]
+      .filter((entry) => classify(entry.totals))
+      .map((entry) => {
+        const keyword = describe(entry);
+        if (keyword.classification !== "loss_making") return keyword;
+        return { ...keyword, confidence: this.lossConfidence(entry.totals) };
+      });
+    const byCost = (a, b) => b.cost + b.unmarginedCost - (a.cost + a.unmarginedCost);
+
+    return {
+      margins: {
+        products: this.margins ? this.margins.products.size : 0,
+        campaigns: this.margins ? this.margins.campaigns.size : 0,
+      },
+      coverage: {
+        rows: this.rows,
+        marginedRows: this.marginedRows,
+        costShare: this.adCost ? round((this.totals.cost / this.adCost) * 100, 1) : null,
+      },
+      summary: {
+        ...summarizeProfit(this.totals),
+        totalSales: this.totalSales,
+        organicSales: this.totalSales ? round(Math.max(this.totalSales - this.adSales, 0)) : null,
+        tacos: this.totalSales ? round((this.adCost / this.totalSales) * 100, 4) : null,
+      },
+      classification: this.getClassification(),
+      pruned: this.pruned,
+      keywords: {
+        lossMaking: keywords
+          .filter((keyword) => keyword.classification === "loss_making")
+          .sort((a, b) => a.profit - b.profit)
+          .slice(0, MAX_LISTED_KEYWORDS),
+        profitable: keywords
+          .filter((keyword) => keyword.classification === "profitable")
+          .sort((a, b) => b.profit - a.profit)
+          .slice(0, MAX_LISTED_KEYWORDS),
+      },
+      products: [...this.products.values()]
+        .map(describe)
+        .sort(byCost)
+        .slice(0, MAX_LISTED_PRODUCTS),
+      campaigns: [...this.campaigns.values()]
+        .map(describe)
+        .sort(byCost)
+        .slice(0, MAX_LISTED_CAMPAIGNS),
+    };
+  }
+}
+
+module.exports = ProfitabilityAccumulator;
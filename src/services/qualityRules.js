@@ -0,0 +1,273 @@
+const db = require("../config/database");
+
+const SEVERITIES = ["reject", "warn", "fix", "off"];
+const SCOPES = ["workspace", "profile"];
+
+/**
+ * Built-in data-quality rules, applied in this order to every cleaned row.
+ *
+ * check(row, settings, context) returns the violations as
+ * [{ field, message }]; fix(row, violation, settings) repairs one violation
+ * in place. `code` is the rejection code stored with rows the rule rejects.
+ */
+const RULES = {
+  non_negative: {
+    description: "Numeric fields must not be negative",
+    code: "negative_value",
+    defaults: { severity: "reject" },
+    check: (row, settings, context) =>
+      (settings.fields || context.numericFields)
+        .filter((field) => typeof row[field] === "number" && row[field] < 0)
+        .map((field) => ({
+          field,
+          message: `Field '${field}' has negative value (${row[field]})`,
+        })),
+    fix: (row, violation) => {
+      row[violation.field] = 0;
+    },
+  },
+  clicks_within_impressions: {
+    description: "Clicks must not exceed impressions",
+    code: "clicks_exceed_impressions",
+    defaults: { severity: "reject" },
+    check: (row) =>
+      row.impressions < row.clicks
+        ? [
+            {
+              field: "impressions",
+              message: `Clicks (${row.clicks}) exceed impressions (${row.impressions})`,
+            },
+          ]
+        : [],
+    // Clicks are what gets billed, so the impression count is raised to match
+    fix: (row) => {
+      row.impressions = row.clicks;
+    },
+  },
+  max_value: {
+    // Off by default: the data analyzer flags statistical outliers instead
+    description: "Numeric fields must not exceed a fixed limit",
+    code: "outlier",
+    defaults: {
+      severity: "off",
+      limits: { impressions: 1_000_000, clicks: 1_000_000 },
+    },
+    check: (row, settings) =>
+      Object.entries(settings.limits || {})
+        .filter(([field, limit]) => typeof row[field] === "number" && row[field] > limit)
+        .map(([field, limit]) => ({
+          field,
+          message: `Field '${field}' is above its limit of ${limit} (${row[field]})`,
+        })),
+    fix: (row, violation, settings) => {
+      row[violation.field] = settings.limits[violation.field];
+    },
+  },
+};
+
+/**
+ * Declarative data-quality rules with a severity each: reject drops the row,
+ * warn keeps it and flags the issue, fix repairs the value and flags it, off
+ * skips the rule. Rule sets are stored per workspace and per report profile;
+ * the effective rules for a report are the built-in defaults, overridden by
+ * its profile's rule set, overridden by the workspace's.
+ */
+class QualityRuleService {
+  constructor() {
+    this.rules = RULES;
+    this.severities = SEVERITIES;
+    this.scopes = SCOPES;
+  }
+
+  /**
+   * Rule catalogue with default settings
+   */
+  listRules() {
+    return Object.entries(RULES).map(([name, rule]) => ({
+      rule: name,
+      description: rule.description,
+      code: rule.code,
+      defaults: rule.defaults,
+    }));
+  }
+
+  /**
+   * Merge rule sets over the defaults, later sets winning per rule
+   */
+  resolve(ruleSets = []) {
+    const effective = {};
+    for (const [name, rule] of Object.entries(RULES)) {
+      effective[name] = { ...rule.defaults };
+      for (const ruleSet of ruleSets) {
+        if (ruleSet && ruleSet[name]) {
+          effective[name] = { ...effective[name], ...ruleSet[name] };
+        }
+      }
+    }
+    return effective;
+  }
+
+  /**
+   * Apply the effective rules to a cleaned row, fixing values in place.
+   * Returns the first rejecting violation (or null) and the warn/fix issues.
+   */
+  evaluate(effective, row, context = {}) {
+    const issues = [];
+    for (const [name, rule] of Object.entries(RULES)) {
+      const settings = effective[name];
+      if (!settings || settings.severity === "off") continue;
+
+      const violations = rule.check(row, settings, context);
+      if (violations.length === 0) continue;
+
+      if (settings.severity === "reject") {
+        return {
+          rejection: { rule: name, code: rule.code, reason: violations[0].message },
+          issues,
+        };
+      }
+      for (const violation of violations) {
+        if (settings.severity === "fix") {
+          rule.fix(row, violation, settings);
+        }
+        issues.push({
+          rule: name,
+          action: settings.severity,
+          field: violation.field,
+          message: violation.message,
+        });
+      }
+    }
+    return { rejection: null, issues };
+  }
+
+  /**
+   * Empty per-job tally, filled by recordRow and recordRejection
+   */
+  createTally() {
+    return { totalRows: 0, cleanRows: 0, flaggedRows: 0, rejectedRows: 0, rules: new Map() };
+  }
+
+  ruleEntry(tally, rule, severity) {
+    if (!tally.rules.has(rule)) {
+      tally.rules.set(rule, { rule, severity, rejected: 0, warned: 0, fixed: 0 });
+    }
+    const entry = tally.rules.get(rule);
+    if (entry.severity !== severity) entry.severity = "mixed";
+    return entry;
+  }
+
+  /**
+   * List every active rule in the breakdown, including those that never fire
+   */
+  registerRules(tally, effective) {
+    for (const [name, settings] of Object.entries(effective)) {
+      if (settings.severity !== "off") this.ruleEntry(tally, name, settings.severity);
+    }
+  }
+
+  /**
+   * Count an accepted row and the warn/fix issues raised on it
+   */
+  recordRow(tally, issues = []) {
+    tally.totalRows++;
+    if (issues.length === 0) {
+      tally.cleanRows++;
+      return;
+    }
+    tally.flaggedRows++;
+    for (const issue of issues) {
+      const entry = this.ruleEntry(tally, issue.rule, issue.action);
+      if (issue.action === "fix") entry.fixed++;
+      else entry.warned++;
+    }
+  }
+
+  /**
+   * Count a rejected row. Structural rejections (missing fields, bad numbers
+   * or dates) are listed under their rejection code.
+   */
+  recordRejection(tally, rejection) {
+    tally.totalRows++;
+    tally.rejectedRows++;
+    this.ruleEntry(tally, rejection.rule || rejection.code, "reject").rejected++;
+  }
+
+  /**
+   * Quality score (share of rows that passed every rule, 0-100) and the
+   * per-rule breakdown
+   */
+  summarize(tally) {
+    return {
+      score:
+        tally.totalRows > 0
+          ? Math.round((tally.cleanRows / tally.totalRows) * 1000) / 10
+          : null,
+      totalRows: tally.totalRows,
+      cleanRows: tally.cleanRows,
+      flaggedRows: tally.flaggedRows,
+      rejectedRows: tally.rejectedRows,
+      rules: [...tally.rules.values()].sort(
+        (a, b) => b.rejected + b.warned + b.fixed - (a.rejected + a.warned + a.fixed)
+      ),
+    };
+  }
+
+  /**
+   * Stored rule sets that apply to uploads in a workspace:
+   * { workspace: rules|null, profiles: { profileName: rules } }
+   */
+  async loadRuleSets(workspace) {
+    const result = await db.query(
+      `SELECT scope, scope_id, rules FROM quality_rule_sets
+       WHERE scope = 'profile' OR (scope = 'workspace' AND scope_id = $1)`,
+      [workspace]
+    );
+    const ruleSets = { workspace: null, profiles: {} };
+    for (const row of result.rows) {
+      if (row.scope === "workspace") ruleSets.workspace = row.rules;
+      else ruleSets.profiles[row.scope_id] = row.rules;
+    }
+    return ruleSets;
+  }
+
+  /**
+   * Effective rules for one report profile under loaded rule sets
+   */
+  resolveForProfile(ruleSets, profileName) {
+    return this.resolve([
+      ruleSets && ruleSets.profiles ? ruleSets.profiles[profileName] : null,
+      ruleSets ? ruleSets.workspace : null,
+    ]);
+  }
+
+  async getRuleSet(scope, scopeId) {
+    const result = await db.query(
+      "SELECT scope, scope_id, rules, updated_at FROM quality_rule_sets WHERE scope = $1 AND scope_id = $2",
+      [scope, scopeId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async saveRuleSet(scope, scopeId, rules) {
+    const result = await db.query(
+      `INSERT INTO quality_rule_sets (scope, scope_id, rules)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (scope, scope_id)
+       DO UPDATE SET rules = EXCLUDED.rules, updated_at = CURRENT_TIMESTAMP
+       RETURNING scope, scope_id, rules, updated_at`,
+      [scope, scopeId, JSON.stringify(rules)]
+    );
+    return result.rows[0];
+  }
+
+  async deleteRuleSet(scope, scopeId) {
+    const result = await db.query(
+      "DELETE FROM quality_rule_sets WHERE scope = $1 AND scope_id = $2 RETURNING scope",
+      [scope, scopeId]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = new QualityRuleService();
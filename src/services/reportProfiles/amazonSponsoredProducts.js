@@ -0,0 +1,41 @@
+/**
+ * Amazon Ads Sponsored Products search term / targeting reports
+ */
+module.exports = {
+  name: "amazon_sponsored_products",
+  label: "Amazon Sponsored Products",
+  signatureHeaders: ["targeting"],
+  headerAliases: {
+    targeting: "keyword",
+    keyword: "keyword",
+    "customer search term": "search_term",
+    impressions: "impressions",
+    clicks: "clicks",
+    "click-thru rate (ctr)": "ctr",
+    "cost per click (cpc)": "cpc",
+    spend: "cost",
+    "7 day total sales": "sales",
+    "7 day total sales ($)": "sales",
+    "total advertising cost of sales (acos)": "acos",
+    "total return on advertising spend (roas)": "roas",
+    "7 day total orders (#)": "orders",
+    "matched product": "product_targets",
+    "advertised asin": "product_targets",
+    "added as": "added_as",
+    "campaign name": "campaign",
+    "ad group name": "ad_group",
+    "portfolio name": "portfolio",
+    date: "date",
+    "start date": "start_date",
+    "end date": "end_date",
+  },
+  // Amazon reports orders rather than conversions
+  fieldFallbacks: {
+    conversions: "orders",
+  },
+  requiredColumns: ["keyword", "impressions", "clicks", "cost"],
+  units: {
+    currency: "USD",
+    percentages: "percent",
+  },
+};
@@ -0,0 +1,26 @@
+/**
+ * Fallback profile for exports we do not recognise. Headers are matched
+ * against the internal field names after snake-casing, plus the handful of
+ * aliases seen in the original sample report.
+ */
+module.exports = {
+  name: "generic",
+  label: "Generic CSV",
+  headerAliases: {
+    "matched product": "keyword",
+    "spend(usd)": "cost",
+    "sales(usd)": "sales",
+    "cpc(usd)": "cpc",
+    "conversion rate": "conversions",
+    day: "date",
+    "campaign name": "campaign",
+    "ad group name": "ad_group",
+    "portfolio name": "portfolio",
+    "reporting date": "date",
+  },
+  requiredColumns: ["keyword", "impressions", "clicks", "cost"],
+  units: {
+    currency: "USD",
+    percentages: "percent",
+  },
+};
@@ -0,0 +1,31 @@
+/**
+ * Google Ads keyword and search terms reports (UI/Editor exports)
+ */
+module.exports = {
+  name: "google_ads",
+  label: "Google Ads",
+  signatureHeaders: ["impr."],
+  headerAliases: {
+    keyword: "keyword",
+    "search keyword": "keyword",
+    "search term": "search_term",
+    "impr.": "impressions",
+    clicks: "clicks",
+    ctr: "ctr",
+    "avg. cpc": "cpc",
+    "avg. cpm": "cpm",
+    cost: "cost",
+    conversions: "conversions",
+    "conv. value": "sales",
+    "all conv. value": "sales",
+    "conv. value / cost": "roas",
+    day: "date",
+    "search term match type": "match_type",
+    "keyword match type": "match_type",
+  },
+  requiredColumns: ["keyword", "impressions", "clicks", "cost"],
+  units: {
+    currency: "USD",
+    percentages: "percent",
+  },
+};
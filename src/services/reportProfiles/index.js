@@ -0,0 +1,128 @@
+const logger = require("../../utils/logger");
+const generic = require("./generic");
+const amazonSponsoredProducts = require("./amazonSponsoredProducts");
+const googleAds = require("./googleAds");
+const metaAds = require("./metaAds");
+
+/**
+ * Registry of named report-format profiles.
+ *
+ * A profile describes one export format: the header aliases that map its
+ * columns onto our internal field names, the columns a row needs to be
+ * usable, fields that can be filled from another field when the export
+ * lacks them, and the unit conventions of its values (currency, whether
+ * percentages are written as 0-100 or as fractions, and the number locale,
+ * where "auto" infers separators from each value). CSVProcessor only ever
+ * talks to profiles through this registry, so adding a format means
+ * registering a new profile here.
+ */
+class ReportProfileRegistry {
+  constructor() {
+    this.profiles = new Map();
+    this.defaultProfileName = generic.name;
+  }
+
+  /**
+   * Register (or replace) a profile
+   */
+  register(profile) {
+    if (!profile || !profile.name) {
+      throw new Error("Report profile must have a name");
+    }
+
+    const headerAliases = {};
+    for (const [alias, field] of Object.entries(profile.headerAliases || {})) {
+      headerAliases[this.normalizeHeader(alias)] = field;
+    }
+
+    this.profiles.set(profile.name, {
+      label: profile.name,
+      requiredColumns: ["keyword", "impressions", "clicks", "cost"],
+      fieldFallbacks: {},
+      ...profile,
+      headerAliases,
+      signatureHeaders: (profile.signatureHeaders || []).map((header) =>
+        this.normalizeHeader(header)
+      ),
+      units: {
+        currency: "USD",
+        percentages: "percent",
+        locale: "auto",
+        ...profile.units,
+      },
+    });
+  }
+
+  /**
+   * Get a profile by name, falling back to the default profile
+   */
+  get(name) {
+    return (
+      this.profiles.get(name) || this.profiles.get(this.defaultProfileName)
+    );
+  }
+
+  has(name) {
+    return this.profiles.has(name);
+  }
+
+  list() {
+    return Array.from(this.profiles.values());
+  }
+
+  /**
+   * Lower-case, trim and collapse whitespace so header comparisons ignore formatting
+   */
+  normalizeHeader(header) {
+    return String(header)
+      .replace(/^\uFEFF/, "")
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, " ");
+  }
+
+  /**
+   * Pick the profile that best matches a header row.
+   *
+   * A profile is a candidate only when all of its signature headers are
+   * present; candidates are ranked by how many headers they recognise.
+   */
+  detect(headers) {
+    const normalized = (headers || []).map((header) =>
+      this.normalizeHeader(header)
+    );
+    let best = null;
+    let bestScore = 0;
+
+    for (const profile of this.profiles.values()) {
+      if (profile.name === this.defaultProfileName) continue;
+      if (profile.signatureHeaders.length === 0) continue;
+      if (
+        !profile.signatureHeaders.every((header) => normalized.includes(header))
+      ) {
+        continue;
+      }
+
+      const score = normalized.filter(
+        (header) => header in profile.headerAliases
+      ).length;
+      if (score > bestScore) {
+        best = profile;
+        bestScore = score;
+      }
+    }
+
+    const detected = best || this.get(this.defaultProfileName);
+    logger.info(
+      `Detected report profile '${detected.name}' (${bestScore} recognised headers)`
+    );
+    return detected;
+  }
+}
+
+const registry = new ReportProfileRegistry();
+[generic, amazonSponsoredProducts, googleAds, metaAds].forEach((profile) =>
+  registry.register(profile)
+);
+
+module.exports = registry;
@@ -0,0 +1,34 @@
+/**
+ * Meta Ads Manager exports. Meta has no keywords, so the ad name stands in
+ * as the row identifier.
+ */
+module.exports = {
+  name: "meta_ads",
+  label: "Meta Ads Manager",
+  signatureHeaders: ["amount spent (usd)"],
+  headerAliases: {
+    "ad name": "keyword",
+    "campaign name": "campaign",
+    "ad set name": "ad_group",
+    impressions: "impressions",
+    "link clicks": "clicks",
+    "amount spent (usd)": "cost",
+    purchases: "orders",
+    "purchases conversion value": "sales",
+    "purchase roas (return on ad spend)": "roas",
+    "ctr (link click-through rate)": "ctr",
+    "cpc (cost per link click) (usd)": "cpc",
+    "cpm (cost per 1,000 impressions) (usd)": "cpm",
+    day: "date",
+    "reporting starts": "start_date",
+    "reporting ends": "end_date",
+  },
+  fieldFallbacks: {
+    conversions: "orders",
+  },
+  requiredColumns: ["keyword", "impressions", "clicks", "cost"],
+  units: {
+    currency: "USD",
+    percentages: "percent",
+  },
+};
@@ -0,0 +1,613 @@
+const {
+  UNASSIGNED,
+  emptyTotals,
+  addTotals,
+  summarizeTotals,
+  isConverting,
+} = require("../utils/metrics");
+const workspaceSettings = require("./workspaceSettings");
+const { roasInterval, verdictConfidence } = require("../utils/confidence");
+
+// Longest n-gram counted (1-, 2- and 3-grams)
+const MAX_NGRAM_LENGTH = 3;
+
+// Distinct n-grams tracked per source before the smallest are dropped
+const MAX_TRACKED_NGRAMS = 50000;
+
+// N-grams listed per size in each ranking
+const MAX_LISTED_NGRAMS = 20;
+
+// Fewest clicks an n-gram needs to be ranked by ROAS
+const MIN_ROAS_CLICKS = 10;
+
+const NGRAM_SIZES = { 1: "unigrams", 2: "bigrams", 3: "trigrams" };
+
+// Distinct search terms (per campaign and ad group) tracked before pruning
+const MAX_TRACKED_TERMS = 100000;
+
+// Negative keyword recommendations listed, biggest savings first
+const MAX_LISTED_NEGATIVES = 100;
+
+// Converting search terms over the poorAcos setting listed, most spend first
+const MAX_LISTED_BID_DOWNS = 100;
+
+// Search terms shown per phrase negative, and keywords per harvested term
+const MAX_EXAMPLE_TERMS = 5;
+
+// Suggested bids stay between the marketplace minimum and this multiple of
+// the observed CPC
+const MIN_BID = 0.02;
+const MAX_BID_CPC_MULTIPLE = 1.5;
+
+// Harvested keywords listed, most sales first
+const MAX_LISTED_HARVESTS = 100;
+
+// Amazon product IDs show up as search terms for product targeting
+const ASIN_PATTERN = /^b0[a-z0-9]{8}$/;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Lower-case words of a search term or keyword; punctuation separates words
+ */
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Distinct 1- to maxLength-grams of a list of words
+ */
+function ngramsOf(tokens, maxLength = MAX_NGRAM_LENGTH) {
+  const ngrams = new Set();
+  for (let n = 1; n <= maxLength; n++) {
+    for (let start = 0; start + n <= tokens.length; start++) {
+      ngrams.add(tokens.slice(start, start + n).join(" "));
+    }
+  }
+  return ngrams;
+}
+
+/**
+ * Search term as a negative keyword: lower case, single spaces
+ */
+function normalizeTerm(text) {
+  return String(text).toLowerCase().trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Whether a search term or phrase has the least traffic (the
+ * minNegativeClicks and minNegativeSpend settings) to be negated
+ */
+function hasNegativeTraffic(totals, settings) {
+  return (
+    totals.clicks >= settings.minNegativeClicks &&
+    totals.cost >= settings.minNegativeSpend
+  );
+}
+
+/**
+ * Metrics per n-gram of one text field. Each row counts once for every
+ * distinct n-gram in its text. Wasted spend is the cost of rows that did
+ * not convert.
+ */
+class NgramTable {
+  constructor(field) {
+    this.field = field;
+    this.rows = 0;
+    this.pruned = false;
+    this.ngrams = new Map();
+  }
+
+  add(row) {
+    const text = row[this.field];
+    if (!text) return;
+    this.rows++;
+
+    const wasted = isConverting(row) ? 0 : row.cost || 0;
+    for (const ngram of ngramsOf(tokenize(text))) {
+      let entry = this.ngrams.get(ngram);
+      if (!entry) {
+        entry = {
+          ngram,
+          n: ngram.split(" ").length,
+          rows: 0,
+          totals: emptyTotals(),
+          wastedSpend: 0,
+        };
+        this.ngrams.set(ngram, entry);
+      }
+      entry.rows++;
+      addTotals(entry.totals, row);
+      entry.wastedSpend += wasted;
+    }
+
+    if (this.ngrams.size > MAX_TRACKED_NGRAMS) this.prune();
+  }
+
+  /**
+   * Keep the half of the n-grams with the most cost and sales. A dropped
+   * n-gram that turns up again starts from zero, so only the long tail is
+   * approximate.
+   */
+  prune() {
+    const weight = (entry) => entry.totals.cost + entry.totals.sales;
+    const kept = [...this.ngrams.values()]
+      .sort((a, b) => weight(b) - weight(a))
+      .slice(0, MAX_TRACKED_NGRAMS / 2);
+    this.ngrams = new Map(kept.map((entry) => [entry.ngram, entry]));
+    this.pruned = true;
+  }
+
+  format(entry) {
+    return {
+      ngram: entry.ngram,
+      n: entry.n,
+      rows: entry.rows,
+      ...summarizeTotals(entry.totals),
+      wastedSpend: round(entry.wastedSpend),
+    };
+  }
+
+  /**
+   * The n-grams of each size with the most wasted spend, and those with the
+   * best ROAS among n-grams with enough clicks
+   */
+  toAnalysis() {
+    const result = {
+      rows: this.rows,
+      trackedNgrams: this.ngrams.size,
+      pruned: this.pruned,
+    };
+    for (const [n, name] of Object.entries(NGRAM_SIZES)) {
+      const entries = [...this.ngrams.values()].filter(
+        (entry) => entry.n === Number(n)
+      );
+      result[name] = {
+        mostWastedSpend: entries
+          .filter((entry) => entry.wastedSpend > 0)
+          .sort((a, b) => b.wastedSpend - a.wastedSpend)
+          .slice(0, MAX_LISTED_NGRAMS)
+          .map((entry) => this.format(entry)),
+        bestROAS: entries
+          .filter(
+            (entry) =>
+              entry.totals.clicks >= MIN_ROAS_CLICKS &&
+              entry.totals.cost > 0 &&
+              entry.totals.sales > 0
+          )
+          .map((entry) => this.format(entry))
+          .sort((a, b) => b.roas - a.roas || b.sales - a.sales)
+          .slice(0, MAX_LISTED_NGRAMS),
+      };
+    }
+    return result;
+  }
+}
+
+/**
+ * Metrics per search term in each campaign and ad group
+ */
+class SearchTermTable {
+  constructor() {
+    this.pruned = false;
+    this.terms = new Map();
+  }
+
+  add(row) {
+    if (!row.search_term) return;
+    const campaign = row.campaign || UNASSIGNED;
+    const adGroup = row.ad_group || UNASSIGNED;
+    const searchTerm = normalizeTerm(row.search_term);
+    if (!searchTerm) return;
+
+    const key = `${campaign}\u0000${adGroup}\u0000${searchTerm}`;
+    let entry = this.terms.get(key);
+    if (!entry) {
+      entry = {
+        campaign,
+        adGroup,
+        searchTerm,
+        keywords: new Set(),
+        totals: emptyTotals(),
+      };
+      this.terms.set(key, entry);
+    }
+    addTotals(entry.totals, row);
+    if (row.keyword && entry.keywords.size < MAX_EXAMPLE_TERMS) {
+      entry.keywords.add(row.keyword);
+    }
+
+    if (this.terms.size > MAX_TRACKED_TERMS) this.prune();
+  }
+
+  /**
+   * Keep half the terms: converting terms first, since negatives are checked
+   * against them, then those with the most cost
+   */
+  prune() {
+    const weight = (entry) =>
+      (isConverting(entry.totals) ? 1e12 : 0) +
+      entry.totals.sales +
+      entry.totals.cost;
+    const kept = [...this.terms.entries()]
+      .sort(([, a], [, b]) => weight(b) - weight(a))
+      .slice(0, MAX_TRACKED_TERMS / 2);
+    this.terms = new Map(kept);
+    this.pruned = true;
+  }
+
+  /**
+   * Tracked terms grouped by campaign
+   */
+  byCampaign() {
+    const campaigns = new Map();
+    for (const entry of this.terms.values()) {
+      if (!campaigns.has(entry.campaign)) campaigns.set(entry.campaign, []);
+      campaigns.get(entry.campaign).push(entry);
+    }
+    return campaigns;
+  }
+}
+
+/**
+ * Negative keyword recommendation for the traffic a negative would block
+ */
+function formatNegative(negative) {
+  const metrics = summarizeTotals(negative.totals);
+  return {
+    keyword: negative.keyword,
+    matchType: negative.matchType,
+    level: negative.level,
+    campaign: negative.campaign,
+    adGroup: negative.level === "ad_group" ? negative.adGroup : null,
+    reason: negative.reason,
+    searchTerms: negative.searchTerms.length,
+    exampleSearchTerms: negative.searchTerms.slice(0, MAX_EXAMPLE_TERMS),
+    clicks: metrics.clicks,
+    cost: metrics.cost,
+    sales: metrics.sales,
+    conversions: metrics.conversions,
+    acos: metrics.acos,
+    // Spend over the report period on the traffic the negative blocks
+    estimatedSavings: metrics.cost,
+  };
+}
+
+/**
+ * Exact negatives for one campaign's search terms. A term with no
+ * conversions anywhere in the campaign is negated at campaign level when it
+ * ran in several ad groups; otherwise it is negated in each ad group where
+ * it did not convert. Converting terms are never negated (see
+ * bidDownTerms).
+ */
+function exactNegatives(campaign, entries, settings) {
+  const byTerm = new Map();
+  for (const entry of entries) {
+    if (!byTerm.has(entry.searchTerm)) byTerm.set(entry.searchTerm, []);
+    byTerm.get(entry.searchTerm).push(entry);
+  }
+
+  const negatives = [];
+  const negative = (entry, level, reason, totals = entry.totals) => ({
+    keyword: entry.searchTerm,
+    matchType: "negative_exact",
+    level,
+    campaign,
+    adGroup: entry.adGroup,
+    reason,
+    searchTerms: [entry.searchTerm],
+    totals,
+  });
+
+  for (const termEntries of byTerm.values()) {
+    const totals = termEntries.reduce(
+      (sum, entry) => addTotals(sum, entry.totals),
+      emptyTotals()
+    );
+    if (termEntries.length > 1 && !isConverting(totals)) {
+      if (hasNegativeTraffic(totals, settings)) {
+        negatives.push(
+          negative(termEntries[0], "campaign", "zero_conversions", totals)
+        );
+      }
+      continue;
+    }
+    for (const entry of termEntries) {
+      if (hasNegativeTraffic(entry.totals, settings) && !isConverting(entry.totals)) {
+        negatives.push(negative(entry, "ad_group", "zero_conversions"));
+      }
+    }
+  }
+  return negatives;
+}
+
+/**
+ * Search terms of one campaign that convert in an ad group, but at an ACOS
+ * above the poorAcos setting. Negating them would give up their sales, so
+ * they are candidates for a lower bid instead.
+ */
+function bidDownTerms(campaign, entries, settings) {
+  return entries
+    .filter(
+      (entry) =>
+        hasNegativeTraffic(entry.totals, settings) &&
+        entry.totals.sales > 0 &&
+        (entry.totals.cost / entry.totals.sales) * 100 > settings.poorAcos
+    )
+    .map((entry) => {
+      const metrics = summarizeTotals(entry.totals);
+      return {
+        searchTerm: entry.searchTerm,
+        campaign,
+        adGroup: entry.adGroup,
+        reason: "poor_conversion",
+        clicks: metrics.clicks,
+        cost: metrics.cost,
+        sales: metrics.sales,
+        conversions: metrics.conversions,
+        acos: metrics.acos,
+        // Sales a negative on the term would give up over the report period
+        salesAtRisk: metrics.sales,
+      };
+    });
+}
+
+/**
+ * Phrase negatives for one campaign: n-grams shared by several search
+ * terms, none of which converted. An n-gram found in any converting search
+ * term of the campaign is never proposed, so a phrase negative cannot block
+ * one. Longer phrases containing a proposed one are left out.
+ */
+function phraseNegatives(campaign, entries, settings) {
+  const phrases = new Map();
+  const converting = new Set();
+  for (const entry of entries) {
+    const ngrams = ngramsOf(tokenize(entry.searchTerm));
+    if (isConverting(entry.totals)) {
+      ngrams.forEach((ngram) => converting.add(ngram));
+      continue;
+    }
+    for (const ngram of ngrams) {
+      if (!phrases.has(ngram)) {
+        phrases.set(ngram, {
+          ngram,
+          n: ngram.split(" ").length,
+          adGroups: new Set(),
+          searchTerms: new Set(),
+          totals: emptyTotals(),
+        });
+      }
+      const phrase = phrases.get(ngram);
+      phrase.adGroups.add(entry.adGroup);
+      phrase.searchTerms.add(entry.searchTerm);
+      addTotals(phrase.totals, entry.totals);
+    }
+  }
+
+  const chosen = new Set();
+  return [...phrases.values()]
+    .filter(
+      (phrase) =>
+        !converting.has(phrase.ngram) &&
+        phrase.searchTerms.size > 1 &&
+        hasNegativeTraffic(phrase.totals, settings)
+    )
+    .sort((a, b) => a.n - b.n || b.totals.cost - a.totals.cost)
+    .filter((phrase) => {
+      const parts = ngramsOf(phrase.ngram.split(" "), phrase.n - 1);
+      if ([...parts].some((part) => chosen.has(part))) return false;
+      chosen.add(phrase.ngram);
+      return true;
+    })
+    .map((phrase) => ({
+      keyword: phrase.ngram,
+      matchType: "negative_phrase",
+      level: phrase.adGroups.size > 1 ? "campaign" : "ad_group",
+      campaign,
+      adGroup: [...phrase.adGroups][0],
+      reason: "zero_conversions",
+      searchTerms: [...phrase.searchTerms],
+      totals: phrase.totals,
+    }));
+}
+
+/**
+ * Starting bid for a harvested keyword: the revenue per click (conversion
+ * rate x average order value) at the target ACOS, between MIN_BID and
+ * MAX_BID_CPC_MULTIPLE x the observed CPC
+ */
+function suggestBid({ clicks, cost, sales, conversions }, targetAcos) {
+  const conversionRate = conversions / clicks;
+  const averageOrderValue = sales / conversions;
+  let bid = conversionRate * averageOrderValue * (targetAcos / 100);
+  if (cost > 0) bid = Math.min(bid, (cost / clicks) * MAX_BID_CPC_MULTIPLE);
+  return round(Math.max(bid, MIN_BID));
+}
+
+/**
+ * Single-pass search-term analysis of cleaned rows. AnalysisAccumulator
+ * feeds one every row it gets. N-grams are bounded by MAX_TRACKED_NGRAMS per
+ * source and search terms by MAX_TRACKED_TERMS, but the match types each
+ * keyword is targeted with are kept for every distinct keyword. Negative and harvesting limits come from the workspace settings
+ * (searchTerms, and targets.targetAcos for harvesting).
+ */
+class SearchTermAccumulator {
+  constructor(settings = workspaceSettings.resolve()) {
+    this.settings = settings.searchTerms;
+    this.targetAcos = settings.targets.targetAcos;
+    this.ngrams = {
+      searchTerm: new NgramTable("search_term"),
+      keyword: new NgramTable("keyword"),
+    };
+    this.terms = new SearchTermTable();
+    // Match types each keyword is targeted with, by normalized keyword
+    this.targeted = new Map();
+  }
+
+  addAll(rows) {
+    rows.forEach((row) => this.add(row));
+    return this;
+  }
+
+  add(row) {
+    this.ngrams.searchTerm.add(row);
+    this.ngrams.keyword.add(row);
+    this.terms.add(row);
+
+    if (row.keyword) {
+      const keyword = normalizeTerm(row.keyword);
+      if (!this.targeted.has(keyword)) this.targeted.set(keyword, new Set());
+      this.targeted.get(keyword).add(row.match_type || null);
+    }
+  }
+
+  /**
+   * Whether a search term is already an exact-match keyword. A keyword
+   * without a match type counts as exact.
+   */
+  isTargetedExact(searchTerm) {
+    const matchTypes = this.targeted.get(searchTerm);
+    return Boolean(matchTypes && (matchTypes.has("exact") || matchTypes.has(null)));
+  }
+
+  /**
+   * Converting search terms that are not yet exact-match keywords, to add as
+   * exact keywords in the ad group where they sold most. A term needs
+   * harvestMinConversions conversions (orders when there are none) across
+   * the account at an ACOS within the target ACOS. ASINs are left to
+   * product targeting. Each carries the confidence that its ROAS is above
+   * the target ROAS.
+   */
+  getHarvestedKeywords() {
+    const byTerm = new Map();
+    for (const entry of this.terms.terms.values()) {
+      if (!byTerm.has(entry.searchTerm)) {
+        byTerm.set(entry.searchTerm, { totals: emptyTotals(), sources: [] });
+      }
+      const term = byTerm.get(entry.searchTerm);
+      addTotals(term.totals, entry.totals);
+      term.sources.push(entry);
+    }
+
+    const recommendations = [];
+    for (const [searchTerm, { totals, sources }] of byTerm) {
+      if (this.isTargetedExact(searchTerm) || ASIN_PATTERN.test(searchTerm)) {
+        continue;
+      }
+      const conversions = totals.conversions || totals.orders;
+      if (
+        conversions < this.settings.harvestMinConversions ||
+        totals.sales <= 0 ||
+        (totals.cost / totals.sales) * 100 > this.targetAcos
+      ) {
+        continue;
+      }
+
+      const source = sources.reduce((best, entry) =>
+        entry.totals.sales > best.totals.sales ? entry : best
+      );
+      const metrics = summarizeTotals({ ...totals, conversions });
+      recommendations.push({
+        searchTerm,
+        matchType: "exact",
+        campaign: source.campaign,
+        adGroup: source.adGroup,
+        sourceKeywords: [...source.keywords],
+        clicks: metrics.clicks,
+        cost: metrics.cost,
+        sales: metrics.sales,
+        conversions: metrics.conversions,
+        cpc: metrics.cpc,
+        conversionRate: metrics.conversionRate,
+        acos: metrics.acos,
+        roas: metrics.roas,
+        suggestedBid: suggestBid({ ...totals, conversions }, this.targetAcos),
+        confidence: verdictConfidence(
+          (z) =>
+            roasInterval(
+              { clicks: totals.clicks, orders: conversions, sales: totals.sales, cost: totals.cost },
+              z
+            ),
+          100 / this.targetAcos,
+          "above"
+        ),
+      });
+    }
+
+    recommendations.sort((a, b) => b.sales - a.sales);
+    return {
+      count: recommendations.length,
+      targetAcos: this.targetAcos,
+      recommendations: recommendations.slice(0, MAX_LISTED_HARVESTS),
+    };
+  }
+
+  /**
+   * Negative keyword recommendations from search terms with enough spend and
+   * no or poor conversions, per campaign. Exact negatives already covered by
+   * a proposed phrase negative are dropped.
+   */
+  getNegativeKeywords() {
+    const negatives = [];
+    for (const [campaign, entries] of this.terms.byCampaign()) {
+      const phrases = phraseNegatives(campaign, entries, this.settings);
+      const covers = (phrase, exact) =>
+        (phrase.level === "campaign" || phrase.adGroup === exact.adGroup) &&
+        ngramsOf(tokenize(exact.keyword)).has(phrase.keyword);
+      const exacts = exactNegatives(campaign, entries, this.settings).filter(
+        (exact) => !phrases.some((phrase) => covers(phrase, exact))
+      );
+      negatives.push(...phrases, ...exacts);
+    }
+
+    const recommendations = negatives
+      .map(formatNegative)
+      .sort((a, b) => b.estimatedSavings - a.estimatedSavings);
+    return {
+      count: recommendations.length,
+      totalEstimatedSavings: round(
+        recommendations.reduce((sum, negative) => sum + negative.estimatedSavings, 0)
+      ),
+      pruned: this.terms.pruned,
+      recommendations: recommendations.slice(0, MAX_LISTED_NEGATIVES),
+    };
+  }
+
+  /**
+   * Converting search terms with an ACOS above the poorAcos setting, per
+   * campaign and ad group, to bid down rather than negate
+   */
+  getBidDownTerms() {
+    const terms = [];
+    for (const [campaign, entries] of this.terms.byCampaign()) {
+      terms.push(...bidDownTerms(campaign, entries, this.settings));
+    }
+    terms.sort((a, b) => b.cost - a.cost);
+    return {
+      count: terms.length,
+      poorAcos: this.settings.poorAcos,
+      totalSalesAtRisk: round(terms.reduce((sum, term) => sum + term.salesAtRisk, 0)),
+      terms: terms.slice(0, MAX_LISTED_BID_DOWNS),
+    };
+  }
+
+  /**
+   * Output of SearchTermAnalyzerAgent.execute
+   */
+  toAnalysis() {
+    return {
+      ngrams: {
+        searchTerm: this.ngrams.searchTerm.toAnalysis(),
+        keyword: this.ngrams.keyword.toAnalysis(),
+      },
+      negativeKeywords: this.getNegativeKeywords(),
+      bidDownTerms: this.getBidDownTerms(),
+      harvestedKeywords: this.getHarvestedKeywords(),
+    };
+  }
+}
+
+module.exports = SearchTermAccumulator;
@@ -0,0 +1,184 @@
+const { UNASSIGNED, keepHeaviest } = require("../utils/metrics");
+
+// Campaigns listed, most wasted spend first
+const MAX_LISTED_CAMPAIGNS = 100;
+
+// Campaigns tracked; past this the half with the least spend is dropped
+const MAX_TRACKED_CAMPAIGNS = 10000;
+
+// Points on each Pareto curve: the top 5%, 10%, ... 100% of keywords
+const PARETO_STEPS = 20;
+
+// Share of spend or sales the Pareto summary counts keywords up to
+const PARETO_TARGET = 0.8;
+
+const round = (value, places = 2) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+const share = (part, whole) => (whole ? round((part / whole) * 100, 1) : null);
+
+// Fields a row's conversion can be judged by, in order of preference: the
+// first the report carries decides what counts as wasted
+const WASTE_BASES = ["orders", "conversions", "sales"];
+
+const emptyWaste = () => ({
+  rows: 0,
+  cost: 0,
+  // Rows and cost without any of each basis field
+  wasted: Object.fromEntries(
+    WASTE_BASES.map((basis) => [basis, { rows: 0, cost: 0 }])
+  ),
+});
+
+/**
+ * Cost, wasted cost and wasted share of a waste rollup on one basis
+ */
+function summarizeWaste(totals, basis) {
+  const wasted = totals.wasted[basis];
+  return {
+    rows: totals.rows,
+    cost: round(totals.cost),
+    wastedRows: wasted.rows,
+    wastedCost: round(wasted.cost),
+    wastedShare: share(wasted.cost, totals.cost),
+  };
+}
+
+/**
+ * Pareto curve of values (one per keyword): the share of the total the top
+ * keywords hold, at every PARETO_STEPS-th of the keywords, plus how few
+ * keywords make up PARETO_TARGET of it. Null when the total is 0.
+ */
+function paretoCurve(values) {
+  const sorted = values.filter((value) => value > 0).sort((a, b) => b - a);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  if (!total) return null;
+
+  const cumulative = [];
+  sorted.reduce((sum, value) => {
+    cumulative.push(sum + value);
+    return sum + value;
+  }, 0);
+  const count = values.length;
+  // Keywords without any of the value sit at the end of the curve
+  const shareOfTop = (keywords) =>
+    share(cumulative[Math.min(keywords, sorted.length) - 1], total);
+
+  const points = [];
+  for (let step = 1; step <= PARETO_STEPS; step++) {
+    const keywords = Math.ceil((count * step) / PARETO_STEPS);
+    if (points.length && points[points.length - 1].keywords === keywords) continue;
+    points.push({
+      keywords,
+      keywordShare: share(keywords, count),
+      share: shareOfTop(keywords),
+    });
+  }
+  const keywordsForTarget =
+    cumulative.findIndex((sum) => sum >= total * PARETO_TARGET) + 1;
+
+  return {
+    total: round(total),
+    contributingKeywords: sorted.length,
+    top20Share: shareOfTop(Math.ceil(count * 0.2)),
+    keywordsFor80: keywordsForTarget,
+    keywordShareFor80: share(keywordsForTarget, count),
+    points,
+  };
+}
+
+/**
+ * Single-pass wasted spend of cleaned rows.
+ *
+ * Spend on rows that did not convert is wasted; it is totalled for the
+ * account, per match type and per campaign. A row converted if it has
+ * orders when the report carries an orders column, else conversions, else
+ * sales (see WASTE_BASES); the basis used is returned with the figures.
+ * Spend and sales concentration are Pareto
+ * curves over the keywords (per campaign, ad group and match type) of the
+ * analysis hierarchy, given to toAnalysis() once every row is in. Past
+ * MAX_TRACKED_CAMPAIGNS the campaigns with the least spend are dropped, so
+ * only the long tail of byCampaign and campaignCount is approximate.
+ */
+class WastedSpendAccumulator {
+  constructor() {
+    this.totals = emptyWaste();
+    this.matchTypes = new Map();
+    this.campaigns = new Map();
+    this.pruned = false;
+    // Basis fields any row had a value for, when the report's columns are not given
+    this.seen = new Set();
+  }
+
+  add(row) {
+    const cost = row.cost || 0;
+    const wastedOn = WASTE_BASES.filter((basis) => !(row[basis] > 0));
+    WASTE_BASES.forEach((basis) => {
+      if (row[basis] > 0) this.seen.add(basis);
+    });
+    const child = (map, key) => {
+      if (!map.has(key)) map.set(key, emptyWaste());
+      return map.get(key);
+    };
+
+    [
+      this.totals,
+      child(this.matchTypes, row.match_type || UNASSIGNED),
+      child(this.campaigns, row.campaign || UNASSIGNED),
+    ].forEach((totals) => {
+      totals.rows++;
+      totals.cost += cost;
+      wastedOn.forEach((basis) => {
+        totals.wasted[basis].rows++;
+        totals.wasted[basis].cost += cost;
+      });
+    });
+
+    if (this.campaigns.size > MAX_TRACKED_CAMPAIGNS) {
+      this.campaigns = keepHeaviest(
+        this.campaigns,
+        MAX_TRACKED_CAMPAIGNS / 2,
+        (totals) => totals.cost
+      );
+      this.pruned = true;
+    }
+  }
+
+  /**
+   * The field waste is judged by: the first of WASTE_BASES among the report's
+   * fields, or without them the first any row had a value for (sales if none)
+   */
+  getBasis(fields = null) {
+    const present = fields ? new Set(fields) : this.seen;
+    return WASTE_BASES.find((basis) => present.has(basis)) || "sales";
+  }
+
+  /**
+   * Output stored with the analysis; keywords are the hierarchy's keyword
+   * totals ({ cost, sales }) and fields the mapped fields of the report
+   */
+  toAnalysis(keywords, fields = null) {
+    const basis = this.getBasis(fields);
+    const byWaste = (a, b) => b.wastedCost - a.wastedCost;
+    const list = (map, name) =>
+      [...map.entries()]
+        .map(([key, totals]) => ({ [name]: key, ...summarizeWaste(totals, basis) }))
+        .sort(byWaste);
+
+    return {
+      basis,
+      summary: summarizeWaste(this.totals, basis),
+      byMatchType: list(this.matchTypes, "matchType"),
+      byCampaign: list(this.campaigns, "campaign").slice(0, MAX_LISTED_CAMPAIGNS),
+      campaignCount: this.campaigns.size,
+      pruned: this.pruned,
+      pareto: {
+        keywords: keywords.length,
+        spend: paretoCurve(keywords.map((keyword) => keyword.cost)),
+        sales: paretoCurve(keywords.map((keyword) => keyword.sales)),
+      },
+    };
+  }
+}
+
+module.exports = WastedSpendAccumulator;
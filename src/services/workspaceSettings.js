@@ -0,0 +1,106 @@
+const db = require("../config/database");
+
+/**
+ * Built-in targets and thresholds. Percentages are on a 0-100 scale and
+ * amounts are in the report currency, over the report period.
+ */
+const DEFAULT_SETTINGS = {
+  targets: {
+    // ACOS (%) bids and harvested keywords aim for, unless an upload sets
+    // its own bidTargets
+    targetAcos: 30,
+  },
+  thresholds: {
+    // Keywords below this CTR (%) are low CTR, above highCTR high CTR
+    lowCTR: 1,
+    highCTR: 10,
+    // Keywords above this ROAS are high ROAS
+    highROAS: 3,
+    // ACOS (%) above which a keyword without a product margin is high ACOS
+    highACOS: 50,
+    // Keywords spending more than this are high cost
+    highCost: 100,
+  },
+  searchTerms: {
+    // Traffic a search term needs before it is proposed as a negative
+    minNegativeClicks: 10,
+    minNegativeSpend: 10,
+    // ACOS (%) above which a converting search term is still a negative
+    poorAcos: 100,
+    // Conversions a search term needs to be harvested as a keyword
+    harvestMinConversions: 2,
+  },
+  bids: {
+    // Clicks a keyword needs before its bid is changed; without orders it
+    // needs minClicksWithoutOrders
+    minClicks: 10,
+    minClicksWithoutOrders: 20,
+  },
+  budget: {
+    // Sales response to spend in budget reallocation, between 0 and 1
+    elasticity: 0.6,
+  },
+};
+
+/**
+ * Targets and thresholds per workspace.
+ *
+ * A workspace stores only the settings it changes; the effective settings
+ * are the defaults with those overrides applied section by section. Every
+ * job records the effective settings it was analysed with.
+ */
+class WorkspaceSettingsService {
+  constructor() {
+    this.defaults = DEFAULT_SETTINGS;
+  }
+
+  /**
+   * Effective settings for stored overrides (or none)
+   */
+  resolve(overrides) {
+    return Object.fromEntries(
+      Object.entries(DEFAULT_SETTINGS).map(([section, values]) => [
+        section,
+        { ...values, ...((overrides && overrides[section]) || {}) },
+      ])
+    );
+  }
+
+  /**
+   * Effective settings of a workspace
+   */
+  async loadSettings(workspace) {
+    const stored = await this.getSettings(workspace);
+    return this.resolve(stored ? stored.settings : null);
+  }
+
+  async getSettings(workspace) {
+    const result = await db.query(
+      "SELECT workspace, settings, updated_at FROM workspace_settings WHERE workspace = $1",
+      [workspace]
+    );
+    return result.rows[0] || null;
+  }
+
+  async saveSettings(workspace, settings) {
+    const result = await db.query(
+      `INSERT INTO workspace_settings (workspace, settings)
+       VALUES ($1, $2)
+       ON CONFLICT (workspace)
+       DO UPDATE SET settings = EXCLUDED.settings, updated_at = CURRENT_TIMESTAMP
+       RETURNING workspace, settings, updated_at`,
+      [workspace, JSON.stringify(settings)]
+    );
+    return result.rows[0];
+  }
+
+  async deleteSettings(workspace) {
+    const result = await db.query(
+      "DELETE FROM workspace_settings WHERE workspace = $1 RETURNING workspace",
+      [workspace]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = new WorkspaceSettingsService();
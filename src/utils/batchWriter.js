@@ -0,0 +1,32 @@
+/**
+ * Buffer items and pass them to write(batch, offset) every batchSize items,
+ * where offset is the number of items written before the batch. add()
+ * returns the write's promise when it fills a batch (null otherwise) so a
+ * reader can wait for it; flush() writes whatever is left.
+ */
+function createBatchWriter(batchSize, write) {
+  let buffer = [];
+  let written = 0;
+
+  const flush = async () => {
+    if (buffer.length === 0) return;
+    const batch = buffer;
+    const offset = written;
+    buffer = [];
+    written += batch.length;
+    await write(batch, offset);
+  };
+
+  return {
+    add(item) {
+      buffer.push(item);
+      return buffer.length >= batchSize ? flush() : null;
+    },
+    flush,
+    get count() {
+      return written + buffer.length;
+    },
+  };
+}
+
+module.exports = { createBatchWriter };
@@ -0,0 +1,108 @@
+// Confidence levels, strongest first, with the two-sided z-score of the
+// interval that must clear the baseline: 95% for high, 80% for medium
+const LEVELS = [
+  ["high", 1.96],
+  ["medium", 1.2816],
+];
+
+// Verdict whose 80% interval still reaches the baseline
+const INSUFFICIENT_DATA = "insufficient_data";
+
+// Verdict on the observed value alone, where the report lacks the counts
+// (e.g. orders) an interval needs
+const OBSERVED = "observed";
+
+/**
+ * Wilson score interval of a binomial proportion (successes out of trials)
+ * at z, or null without trials. Unlike the normal approximation it stays
+ * within 0-1 and is usable for 0 successes or very few trials.
+ */
+function wilsonInterval(successes, trials, z = LEVELS[0][1]) {
+  if (!trials || trials <= 0) return null;
+  const p = Math.min(Math.max(successes / trials, 0), 1);
+  const z2 = z * z;
+  const denominator = 1 + z2 / trials;
+  const centre = (p + z2 / (2 * trials)) / denominator;
+  const margin =
+    (z * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials * trials))) /
+    denominator;
+  return {
+    low: Math.max(centre - margin, 0),
+    high: Math.min(centre + margin, 1),
+  };
+}
+
+/**
+ * Interval of a ROAS at z. Only the conversion rate (orders out of clicks)
+ * is uncertain: the average order value (sales / orders, else
+ * fallbackOrderValue) and the cost per click are taken as they are. Null
+ * without cost, clicks or an order value.
+ */
+function roasInterval({ clicks = 0, orders = 0, sales = 0, cost = 0 }, z, fallbackOrderValue = 0) {
+  const orderValue = orders > 0 ? sales / orders : fallbackOrderValue;
+  if (!cost || !orderValue) return null;
+  const bounds = wilsonInterval(orders, clicks, z);
+  const scale = (clicks * orderValue) / cost;
+  return bounds && { low: bounds.low * scale, high: bounds.high * scale };
+}
+
+/**
+ * Confidence that a value lies above (direction "above") or below a
+ * baseline, or between the two ends of a [low, high] baseline ("within"):
+ * the strongest level whose interval, from interval(z), is entirely there.
+ * interval returns null when there is no data.
+ */
+function verdictConfidence(interval, baseline, direction) {
+  const holds = (bounds) => {
+    if (direction === "above") return bounds.low > baseline;
+    if (direction === "below") return bounds.high < baseline;
+    return bounds.low > baseline[0] && bounds.high < baseline[1];
+  };
+  for (const [level, z] of LEVELS) {
+    const bounds = interval(z);
+    if (!bounds) break;
+    if (holds(bounds)) return level;
+  }
+  return INSUFFICIENT_DATA;
+}
+
+/**
+ * Verdicts per level of a list of confidence levels
+ */
+function countLevels(levels) {
+  const counts = { high: 0, medium: 0, [OBSERVED]: 0, [INSUFFICIENT_DATA]: 0 };
+  levels.forEach((level) => {
+    if (level in counts) counts[level]++;
+  });
+  return counts;
+}
+
+/**
+ * Confidence of an action resting on several verdicts, given as a list of
+ * levels or as counts per level: high, medium or observed by which most of
+ * them reached (ties go to the stronger), insufficient_data when none
+ * reached any
+ */
+function overallConfidence(levels) {
+  const counts = Array.isArray(levels) ? countLevels(levels) : levels;
+  let overall = INSUFFICIENT_DATA;
+  let most = 0;
+  for (const level of ["high", "medium", OBSERVED]) {
+    if ((counts[level] || 0) > most) {
+      overall = level;
+      most = counts[level];
+    }
+  }
+  return overall;
+}
+
+module.exports = {
+  LEVELS,
+  INSUFFICIENT_DATA,
+  OBSERVED,
+  wilsonInterval,
+  roasInterval,
+  verdictConfidence,
+  countLevels,
+  overallConfidence,
+};
@@ -0,0 +1,50 @@
+const fs = require("fs");
+const crypto = require("crypto");
+
+/**
+ * SHA-256 (hex) of everything a readable stream produces
+ */
+function hashStream(stream) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    stream.on("data", (chunk) => hash.update(chunk));
+    stream.on("end", () => resolve(hash.digest("hex")));
+    stream.on("error", reject);
+  });
+}
+
+/**
+ * SHA-256 (hex) of a file's bytes
+ */
+function hashFile(filePath) {
+  return hashStream(fs.createReadStream(filePath));
+}
+
+/**
+ * Canonical JSON of a value: object keys sorted, undefined and null fields
+ * left out, so equal options always serialise the same
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined && value[key] !== null)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 (hex) of a set of options, independent of key order
+ */
+function hashOptions(options) {
+  return crypto.createHash("sha256").update(canonicalJSON(options)).digest("hex");
+}
+
+module.exports = {
+  hashStream,
+  hashFile,
+  hashOptions,
+};
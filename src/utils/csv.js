@@ -0,0 +1,30 @@
+// Leading characters a spreadsheet reads as the start of a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a single value for a CSV cell. Text that a spreadsheet would run
+ * as a formula gets a leading ' so it opens as plain text.
+ */
+function escapeCSVValue(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Join values into one CSV line (with trailing newline)
+ */
+function toCSVLine(values) {
+  return values.map(escapeCSVValue).join(",") + "\n";
+}
+
+module.exports = {
+  escapeCSVValue,
+  toCSVLine,
+};
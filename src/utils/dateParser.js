@@ -0,0 +1,195 @@
+/**
+ * Parsing of date cells from ad platform exports into ISO "YYYY-MM-DD".
+ *
+ * Accepts ISO dates (with or without a time part), numeric dates such as
+ * "01/05/2024" or "05.01.2024", compact "20240105", and English month names
+ * ("Jan 5, 2024", "5 January 2024", "05-Jan-24"). Numeric dates follow the
+ * day/month order passed in, else that of the given locale; a cell the order
+ * cannot read (such as "13/01/2024" month-first) is not a date. Only with
+ * "auto" and no order is each cell read on its own: month-first, as in US
+ * exports, dotted dates day-first, and flipped when a part is over 12.
+ */
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+const ISO_DATE = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/;
+const NUMERIC_DATE = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{2}|\d{4})(?:\s.*)?$/;
+const COMPACT_DATE = /^(\d{4})(\d{2})(\d{2})$/;
+const MONTH_FIRST = /^([a-z]+)\.?[\s-](\d{1,2})(?:st|nd|rd|th)?,?[\s-](\d{2}|\d{4})$/i;
+const DAY_FIRST = /^(\d{1,2})(?:st|nd|rd|th)?[\s-]([a-z]+)\.?,?[\s-](\d{2}|\d{4})$/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const orderCache = new Map();
+
+/**
+ * "DMY" or "MDY": whether a locale writes the day before the month
+ */
+function getDateOrder(locale) {
+  if (!locale || locale === "auto") return "MDY";
+  if (!orderCache.has(locale)) {
+    const parts = new Intl.DateTimeFormat(locale).formatToParts(
+      new Date(Date.UTC(2024, 10, 22))
+    );
+    const types = parts.map((part) => part.type);
+    orderCache.set(
+      locale,
+      types.indexOf("day") < types.indexOf("month") ? "DMY" : "MDY"
+    );
+  }
+  return orderCache.get(locale);
+}
+
+function expandYear(year) {
+  const value = parseInt(year);
+  return year.length === 2 ? 2000 + value : value;
+}
+
+function monthFromName(name) {
+  const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * ISO string for a calendar date, or null if it does not exist (e.g. Feb 30)
+ */
+function toISODate(year, month, day) {
+  if (!year || !month || !day) return null;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Day/month order a numeric date cell implies: { order, certain }, certain
+ * when a part over 12 settles it, or null if the cell is not a numeric date
+ */
+function dateOrderOf(input) {
+  if (input === null || input === undefined) return null;
+  const match = String(input).trim().match(NUMERIC_DATE);
+  if (!match) return null;
+  const first = parseInt(match[1]);
+  const second = parseInt(match[3]);
+  if (first > 12 && second <= 12) return { order: "DMY", certain: true };
+  if (second > 12 && first <= 12) return { order: "MDY", certain: true };
+  return { order: match[2] === "." ? "DMY" : "MDY", certain: false };
+}
+
+/**
+ * Parse a date cell. Returns "YYYY-MM-DD", or null if the value is not a date.
+ * order ("DMY" or "MDY") fixes how numeric dates are read, as for a whole file.
+ */
+function parse(input, locale = "auto", order = null) {
+  if (input instanceof Date) {
+    return Number.isNaN(input.getTime())
+      ? null
+      : input.toISOString().slice(0, 10);
+  }
+  if (input === null || input === undefined) return null;
+
+  const text = String(input).trim();
+  if (text === "") return null;
+
+  let match = text.match(ISO_DATE);
+  if (match) {
+    return toISODate(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]));
+  }
+
+  match = text.match(COMPACT_DATE);
+  if (match) {
+    return toISODate(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]));
+  }
+
+  match = text.match(NUMERIC_DATE);
+  if (match) {
+    const first = parseInt(match[1]);
+    const second = parseInt(match[3]);
+    const year = expandYear(match[4]);
+
+    let cellOrder = order;
+    if (!cellOrder) {
+      cellOrder = match[2] === "." ? "DMY" : getDateOrder(locale);
+      if (locale === "auto" || !locale) {
+        if (first > 12) cellOrder = "DMY";
+        else if (second > 12) cellOrder = "MDY";
+      }
+    }
+
+    return cellOrder === "DMY"
+      ? toISODate(year, second, first)
+      : toISODate(year, first, second);
+  }
+
+  match = text.match(MONTH_FIRST);
+  if (match) {
+    return toISODate(
+      expandYear(match[3]),
+      monthFromName(match[1]),
+      parseInt(match[2])
+    );
+  }
+
+  match = text.match(DAY_FIRST);
+  if (match) {
+    return toISODate(
+      expandYear(match[3]),
+      monthFromName(match[2]),
+      parseInt(match[1])
+    );
+  }
+
+  return null;
+}
+
+/**
+ * ISO date shifted by a number of days
+ */
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  return new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from one ISO date to another (negative if end is earlier)
+ */
+function diffDays(start, end) {
+  return Math.round(
+    (new Date(`${end}T00:00:00Z`) - new Date(`${start}T00:00:00Z`)) / DAY_MS
+  );
+}
+
+/**
+ * Monday of the ISO week containing the date
+ */
+function startOfWeek(isoDate) {
+  const day = new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+  return addDays(isoDate, -((day + 6) % 7));
+}
+
+module.exports = {
+  parse,
+  getDateOrder,
+  dateOrderOf,
+  addDays,
+  diffDays,
+  startOfWeek,
+};
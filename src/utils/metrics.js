@@ -0,0 +1,84 @@
+/**
+ * Rollups of additive ad metrics and the ratios derived from them.
+ *
+ * Ratios are always recomputed from the summed totals (e.g. ACOS = total cost
+ * / total sales), never averaged across rows.
+ */
+
+// Label for rows that do not name a campaign, ad group or match type
+const UNASSIGNED = "(unassigned)";
+
+const TOTAL_FIELDS = [
+  "impressions",
+  "clicks",
+  "cost",
+  "sales",
+  "conversions",
+  "orders",
+];
+
+function emptyTotals() {
+  return Object.fromEntries(TOTAL_FIELDS.map((field) => [field, 0]));
+}
+
+/**
+ * Add a row's metrics to running totals; share scales them (e.g. 1/7 of a weekly row)
+ */
+function addTotals(totals, row, share = 1) {
+  for (const field of TOTAL_FIELDS) {
+    totals[field] += (row[field] || 0) * share;
+  }
+  return totals;
+}
+
+/**
+ * A row (or totals) converted if it recorded any conversion, order or sale
+ */
+function isConverting(row) {
+  return row.conversions > 0 || row.orders > 0 || row.sales > 0;
+}
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Rounded totals plus CTR, CPC, ACOS, ROAS and conversion rate (null when undefined)
+ */
+function summarizeTotals(totals) {
+  const summary = Object.fromEntries(
+    TOTAL_FIELDS.map((field) => [field, round(totals[field])])
+  );
+  return {
+    ...summary,
+    ctr: totals.impressions
+      ? round((totals.clicks / totals.impressions) * 100)
+      : null,
+    cpc: totals.clicks ? round(totals.cost / totals.clicks) : null,
+    acos: totals.sales ? round((totals.cost / totals.sales) * 100) : null,
+    roas: totals.cost ? round(totals.sales / totals.cost) : null,
+    conversionRate: totals.clicks
+      ? round((totals.conversions / totals.clicks) * 100)
+      : null,
+  };
+}
+
+/**
+ * The `count` entries of a map with the largest weight, as a new map; used to
+ * prune rollups keyed by keyword or campaign that outgrow their limit
+ */
+function keepHeaviest(map, count, weight) {
+  return new Map(
+    [...map.entries()]
+      .sort(([, a], [, b]) => weight(b) - weight(a))
+      .slice(0, count)
+  );
+}
+
+module.exports = {
+  UNASSIGNED,
+  TOTAL_FIELDS,
+  emptyTotals,
+  addTotals,
+  summarizeTotals,
+  isConverting,
+  keepHeaviest,
+};
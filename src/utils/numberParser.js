@@ -0,0 +1,157 @@
+/**
+ * Locale-aware parsing of numeric cells from ad platform exports.
+ *
+ * Understands currency symbols and ISO codes, percent signs, accounting
+ * negatives such as "(45.00)", and thousands/decimal separators either
+ * for an explicit locale (e.g. "de-DE") or, with "auto", inferred from the
+ * value itself.
+ */
+
+const CURRENCY_SYMBOLS = /(?:[A-Z]{1,2})?[$€£¥₹₩₽₺₱₫¢]/g;
+// Three capitals at either end, stripped only when an ISO 4217 code
+const CURRENCY_CODE = /^[A-Z]{3}\s*|\s*[A-Z]{3}$/g;
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf("currency"));
+// Spaces and apostrophes, which group digits in many locales
+const SPACE_GROUPS = "\\s\\u00A0\\u202F'\\u2019";
+const GROUPING_CHARACTERS = new RegExp(`[${SPACE_GROUPS}]`, "g");
+const PLAIN_NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+const separatorCache = new Map();
+
+/**
+ * Group and decimal separators used by a locale, and a pattern matching any
+ * group separator it accepts (its own, or spaces and apostrophes)
+ */
+function getSeparators(locale) {
+  if (!separatorCache.has(locale)) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(1234567.8);
+    const group = parts.find((part) => part.type === "group");
+    const decimal = parts.find((part) => part.type === "decimal");
+    const groupValue = group ? group.value : ",";
+    separatorCache.set(locale, {
+      group: groupValue,
+      decimal: decimal ? decimal.value : ".",
+      groupPattern: new RegExp(
+        `[${groupValue.replace(/[\\\]^-]/g, "\\$&")}${SPACE_GROUPS}]`
+      ),
+    });
+  }
+  return separatorCache.get(locale);
+}
+
+function isSupportedLocale(locale) {
+  if (locale === "auto") return true;
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Guess which of "," and "." is the decimal separator in a bare number
+ */
+function normalizeAuto(text) {
+  const lastComma = text.lastIndexOf(",");
+  const lastDot = text.lastIndexOf(".");
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Both present: whichever comes last is the decimal separator
+    return lastComma > lastDot
+      ? text.replace(/\./g, "").replace(",", ".")
+      : text.replace(/,/g, "");
+  }
+  if (lastComma !== -1) {
+    // "1,234" and "1,234,567" are grouped; "12,5" is a decimal comma
+    return /^[+-]?\d{1,3}(,\d{3})+$/.test(text)
+      ? text.replace(/,/g, "")
+      : text.replace(",", ".");
+  }
+  if (lastDot !== -1 && /^[+-]?\d{1,3}(\.\d{3}){2,}$/.test(text)) {
+    // "1.234.567" can only be dot-grouped
+    return text.replace(/\./g, "");
+  }
+  return text;
+}
+
+/**
+ * Rewrite a number written for an explicit locale with "." as its decimal
+ * separator, or return null when its separators do not fit the locale: at
+ * most one decimal separator, and group separators (the locale's own, or
+ * spaces and apostrophes) splitting the integer part into threes
+ */
+function normalizeForLocale(text, locale) {
+  const { decimal, groupPattern } = getSeparators(locale);
+  const [integerPart, ...rest] = text.split(decimal);
+  if (rest.length > 1) return null;
+
+  const groups = integerPart.split(groupPattern);
+  const wellFormed =
+    groups.length === 1 ||
+    (/^\d{1,3}$/.test(groups[0]) &&
+      groups.slice(1).every((digits) => /^\d{3}$/.test(digits)));
+  if (!wellFormed) return null;
+
+  const integerDigits = groups.join("");
+  return rest.length === 1 ? `${integerDigits}.${rest[0]}` : integerDigits;
+}
+
+/**
+ * Parse a cell into a number.
+ * Returns { value, percent } where percent tells whether the cell carried a
+ * percent sign, or null when the cell is not numeric.
+ */
+function parse(input, locale = "auto") {
+  if (typeof input === "number") {
+    return Number.isFinite(input) ? { value: input, percent: false } : null;
+  }
+  if (input === null || input === undefined) return null;
+
+  let text = String(input).trim();
+  if (text === "") return null;
+
+  let negative = false;
+  let percent = false;
+
+  // Accounting negatives: (45.00)
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1).trim();
+  }
+
+  text = text.replace(/−/g, "-");
+  if (text.endsWith("%")) {
+    percent = true;
+    text = text.slice(0, -1).trim();
+  }
+  text = text
+    .replace(CURRENCY_SYMBOLS, "")
+    .replace(CURRENCY_CODE, (code) => (CURRENCY_CODES.has(code.trim()) ? "" : code))
+    .trim();
+
+  // Sign may sit either side of a stripped currency symbol: "-$5" / "$-5"
+  if (text.startsWith("-")) {
+    negative = !negative;
+    text = text.slice(1).trim();
+  } else if (text.startsWith("+")) {
+    text = text.slice(1).trim();
+  }
+
+  text =
+    locale === "auto"
+      ? normalizeAuto(text.replace(GROUPING_CHARACTERS, ""))
+      : normalizeForLocale(text, locale);
+
+  if (text === null || !PLAIN_NUMBER.test(text)) return null;
+
+  const value = parseFloat(text);
+  if (!Number.isFinite(value)) return null;
+
+  return { value: negative ? -value : value, percent };
+}
+
+module.exports = {
+  parse,
+  getSeparators,
+  isSupportedLocale,
+};
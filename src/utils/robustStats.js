@@ -0,0 +1,86 @@
+/**
+ * Robust statistics for outlier detection: quantiles, median absolute
+ * deviation, and a fixed-size uniform sample of a stream of values.
+ */
+
+// Scales the MAD to the standard deviation of normally distributed data
+const MAD_SCALE = 0.6745;
+
+/**
+ * Quantile of ascending-sorted values with linear interpolation (0 <= p <= 1)
+ */
+function quantile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Median, quartiles and median absolute deviation of a list of values
+ */
+function describe(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const median = quantile(sorted, 0.5);
+  const deviations = sorted
+    .map((value) => Math.abs(value - median))
+    .sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    median,
+    q1: quantile(sorted, 0.25),
+    q3: quantile(sorted, 0.75),
+    mad: quantile(deviations, 0.5),
+  };
+}
+
+/**
+ * Modified z-score (Iglewicz and Hoaglin): distance from the median in
+ * units of the scaled MAD
+ */
+function modifiedZScore(value, { median, mad }) {
+  return (MAD_SCALE * (value - median)) / mad;
+}
+
+/**
+ * Uniform random sample of at most `size` values from a stream (reservoir
+ * sampling). Seeded, so the same input always gives the same sample; below
+ * `size` values it holds them all.
+ */
+class Reservoir {
+  constructor(size, seed = 1) {
+    this.size = size;
+    this.values = [];
+    this.seen = 0;
+    this.state = seed >>> 0;
+  }
+
+  // mulberry32
+  random() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  add(value) {
+    this.seen++;
+    if (this.values.length < this.size) {
+      this.values.push(value);
+      return;
+    }
+    const index = Math.floor(this.random() * this.seen);
+    if (index < this.size) {
+      this.values[index] = value;
+    }
+  }
+}
+
+module.exports = {
+  quantile,
+  describe,
+  modifiedZScore,
+  Reservoir,
+};